@@ -1,6 +1,7 @@
+import crypto from 'crypto';
 import {
+  METRICS_VERSION,
   calculateMetrics,
-  computeDurabilityBaseline,
   computeHrrZones,
   sanitizeStreams,
   summarizeCadenceFatigue,
@@ -11,13 +12,98 @@ import {
   getValidToken,
   updateActivityDescription,
 } from './strava.js';
-import { loadBaselineMetrics, markActivityProcessed, saveAthleteMetrics, isActivityProcessed } from './db.js';
+import {
+  deleteActivityData,
+  getAthletePowerModel,
+  getProcessedActivity,
+  loadBaselineMetrics,
+  loadTrainingStressHistory,
+  markActivityProcessed,
+  purgeAthleteData,
+  saveAthleteMetrics,
+  upsertAthletePowerModel,
+} from './db.js';
+import { mergeMeanMaxPower } from './powerModel.js';
+import { calculateRunningMetrics, isRunningSport } from './running.js';
+import { resolveScoreModel } from './durabilityScore.js';
+import { computeDurabilityBaseline, resolveBaselineConfig } from './baseline.js';
+import { LOAD_DEFAULTS, computeLoadState } from './trainingLoad.js';
+import { loadSettingsForActivity } from './athleteSettings.js';
+import { deleteChartArtifacts } from './charts.js';
 import { DEFAULT_PROFILE, getAllMarkers, getRenderer } from './analysisProfiles/index.js';
 
+// JSON of per-component overrides, e.g. {"powerFade":{"weight":0.4}}; resolved at startup so a bad
+// configuration stops the service instead of mis-scoring every ride
+const SCORE_MODEL = resolveScoreModel(
+  process.env.DURABILITY_SCORE_MODEL ? JSON.parse(process.env.DURABILITY_SCORE_MODEL) : null,
+);
+
+// A malformed value would parse to NaN and every guard comparison would quietly pass, so refuse to start.
+function readGuardSetting(name, fallback, max = Infinity) {
+  const raw = process.env[name] ?? fallback;
+  const value = /^\s*\d+(\.\d+)?\s*$/.test(raw) ? Number(raw) : Number.NaN;
+  if (!(value <= max)) {
+    const range = Number.isFinite(max) ? `a number between 0 and ${max}` : 'a non-negative number';
+    throw new Error(`${name} must be ${range}, got "${raw}"`);
+  }
+  return value;
+}
+
+const DATA_GUARDS = {
+  minDurationSeconds: readGuardSetting('METRICS_MIN_DURATION_MINUTES', '30') * 60,
+  minCoveragePercent: readGuardSetting('METRICS_MIN_COVERAGE_PERCENT', '75', 100),
+};
+
 const LEGACY_MARKERS = ['<!-- durability-post v0.1 -->', '<!-- durability-post -->'];
 
+// Strava update webhooks list changed keys; these never affect the durability analysis.
+const IGNORED_UPDATE_KEYS = new Set(['title', 'private', 'visibility']);
+
+// Activity fields that change when a ride is cropped, its power/HR file is fixed or its sport is changed.
+// The description is deliberately excluded so our own description PUT never looks like a change.
+const SOURCE_FIELDS = [
+  'sport_type',
+  'type',
+  'start_date',
+  'elapsed_time',
+  'moving_time',
+  'distance',
+  'total_elevation_gain',
+  'trainer',
+  'device_watts',
+  'average_watts',
+  'weighted_average_watts',
+  'kilojoules',
+  'has_heartrate',
+  'average_heartrate',
+  'max_heartrate',
+  'average_cadence',
+];
+
+// Without power, speed only tracks effort on a human-powered bike; e-bikes and other sports are skipped.
+const HR_ONLY_SPORT_TYPES = ['Ride', 'VirtualRide', 'GravelRide', 'MountainBikeRide', 'Handcycle', 'Velomobile'];
+
+export function isHrOnlySport(sportType) {
+  // files without a sport are treated as rides everywhere else too
+  return sportType == null || HR_ONLY_SPORT_TYPES.includes(sportType);
+}
+
 function escapeRegExp(value) {
-  return value.replace(/[.*+?^${}()|[\]\\]/g, '\$&');
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function hashContent(value) {
+  return crypto.createHash('sha256').update(value ?? '').digest('hex');
+}
+
+export function computeSourceHash(activity) {
+  const source = SOURCE_FIELDS.map((field) => [field, activity[field] ?? null]);
+  return hashContent(JSON.stringify(source));
+}
+
+function hasOnlyIgnoredUpdates(updates) {
+  const keys = Object.keys(updates ?? {});
+  return keys.length > 0 && keys.every((key) => IGNORED_UPDATE_KEYS.has(key));
 }
 
 function stripExistingBlock(description) {
@@ -27,87 +113,245 @@ function stripExistingBlock(description) {
   const markers = [...getAllMarkers(), ...LEGACY_MARKERS];
   return markers
     .reduce((text, marker) => {
-      const regex = new RegExp(`${escapeRegExp(marker)}[\s\S]*?$`, 'm');
+      // our block is always appended last, so everything from the marker onwards is ours
+      const regex = new RegExp(`${escapeRegExp(marker)}[\\s\\S]*$`);
       return text.replace(regex, '').trim();
     }, description)
     .trim();
 }
 
-export async function processActivity({ athleteId, activityId }) {
-  const alreadyProcessed = await isActivityProcessed({ athleteId, activityId });
-  if (alreadyProcessed) {
-    console.log(`Skipping activity ${activityId} for athlete ${athleteId} — already processed.`);
-    return;
+function buildActivityContext(activity) {
+  const indoor = Boolean(
+    activity.trainer ||
+      activity.sport_type?.toLowerCase().includes('virtual') ||
+      activity.workout_type === 11 ||
+      activity.indoor,
+  );
+
+  return {
+    indoor,
+    temperature: activity.average_temp,
+    altitude: activity.total_elevation_gain,
+    sportType: activity.sport_type,
+  };
+}
+
+// Mean HR as a share of heart-rate reserve: an intensity measure every mode has, power meter or not.
+function computeHrrIntensity(heartrate, heartRateMax, heartRateRest) {
+  const usable = heartrate.filter((value) => value > 0);
+  if (!heartRateMax || !heartRateRest || heartRateMax <= heartRateRest || usable.length === 0) {
+    return null;
   }
+  const avgHr = usable.reduce((acc, value) => acc + value, 0) / usable.length;
+  return Math.round(((avgHr - heartRateRest) / (heartRateMax - heartRateRest)) * 1000) / 10;
+}
 
-  try {
-    const { accessToken, analysisProfile } = await getValidToken(athleteId);
-    const [activity, streamsRaw] = await Promise.all([
-      fetchActivity(accessToken, activityId),
-      fetchStreams(accessToken, activityId),
-    ]);
-
-    const streams = sanitizeStreams(streamsRaw);
-    const metrics = calculateMetrics(streams, {
-      heartRateMax: activity.athlete?.max_heartrate ?? activity.max_heartrate,
-      heartRateRest: activity.athlete?.resting_heartrate ?? activity.resting_heartrate,
-    });
-    if (metrics.error) {
-      console.warn(`Unable to compute metrics for activity ${activityId}: ${metrics.error}`);
-      return;
-    }
+function historyMode(row) {
+  if (row.analysis_mode ?? row.context?.analysisMode) {
+    return row.analysis_mode ?? row.context.analysisMode;
+  }
+  // rows stored before the mode was recorded are either runs or power rides
+  return isRunningSport(row.context?.sportType) ? 'running' : 'cycling';
+}
 
-    const hrr = computeHrrZones({
-      heartRateMax: activity.athlete?.max_heartrate ?? activity.max_heartrate,
-      heartRateRest: activity.athlete?.resting_heartrate ?? activity.resting_heartrate,
-      heartrate: streams.heartrate,
-    });
+export async function loadBaselineHistory(athleteId, baselineConfig = null) {
+  const { windowDays } = resolveBaselineConfig(baselineConfig);
+  const sinceDate = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+  return loadBaselineMetrics(athleteId, sinceDate);
+}
 
-    const sinceDate = new Date(Date.now() - 56 * 24 * 60 * 60 * 1000);
-    const history = await loadBaselineMetrics(athleteId, sinceDate);
-    const baseline = computeDurabilityBaseline(history);
+// TSS of the rides before this one, far enough back for CTL to have settled.
+export async function loadTrainingLoadHistory(athleteId, rideDate) {
+  const until = new Date(rideDate ?? Date.now());
+  const since = new Date(until.getTime() - LOAD_DEFAULTS.historyDays * 24 * 60 * 60 * 1000);
+  return loadTrainingStressHistory(athleteId, since, until);
+}
 
-    const cadenceSummary = summarizeCadenceFatigue(
-      metrics.cadenceDrop,
-      metrics.hrCreep,
-      metrics.cadenceStability,
-    );
+export async function analyzeStreams({
+  streamsRaw,
+  activity,
+  analysisProfile,
+  history: fullHistory = [],
+  athleteId = null,
+  segmentation,
+  settings = null,
+  storedPowerModel = null,
+  baselineConfig = null,
+  loadHistory = [],
+  context: extraContext,
+}) {
+  const streams = sanitizeStreams(streamsRaw);
+  const running = isRunningSport(activity.sport_type);
+  if (!running && streams.watts.length < 10 && !isHrOnlySport(activity.sport_type)) {
+    return { error: 'Insufficient data' };
+  }
+  // stored athlete settings win; the activity payload only occasionally carries athlete physiology
+  const heartRateMax = settings?.maxHeartRate ?? activity.athlete?.max_heartrate ?? activity.max_heartrate;
+  const heartRateRest = settings?.restingHeartRate ?? activity.athlete?.resting_heartrate ?? activity.resting_heartrate;
+  const segmentationMode = segmentation ?? process.env.DEFAULT_SEGMENTATION_MODE;
+  const metrics = running
+    ? calculateRunningMetrics(streams, { segmentation: segmentationMode, dataGuards: DATA_GUARDS })
+    : calculateMetrics(streams, {
+        heartRateMax,
+        heartRateRest,
+        segmentation: segmentationMode,
+        ftp: settings?.ftp,
+        weightKg: settings?.weightKg,
+        // the baseline window doubles as the "recent best efforts" pool for the CP fit
+        recentMeanMaxPower: mergeMeanMaxPower(...fullHistory.map((row) => row.mean_max_power)),
+        storedPowerModel,
+        laps: activity.laps,
+        scoreModel: SCORE_MODEL,
+        dataGuards: DATA_GUARDS,
+      });
+  if (metrics.error) {
+    return { error: metrics.error };
+  }
+  // every analysis mode shares athlete_metrics but only ever baselines against itself
+  const history = fullHistory.filter((row) => historyMode(row) === metrics.mode);
 
-    const indoor = Boolean(
-      activity.trainer ||
-        activity.sport_type?.toLowerCase().includes('virtual') ||
-        activity.workout_type === 11 ||
-        activity.indoor,
+  const hrr = computeHrrZones({ heartRateMax, heartRateRest, heartrate: streams.heartrate });
+
+  const cadenceSummary = summarizeCadenceFatigue(
+    metrics.cadenceDrop,
+    metrics.hrCreep,
+    metrics.cadenceStability,
+  );
+
+  const activityContext = buildActivityContext(activity);
+  if (activityContext.temperature == null && metrics.heat) {
+    // Strava only sets average_temp for some devices; the temp stream is the fallback
+    activityContext.temperature = Math.round((metrics.heat.earlyTemp + metrics.heat.lateTemp) / 2);
+  }
+  const context = {
+    ...activityContext,
+    analysisMode: metrics.mode,
+    durationSeconds: metrics.segmentation?.movingSeconds != null ? Math.round(metrics.segmentation.movingSeconds) : null,
+    hrrIntensity: computeHrrIntensity(streams.heartrate, heartRateMax, heartRateRest),
+    physiology: {
+      maxHeartRate: heartRateMax ?? null,
+      restingHeartRate: heartRateRest ?? null,
+      ftp: settings?.ftp ?? null,
+      weightKg: settings?.weightKg ?? null,
+    },
+    ...extraContext,
+  };
+  const baseline = computeDurabilityBaseline(history, { context, current: metrics, config: baselineConfig });
+  const trainingLoad = computeLoadState(loadHistory, activity.start_date ?? Date.now());
+
+  const profileKey = analysisProfile ?? DEFAULT_PROFILE;
+  const renderer = getRenderer(profileKey, metrics.mode);
+  const block = await renderer.render({
+    metrics,
+    baseline,
+    hrr,
+    cadenceSummary,
+    context,
+    trainingLoad,
+    activity,
+    history,
+    athleteId,
+  });
+
+  return { metrics, baseline, hrr, cadenceSummary, context, trainingLoad, profileKey, block };
+}
+
+export async function storeActivityMetrics({
+  athleteId,
+  activityId,
+  activityDate,
+  metrics,
+  context,
+  trainingLoad = null,
+}) {
+  await saveAthleteMetrics({
+    athleteId,
+    activityId,
+    activityDate,
+    pwHrDrift: metrics.pwHrDrift,
+    rolling5Diff: metrics.rolling5Diff,
+    power150Delta: metrics.power150Delta,
+    z2Early: metrics.z2Early,
+    z2Late: metrics.z2Late,
+    cadenceDrop: metrics.cadenceDrop,
+    hrCreep: metrics.hrCreep,
+    powerZones: metrics.powerZones,
+    workDurability: metrics.workDurability,
+    meanMaxPower: metrics.meanMaxPower,
+    durabilityScore: metrics.durabilityScore ?? null,
+    scoreModelVersion: metrics.durabilityBreakdown?.version ?? null,
+    analysisMode: metrics.mode,
+    powerFade: metrics.powerFade ?? null,
+    efficiencyDecline: metrics.efficiencyDecline ?? null,
+    wattsPerBeatSlope: metrics.wattsPerBeatTrend?.slopePercentPerHour ?? null,
+    cadenceStability: metrics.cadenceStability?.ratioPercent ?? null,
+    // everything the renderers saw, so new analyses can run over old rides without refetching streams
+    metrics,
+    metricsVersion: METRICS_VERSION,
+    tss: metrics.trainingStress?.tss ?? null,
+    trainingLoad,
+    context,
+  });
+}
+
+export async function processActivity({ athleteId, activityId, aspectType = 'create', updates = null }) {
+  const cached = await getProcessedActivity({ athleteId, activityId });
+  if (cached && aspectType !== 'update') {
+    console.log(`Skipping activity ${activityId} for athlete ${athleteId} — already processed.`);
+    return;
+  }
+  if (cached && hasOnlyIgnoredUpdates(updates)) {
+    console.log(
+      `Skipping update for activity ${activityId} — only ${Object.keys(updates).join(', ')} changed.`,
     );
+    return;
+  }
 
-    const context = {
-      indoor,
-      temperature: activity.average_temp,
-      altitude: activity.total_elevation_gain,
-      sportType: activity.sport_type,
-    };
+  try {
+    const { accessToken, analysisProfile, segmentationMode, baselineConfig } = await getValidToken(athleteId);
+    const activity = await fetchActivity(accessToken, activityId);
+    const sourceHash = computeSourceHash(activity);
 
-    const profileKey = analysisProfile ?? DEFAULT_PROFILE;
-    const renderer = getRenderer(profileKey);
-    const block = await renderer.render({
-      metrics,
-      baseline,
-      hrr,
-      cadenceSummary,
-      context,
+    if (cached && cached.sourceHash === sourceHash) {
+      console.log(`Ignoring update for activity ${activityId} — no analysis-relevant changes.`);
+      return;
+    }
+
+    const streamsRaw = await fetchStreams(accessToken, activityId);
+
+    const history = await loadBaselineHistory(athleteId, baselineConfig);
+    const settings = await loadSettingsForActivity(athleteId, activity);
+    const storedPowerModel = await getAthletePowerModel(athleteId);
+    const loadHistory = await loadTrainingLoadHistory(athleteId, activity.start_date);
+    const analysis = await analyzeStreams({
+      streamsRaw,
       activity,
+      analysisProfile,
       history,
       athleteId,
+      segmentation: segmentationMode,
+      settings,
+      storedPowerModel,
+      baselineConfig,
+      loadHistory,
     });
+    if (analysis.error) {
+      console.warn(`Unable to compute metrics for activity ${activityId}: ${analysis.error}`);
+      return;
+    }
+
+    const { metrics, baseline, hrr, cadenceSummary, context, trainingLoad, profileKey, block } = analysis;
 
     console.log('Durability metrics', {
       athleteId,
       activityId,
       metrics,
       baseline,
+      trainingLoad,
       hrr,
       cadenceSummary,
       profileKey,
+      reprocessed: Boolean(cached),
     });
 
     const description = stripExistingBlock(activity.description ?? '');
@@ -115,23 +359,41 @@ export async function processActivity({ athleteId, activityId }) {
 
     await updateActivityDescription(accessToken, activityId, combinedDescription);
 
-    await saveAthleteMetrics({
+    await storeActivityMetrics({
       athleteId,
       activityId,
       activityDate: activity.start_date,
-      pwHrDrift: metrics.pwHrDrift,
-      rolling5Diff: metrics.rolling5Diff,
-      power150Delta: metrics.power150Delta,
-      z2Early: metrics.z2Early,
-      z2Late: metrics.z2Late,
-      cadenceDrop: metrics.cadenceDrop,
-      hrCreep: metrics.hrCreep,
+      metrics,
       context,
+      trainingLoad,
     });
 
-    await markActivityProcessed({ athleteId, activityId });
+    if (metrics.criticalPower?.source === 'fitted') {
+      await upsertAthletePowerModel({
+        athleteId,
+        cp: metrics.criticalPower.cp,
+        wPrime: metrics.criticalPower.wPrime,
+        r2: metrics.criticalPower.r2,
+        meanMaxPower: mergeMeanMaxPower(...history.map((row) => row.mean_max_power), metrics.meanMaxPower),
+        activityId,
+      });
+    }
+
+    await markActivityProcessed({ athleteId, activityId, sourceHash });
   } catch (error) {
     console.error('Failed to process activity', error);
     throw error;
   }
 }
+
+export async function purgeActivity({ athleteId, activityId }) {
+  const { metricsDeleted, chartUrls } = await deleteActivityData({ athleteId, activityId });
+  const chartsDeleted = await deleteChartArtifacts(chartUrls);
+  return { metricsDeleted, chartsDeleted };
+}
+
+export async function purgeAthlete(athleteId) {
+  const { metricsDeleted, chartUrls } = await purgeAthleteData(athleteId);
+  const chartsDeleted = await deleteChartArtifacts(chartUrls);
+  return { metricsDeleted, chartsDeleted };
+}
@@ -13,6 +13,7 @@ export default {
   label: 'Coca-Cola equivalents',
   description: 'Express calories burned as cans of Coca-Cola and sugar cubes.',
   marker: MARKER,
+  modes: ['cycling', 'running'],
   async render({ activity, metrics }) {
     const calories = activity.calories ?? activity.kilojoules ?? metrics?.energy ?? null;
     const lines = [MARKER, 'Coca-Cola burn report:'];
@@ -1,41 +1,169 @@
+import {
+  describeBaselineRanks,
+  describeGuardFailure,
+  formatBaselineComparison,
+  formatNumber,
+  isStreamReliable,
+} from './format.js';
+
 const MARKER = '[DurableRider summary v0.1]';
 
-function formatNumber(value, { suffix = '', digits = 1, defaultText = 'n/a' } = {}) {
-  if (value == null || Number.isNaN(value)) {
-    return defaultText;
+const STREAM_LABELS = { heartrate: 'HR', watts: 'power', cadence: 'cadence' };
+const SKIPPED_TEXT = 'skipped (data quality)';
+
+function summarizeQualityIssues(quality) {
+  const groups = new Map();
+  quality.issues.forEach((issue) => {
+    const key = `${STREAM_LABELS[issue.stream] ?? issue.stream} ${issue.type}`;
+    const group = groups.get(key) ?? { count: 0, seconds: 0 };
+    group.count += 1;
+    group.seconds += issue.seconds;
+    groups.set(key, group);
+  });
+  return Array.from(groups.entries())
+    .sort((a, b) => b[1].seconds - a[1].seconds)
+    .slice(0, 3)
+    .map(([label, group]) => `${label}${group.count > 1 ? ` ×${group.count}` : ''} (${Math.round(group.seconds)} s)`);
+}
+
+function formatInterval(interval, level, { suffix = '', digits = 1 } = {}) {
+  if (!interval) {
+    return '';
+  }
+  return ` [${level}% CI ${interval.low.toFixed(digits)} to ${interval.high.toFixed(digits)}${suffix}]`;
+}
+
+function describeScoreDrivers(breakdown) {
+  const drivers = (breakdown?.components ?? [])
+    .filter((component) => component.pointsLost >= 0.5)
+    .sort((a, b) => b.pointsLost - a.pointsLost)
+    .slice(0, 3)
+    .map((component) => `${component.label} −${component.pointsLost.toFixed(1)}`);
+  return drivers.length > 0 ? drivers.join(' | ') : null;
+}
+
+function formatDuration(seconds) {
+  const rounded = Math.round(seconds);
+  return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+function describeZoneShift({ early, late, shift }) {
+  // only zones that actually moved; a steady ride would otherwise print a row of zeros
+  const movedZones = Object.entries(shift)
+    .filter(([, delta]) => Math.abs(delta) >= 1)
+    .map(([key, delta]) => {
+      const sign = delta >= 0 ? '+' : '';
+      const from = formatNumber(early[key], { suffix: '%', digits: 0 });
+      const to = formatNumber(late[key], { suffix: '%', digits: 0 });
+      return `${key.toUpperCase()} ${from}→${to} (${sign}${delta.toFixed(0)})`;
+    });
+  return movedZones.length > 0 ? movedZones.join(' | ') : 'stable';
+}
+
+function formatRideContext(metrics, context) {
+  if (context?.indoor == null) {
+    return null;
+  }
+  const tags = [];
+  tags.push(context.indoor ? 'Indoor' : 'Outdoor');
+  if (context.temperature) {
+    tags.push(`Temp: ${context.temperature}°C`);
   }
-  return `${value.toFixed(digits)}${suffix}`;
+  if (context.altitude != null) {
+    tags.push(`Altitude gain: ${context.altitude.toFixed(0)} m`);
+  }
+  if (metrics.segmentation?.mode === 'moving' && metrics.segmentation.pausedSeconds >= 60) {
+    const pausedMinutes = Math.round(metrics.segmentation.pausedSeconds / 60);
+    tags.push(`Moving-time split (${pausedMinutes} min paused excluded)`);
+  }
+  return `• Ride context: ${tags.join(' | ')}`;
 }
 
-function formatBaselineComparison(current, baseline, { suffix = '', digits = 1 } = {}) {
-  if (current == null) {
-    return 'n/a';
+// What the rider brought into the ride: a poor score on a tired day reads differently from one on a fresh day.
+function describeTrainingLoad(trainingStress, trainingLoad) {
+  const parts = [];
+  if (trainingStress?.tss != null) {
+    const source = { cp: ', vs CP', hr: ', from HR' }[trainingStress.thresholdSource] ?? '';
+    parts.push(`TSS ${Math.round(trainingStress.tss)} (IF ${trainingStress.intensityFactor.toFixed(2)}${source})`);
   }
-  const value = formatNumber(current, { suffix, digits });
-  if (baseline == null) {
-    return value;
+  if (trainingLoad) {
+    const tsb = Math.round(trainingLoad.tsb);
+    const provisional = trainingLoad.provisional ? ` (provisional, ${trainingLoad.historyDays} days of history)` : '';
+    parts.push(
+      `CTL ${Math.round(trainingLoad.ctl)}`,
+      `ATL ${Math.round(trainingLoad.atl)}`,
+      `TSB ${tsb < 0 ? '−' : '+'}${Math.abs(tsb)}: ${trainingLoad.form} going in${provisional}`,
+    );
   }
-  const delta = current - baseline;
-  const sign = delta >= 0 ? '+' : '';
-  const deltaText = `${sign}${Math.abs(delta).toFixed(digits)}${suffix}`;
-  return `${value} (${deltaText} vs baseline)`;
+  return parts.length > 0 ? `• Training load: ${parts.join(' | ')}` : null;
 }
 
-function buildDescription({ metrics, baseline, hrr, cadenceSummary, context }) {
+function buildDescription({ metrics, baseline, hrr, cadenceSummary, context, trainingLoad }) {
+  const quality = metrics.dataQuality;
+  const hrReliable = isStreamReliable(quality, 'heartrate');
+  const powerReliable = isStreamReliable(quality, 'watts');
+  const gate = (reliable, text) => (reliable ? text : SKIPPED_TEXT);
+  // too short or too patchy: the headline numbers are noise, so they are withheld rather than qualified
+  const guardFailure = describeGuardFailure(metrics.dataGuards);
+  const guarded = (reliable, text) => guardFailure ?? gate(reliable, text);
+  const confidence = metrics.confidence;
+  const range = (key, options) => formatInterval(confidence?.[key], confidence?.level, options);
   const durabilityScoreText =
     metrics.durabilityScore == null ? 'n/a' : `${Math.round(metrics.durabilityScore)}/100`;
-  const lines = [
-    MARKER,
+  const lines = [MARKER];
+  const heat = metrics.heat;
+  // only worth a mention when the air warmed enough to move HR by a beat or more
+  const heatText =
+    heat?.adjustedPwHrDrift != null && Math.abs(heat.hrEffect) >= 1
+      ? ` | heat-adjusted ${formatNumber(heat.adjustedPwHrDrift, { suffix: '%', digits: 1 })} ` +
+        `(${heat.tempChange >= 0 ? '+' : ''}${heat.tempChange.toFixed(0)}°C)`
+      : '';
+
+  const degraded = ['heartrate', 'watts'].some(
+    (key) => quality?.streams?.[key]?.level && quality.streams[key].level !== 'good',
+  );
+  if (quality?.level && (quality.level !== 'good' || degraded)) {
+    const issues = summarizeQualityIssues(quality);
+    lines.push(
+      `⚠️ Data quality ${Math.round(quality.score)}/100 (${quality.level})${issues.length ? `: ${issues.join(', ')}` : ''}`,
+    );
+  }
+
+  lines.push(
     'Durability snapshot:',
-    `• Durability score: ${durabilityScoreText}`,
-    `• Power fade Q1→Q4: ${formatNumber(metrics.powerFade, { suffix: '%', digits: 1 })}`,
-    `• Pw:HR drift (1st vs 2nd half): ${formatBaselineComparison(metrics.pwHrDrift, baseline?.pwHrDrift, { suffix: '%', digits: 1 })}`,
-    `• Efficiency decline: ${formatNumber(metrics.efficiencyDecline, { suffix: '%', digits: 1, defaultText: 'n/a' })}`,
-    `• W/HR slope: ${formatNumber(metrics.wattsPerBeatTrend?.slopePercentPerHour, { suffix: '%/h', digits: 1 })}`,
-    `• Rolling 5min delta: ${formatBaselineComparison(metrics.rolling5Diff, baseline?.rolling5Diff, { suffix: ' W', digits: 0 })}`,
-    `• Power @150 bpm delta: ${formatBaselineComparison(metrics.power150Delta, baseline?.power150Delta, { suffix: ' W', digits: 0 })}`,
-    `• Z2 share early→late: ${formatNumber(metrics.z2Early, { suffix: '%', digits: 1 })} → ${formatNumber(metrics.z2Late, { suffix: '%', digits: 1 })}`,
-  ];
+    `• Durability score: ${guarded(hrReliable && powerReliable, durabilityScoreText)}`,
+  );
+  const drivers = describeScoreDrivers(metrics.durabilityBreakdown);
+  if (drivers && hrReliable && powerReliable && !guardFailure) {
+    lines.push(`• Score pulled down by: ${drivers}`);
+  }
+  const loadLine = describeTrainingLoad(metrics.trainingStress, trainingLoad);
+  if (loadLine) {
+    lines.push(loadLine);
+  }
+  lines.push(
+    `• Power fade Q1→Q4: ${guarded(powerReliable, `${formatNumber(metrics.powerFade, { suffix: '%', digits: 1 })}${range('powerFade', { suffix: '%' })}`)}`,
+    `• Pw:HR drift (1st vs 2nd half): ${guarded(hrReliable && powerReliable, `${formatBaselineComparison(metrics.pwHrDrift, baseline?.pwHrDrift, { suffix: '%', digits: 1 })}${range('pwHrDrift', { suffix: '%' })}${heatText}`)}`,
+    `• Efficiency decline: ${guarded(hrReliable && powerReliable, `${formatNumber(metrics.efficiencyDecline, { suffix: '%', digits: 1, defaultText: 'n/a' })}${range('efficiencyDecline', { suffix: '%' })}`)}`,
+    `• W/HR slope: ${guarded(hrReliable && powerReliable, `${formatNumber(metrics.wattsPerBeatTrend?.slopePercentPerHour, { suffix: '%/h', digits: 1 })}${range('wattsPerBeatSlope', { suffix: '%/h' })}`)}`,
+    `• Rolling 5min delta: ${gate(powerReliable, formatBaselineComparison(metrics.rolling5Diff, baseline?.rolling5Diff, { suffix: ' W', digits: 0 }))}`,
+    `• Power @${metrics.powerAtHr?.anchorHr ?? 150} bpm delta: ${gate(hrReliable && powerReliable, formatBaselineComparison(metrics.power150Delta, baseline?.power150Delta, { suffix: ' W', digits: 0 }))}`,
+    `• Z2 share early→late: ${gate(hrReliable, `${formatNumber(metrics.z2Early, { suffix: '%', digits: 1 })} → ${formatNumber(metrics.z2Late, { suffix: '%', digits: 1 })}`)}`,
+  );
+
+  const ranks = describeBaselineRanks(baseline, {
+    powerFade: 'Power fade',
+    pwHrDrift: 'Pw:HR drift',
+    efficiencyDecline: 'EF decline',
+    hrCreep: 'HR creep',
+  });
+  if (ranks && hrReliable && powerReliable && !guardFailure) {
+    lines.push(ranks);
+  }
+
+  if (metrics.powerZones?.shift && powerReliable) {
+    lines.push(`• Power zone shift early→late (FTP ${metrics.powerZones.ftp} W): ${describeZoneShift(metrics.powerZones)}`);
+  }
 
   if (metrics.cadenceStability) {
     const stabilityPercent = formatNumber(metrics.cadenceStability.ratioPercent, { suffix: '%', digits: 0 });
@@ -47,7 +175,7 @@ function buildDescription({ metrics, baseline, hrr, cadenceSummary, context }) {
 
   lines.push(`• Cadence/HR fatigue: ${cadenceSummary}`);
 
-  if (hrr?.z2HrrShare != null) {
+  if (hrr?.z2HrrShare != null && hrReliable) {
     lines.push(`• HRR-based Z2 share: ${formatNumber(hrr.z2HrrShare, { suffix: '%', digits: 1 })}`);
   }
 
@@ -75,8 +203,29 @@ function buildDescription({ metrics, baseline, hrr, cadenceSummary, context }) {
 
   lines.push('');
 
-  if (metrics.quartiles?.length) {
-    lines.push('Quartile profile (Avg P | NP | HR | EF):');
+  if (metrics.intervals && powerReliable) {
+    // structured sessions: reps compared with each other say more than quartiles averaged over recoveries
+    const { reps, source } = metrics.intervals;
+    lines.push(`Intervals (${reps.length} reps, ${source === 'laps' ? 'from laps' : 'auto-detected'}; Avg P | NP | HR | EF | Pw:HR):`);
+    reps.forEach((rep) => {
+      const avgPower = formatNumber(rep.avgPower, { suffix: ' W', digits: 0 });
+      const np = formatNumber(rep.normalizedPower, { suffix: ' W', digits: 0 });
+      const hr = formatNumber(rep.avgHr, { suffix: ' bpm', digits: 0 });
+      const ef = formatNumber(rep.efficiencyFactor, { digits: 2 });
+      const cadence = rep.avgCadence != null ? ` | ${rep.avgCadence.toFixed(0)} rpm` : '';
+      const decoupling = gate(hrReliable, formatNumber(rep.decoupling, { suffix: '%', digits: 1 }));
+      lines.push(`R${rep.rep} ${formatDuration(rep.durationSeconds)}: ${avgPower} | NP ${np} | ${hr} | EF ${ef} | ${decoupling}${cadence}`);
+    });
+    const { powerFade, powerSlopePercentPerRep, hrDriftPerRep, efficiencyDecline } = metrics.intervals;
+    lines.push(
+      `Rep trend: power ${formatNumber(powerFade, { suffix: '%', digits: 1 })} fade first→last (${formatNumber(powerSlopePercentPerRep, { suffix: '%/rep', digits: 1 })}) | ` +
+        `HR ${gate(hrReliable, formatNumber(hrDriftPerRep, { suffix: ' bpm/rep', digits: 1 }))} | ` +
+        `EF decline ${gate(hrReliable, formatNumber(efficiencyDecline, { suffix: '%', digits: 1 }))}`,
+    );
+    lines.push('');
+  } else if (metrics.quartiles?.length && powerReliable) {
+    const splitLabel = metrics.segmentation?.mode === 'moving' ? ', moving time' : '';
+    lines.push(`Quartile profile${splitLabel} (Avg P | NP | HR | EF):`);
     metrics.quartiles.forEach((quartile, index) => {
       const label = `Q${index + 1}`;
       const avgPower = formatNumber(quartile.avgPower, { suffix: ' W', digits: 0 });
@@ -88,7 +237,7 @@ function buildDescription({ metrics, baseline, hrr, cadenceSummary, context }) {
     lines.push('');
   }
 
-  if (metrics.wattsPerBeatTrend) {
+  if (metrics.wattsPerBeatTrend && hrReliable && powerReliable) {
     const trend = metrics.wattsPerBeatTrend;
     const start = formatNumber(trend.start, { digits: 2 });
     const end = formatNumber(trend.end, { digits: 2 });
@@ -96,7 +245,7 @@ function buildDescription({ metrics, baseline, hrr, cadenceSummary, context }) {
     lines.push('');
   }
 
-  if (metrics.fatigueResistance?.length) {
+  if (metrics.fatigueResistance?.length && powerReliable) {
     lines.push('Fatigue resistance (best average power):');
     metrics.fatigueResistance.forEach((entry) => {
       const hours = (entry.offset / 3600).toFixed(1);
@@ -113,28 +262,159 @@ function buildDescription({ metrics, baseline, hrr, cadenceSummary, context }) {
     lines.push('');
   }
 
-  if (context?.indoor != null) {
-    const tags = [];
-    tags.push(context.indoor ? 'Indoor' : 'Outdoor');
-    if (context.temperature) {
-      tags.push(`Temp: ${context.temperature}°C`);
+  const terrain = metrics.terrain;
+  // a flat ride gains nothing from the split, so only show it when the route actually varied
+  if (terrain && (terrain.shares.climbing ?? 0) + (terrain.shares.descending ?? 0) >= 10 && powerReliable) {
+    const share = (key) => formatNumber(terrain.shares[key], { suffix: '%', digits: 0 });
+    const describe = (comparison) =>
+      [
+        `fade ${formatNumber(comparison.powerFade, { suffix: '%', digits: 1 })}`,
+        `Pw:HR ${gate(hrReliable, formatNumber(comparison.pwHrDrift, { suffix: '%', digits: 1 }))}`,
+      ].join(' | ');
+    // classes and bands too short in either half are not compared; with none left the header is dropped
+    const comparisons = terrain.climbsByGradient.map((band) => {
+      const range = band.maxGrade != null ? `${band.minGrade}–${band.maxGrade}%` : `${band.minGrade}%+`;
+      return `• Climbs ${range}: ${describe(band)}`;
+    });
+    if (terrain.byClass.flat) {
+      comparisons.unshift(`• Flat: ${describe(terrain.byClass.flat)}`);
     }
-    if (context.altitude != null) {
-      tags.push(`Altitude gain: ${context.altitude.toFixed(0)} m`);
+    if (comparisons.length > 0) {
+      const split = `climb ${share('climbing')} | flat ${share('flat')} | descent ${share('descending')}`;
+      lines.push(`Terrain-matched (${split}):`, ...comparisons);
+      if (terrain.durabilityScore != null) {
+        const score = gate(hrReliable, `${Math.round(terrain.durabilityScore)}/100`);
+        lines.push(`• Terrain-normalized durability: ${score}`);
+      }
+      lines.push('');
     }
-    lines.push(`• Ride context: ${tags.join(' | ')}`);
+  }
+
+  if (metrics.criticalPower && metrics.wPrimeBalance && powerReliable) {
+    const { cp, wPrime, source, lastQuartileChangePercent } = metrics.criticalPower;
+    const { minBalancePercent, drains } = metrics.wPrimeBalance;
+    const sourceText = { fitted: 'fitted', stored: 'saved model', ftp: 'from FTP' }[source] ?? source;
+    const parts = [
+      `min ${formatNumber(Math.max(minBalancePercent, 0), { suffix: '%', digits: 0 })}`,
+      `drains ≥${drains.depthPercent}% W′ early→late ${drains.early} → ${drains.late}`,
+    ];
+    if (lastQuartileChangePercent != null) {
+      parts.push(`Q4 CP ${formatNumber(lastQuartileChangePercent, { suffix: '%', digits: 1 })} vs Q1`);
+    }
+    lines.push(
+      `W′ balance (CP ${cp.toFixed(0)} W, W′ ${(wPrime / 1000).toFixed(1)} kJ, ${sourceText}): ${parts.join(' | ')}`,
+    );
+    lines.push('');
+  }
+
+  const workThresholds = metrics.workDurability?.thresholds ?? [];
+  if (workThresholds.length > 1 && powerReliable) {
+    const { totalKj, kjPerKg } = metrics.workDurability;
+    const kjPerKgText = kjPerKg != null ? `, ${kjPerKg.toFixed(1)} kJ/kg` : '';
+    lines.push(`Work-based durability (best power after kJ done; ride total ${Math.round(totalKj)} kJ${kjPerKgText}):`);
+    workThresholds.forEach((entry) => {
+      const label = entry.kj === 0 ? 'Fresh' : `After ${entry.kj} kJ`;
+      const segments = Object.entries(entry.bestByDuration)
+        .sort((a, b) => Number(a[0]) - Number(b[0]))
+        .map(([duration, power]) => {
+          const minutes = Math.round(Number(duration) / 60);
+          const perKg = entry.bestPerKgByDuration?.[duration];
+          const perKgText = perKg != null ? ` (${perKg.toFixed(2)} W/kg)` : '';
+          const change = entry.changeFromFresh?.[duration];
+          const changeText = change != null ? ` ${change >= 0 ? '+' : ''}${change.toFixed(0)}%` : '';
+          return `${minutes}' ${formatNumber(power, { suffix: ' W', digits: 0 })}${perKgText}${changeText}`;
+        });
+      lines.push(`${label} → ${segments.join(' | ')}`);
+    });
+    lines.push('');
+  }
+
+  const contextLine = formatRideContext(metrics, context);
+  if (contextLine) {
+    lines.push(contextLine);
   }
 
   lines.push('');
   return `${lines.join('\n')}`;
 }
 
+// Rides without a power meter: speed stands in for power, and every line says so.
+function buildHrOnlyDescription({ metrics, baseline, hrr, cadenceSummary, context, trainingLoad }) {
+  const quality = metrics.dataQuality;
+  const hrReliable = isStreamReliable(quality, 'heartrate');
+  const guardFailure = describeGuardFailure(metrics.dataGuards);
+  const gate = (text) => guardFailure ?? (hrReliable ? text : SKIPPED_TEXT);
+  const lines = [MARKER];
+
+  if (quality?.level && (quality.level !== 'good' || quality.streams?.heartrate?.level !== 'good')) {
+    const issues = summarizeQualityIssues(quality);
+    lines.push(
+      `⚠️ Data quality ${Math.round(quality.score)}/100 (${quality.level})${issues.length ? `: ${issues.join(', ')}` : ''}`,
+    );
+  }
+
+  const { speedHr } = metrics;
+  const driftLabel = speedHr?.flatOnly ? 'Speed:HR drift on flat sections' : 'Speed:HR drift (no altitude, all terrain)';
+  const driftText =
+    metrics.speedHrDrift == null
+      ? `n/a (under ${speedHr?.flatOnly ? '5 min of flat riding' : '5 min moving'} per half)`
+      : formatBaselineComparison(metrics.speedHrDrift, baseline?.pwHrDrift, { suffix: '%', digits: 1 });
+  lines.push(
+    'Durability snapshot (HR only — no power data):',
+    `• ${driftLabel}: ${gate(driftText)}`,
+    `• HR creep (1st vs 2nd half): ${gate(formatBaselineComparison(metrics.hrCreep, baseline?.hrCreep, { suffix: ' bpm', digits: 1 }))}`,
+    `• Z2 share early→late: ${gate(`${formatNumber(metrics.z2Early, { suffix: '%', digits: 1 })} → ${formatNumber(metrics.z2Late, { suffix: '%', digits: 1 })}`)}`,
+  );
+  const ranks = describeBaselineRanks(baseline, { pwHrDrift: 'Speed:HR drift', hrCreep: 'HR creep' });
+  if (ranks && hrReliable && !guardFailure) {
+    lines.push(ranks);
+  }
+  // no power, so no TSS of its own, but the load from earlier rides still applies
+  const loadLine = describeTrainingLoad(metrics.trainingStress, trainingLoad);
+  if (loadLine) {
+    lines.push(loadLine);
+  }
+  if (metrics.hrrZones?.shift && hrReliable) {
+    const { heartRateRest, heartRateMax } = metrics.hrrZones;
+    lines.push(`• HRR zone shift early→late (${heartRateRest}–${heartRateMax} bpm): ${describeZoneShift(metrics.hrrZones)}`);
+  }
+  lines.push(`• Cadence/HR fatigue: ${cadenceSummary}`);
+  if (hrr?.z2HrrShare != null && hrReliable) {
+    lines.push(`• HRR-based Z2 share: ${formatNumber(hrr.z2HrrShare, { suffix: '%', digits: 1 })}`);
+  }
+  lines.push('');
+
+  if (metrics.quartiles?.length && hrReliable) {
+    const splitLabel = metrics.segmentation?.mode === 'moving' ? ', moving time' : '';
+    lines.push(`Quartile profile${splitLabel} (Speed | HR | Cadence):`);
+    metrics.quartiles.forEach((quartile, index) => {
+      const speed = formatNumber(quartile.avgSpeed != null ? quartile.avgSpeed * 3.6 : null, { suffix: ' km/h', digits: 1 });
+      const hr = formatNumber(quartile.avgHr, { suffix: ' bpm', digits: 0 });
+      const cadence = formatNumber(quartile.avgCadence, { suffix: ' rpm', digits: 0 });
+      lines.push(`Q${index + 1}: ${speed} | ${hr} | ${cadence}`);
+    });
+    lines.push('');
+  }
+
+  const contextLine = formatRideContext(metrics, context);
+  if (contextLine) {
+    lines.push(contextLine);
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
 export default {
   key: 'durable',
   label: 'Durable baseline summary',
   description: 'Detailed durability, cadence, and power fade analysis.',
   marker: MARKER,
-  async render({ metrics, baseline, hrr, cadenceSummary, context }) {
-    return buildDescription({ metrics, baseline, hrr, cadenceSummary, context });
+  modes: ['cycling', 'cycling_hr'],
+  async render({ metrics, baseline, hrr, cadenceSummary, context, trainingLoad }) {
+    if (metrics.mode === 'cycling_hr') {
+      return buildHrOnlyDescription({ metrics, baseline, hrr, cadenceSummary, context, trainingLoad });
+    }
+    return buildDescription({ metrics, baseline, hrr, cadenceSummary, context, trainingLoad });
   },
 };
@@ -0,0 +1,63 @@
+// Formatting shared by the durable and running summaries, so both print numbers, baselines and
+// hidden metrics the same way.
+
+export function formatNumber(value, { suffix = '', digits = 1, defaultText = 'n/a' } = {}) {
+  if (value == null || Number.isNaN(value)) {
+    return defaultText;
+  }
+  const text = value.toFixed(digits);
+  // a small negative value rounds to "-0", which reads as a change that is not there
+  return `${Number(text) === 0 ? text.replace('-', '') : text}${suffix}`;
+}
+
+export function formatBaselineComparison(current, baseline, { suffix = '', digits = 1 } = {}) {
+  if (current == null) {
+    return 'n/a';
+  }
+  const value = formatNumber(current, { suffix, digits });
+  if (baseline == null) {
+    return value;
+  }
+  const delta = formatNumber(current - baseline, { suffix, digits });
+  return `${value} (${delta.startsWith('-') ? '' : '+'}${delta} vs baseline)`;
+}
+
+function formatOrdinal(value) {
+  const tens = value % 100;
+  const suffix = tens >= 11 && tens <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][value % 10] ?? 'th';
+  return `${value}${suffix}`;
+}
+
+// Percentiles only exist once enough matching activities are in the window; otherwise the line is left out.
+export function describeBaselineRanks(baseline, labels) {
+  const parts = Object.entries(labels)
+    .filter(([key]) => baseline?.ranks?.[key] != null)
+    .map(([key, label]) => `${label} ${formatOrdinal(Math.round(baseline.ranks[key]))}`);
+  if (parts.length === 0) {
+    return null;
+  }
+  return `• Percentile vs your ${baseline.match.label} (last ${baseline.match.windowDays} days, n=${baseline.sampleSize}): ${parts.join(' | ')}`;
+}
+
+export function isStreamReliable(quality, key) {
+  if (quality?.coveragePercent != null && quality.coveragePercent < quality.minStreamScore) {
+    return false;
+  }
+  const score = quality?.streams?.[key]?.score;
+  return score == null || score >= quality.minStreamScore;
+}
+
+// `activity` names what was too short: "ride under 30 min", "run under 30 min".
+export function describeGuardFailure(guards, activity = 'ride') {
+  if (!guards || guards.passed) {
+    return null;
+  }
+  const reasons = [];
+  if (guards.reasons.includes('duration')) {
+    reasons.push(`${activity} under ${Math.round(guards.minDurationSeconds / 60)} min`);
+  }
+  if (guards.reasons.includes('coverage')) {
+    reasons.push(`only ${Math.round(guards.coveragePercent)}% usable data`);
+  }
+  return `hidden (${reasons.join(', ')})`;
+}
@@ -1,12 +1,19 @@
 import durable from './durable.js';
 import colaCalories from './colaCalories.js';
+import running from './running.js';
 
 const profiles = new Map([
   [durable.key, durable],
   [colaCalories.key, colaCalories],
+  [running.key, running],
 ]);
 
 const DEFAULT_PROFILE = durable.key;
+const MODE_DEFAULTS = { cycling: durable.key, cycling_hr: durable.key, running: running.key };
+
+function supportsMode(profile, mode) {
+  return (profile.modes ?? ['cycling']).includes(mode);
+}
 
 export function listProfiles() {
   return Array.from(profiles.values()).map((profile) => ({
@@ -42,9 +49,14 @@ export function isValidProfileKey(key) {
   return profiles.has(normalized);
 }
 
-export function getRenderer(key) {
-  const normalized = resolveProfileKey(key);
-  return profiles.get(normalized) ?? profiles.get(DEFAULT_PROFILE);
+// An athlete picks one profile for everything; when it cannot render this kind of activity
+// (a ride summary for a run, say) the mode's own default takes over.
+export function getRenderer(key, mode = 'cycling') {
+  const profile = profiles.get(resolveProfileKey(key)) ?? profiles.get(DEFAULT_PROFILE);
+  if (supportsMode(profile, mode)) {
+    return profile;
+  }
+  return profiles.get(MODE_DEFAULTS[mode]) ?? profile;
 }
 
 export function getAllMarkers() {
@@ -0,0 +1,111 @@
+import {
+  describeBaselineRanks,
+  describeGuardFailure,
+  formatBaselineComparison,
+  formatNumber,
+  isStreamReliable,
+} from './format.js';
+
+const MARKER = '[DurableRider run summary v0.1]';
+
+function formatPace(secondsPerKm) {
+  if (secondsPerKm == null || !Number.isFinite(secondsPerKm)) {
+    return 'n/a';
+  }
+  const rounded = Math.round(secondsPerKm);
+  return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}/km`;
+}
+
+function buildDescription({ metrics, baseline, hrr, context }) {
+  const hrReliable = isStreamReliable(metrics.dataQuality, 'heartrate');
+  // short or patchy runs: withhold the headline numbers rather than print noise
+  const guardText = describeGuardFailure(metrics.dataGuards, 'run');
+  const gate = (text) => guardText ?? (hrReliable ? text : 'skipped (data quality)');
+  const hasGap = metrics.gapHrDrift != null;
+  const lines = [MARKER, 'Running durability snapshot:'];
+
+  lines.push(
+    `• Durability score: ${gate(metrics.durabilityScore == null ? 'n/a' : `${Math.round(metrics.durabilityScore)}/100`)}`,
+  );
+  const drivers = (metrics.durabilityBreakdown?.components ?? [])
+    .filter((component) => component.pointsLost >= 0.5)
+    .sort((a, b) => b.pointsLost - a.pointsLost)
+    .map((component) => `${component.label} −${component.pointsLost.toFixed(1)}`);
+  if (drivers.length > 0 && hrReliable && !guardText) {
+    lines.push(`• Score pulled down by: ${drivers.join(' | ')}`);
+  }
+  lines.push(
+    `• ${hasGap ? 'GAP' : 'Pace'}:HR decoupling (1st vs 2nd half): ${gate(
+      formatBaselineComparison(hasGap ? metrics.gapHrDrift : metrics.paceHrDrift, baseline?.pwHrDrift, {
+        suffix: '%',
+        digits: 1,
+      }),
+    )}`,
+  );
+  if (hasGap) {
+    lines.push(`• Pace:HR decoupling (raw): ${gate(formatNumber(metrics.paceHrDrift, { suffix: '%', digits: 1 }))}`);
+  }
+  const fadeParts = [`pace ${formatNumber(metrics.paceFade, { suffix: '%', digits: 1 })}`];
+  if (metrics.gapFade != null) {
+    fadeParts.push(`GAP ${formatNumber(metrics.gapFade, { suffix: '%', digits: 1 })}`);
+  }
+  lines.push(`• Pace fade Q1→Q4: ${guardText ?? fadeParts.join(' | ')}`);
+  if (metrics.cadenceDrift != null) {
+    lines.push(
+      `• Cadence drift Q1→Q4: ${guardText ?? formatBaselineComparison(metrics.cadenceDrift, baseline?.cadenceDrop, { suffix: ' spm', digits: 1 })}`,
+    );
+  }
+  if (metrics.hrCreep != null && hrReliable) {
+    lines.push(`• HR creep: ${formatBaselineComparison(metrics.hrCreep, baseline?.hrCreep, { suffix: ' bpm', digits: 1 })}`);
+  }
+  const ranks = describeBaselineRanks(baseline, {
+    pwHrDrift: 'Decoupling',
+    hrCreep: 'HR creep',
+    cadenceDrop: 'Cadence drift',
+  });
+  if (ranks && hrReliable && !guardText) {
+    lines.push(ranks);
+  }
+  if (hrr?.z2HrrShare != null && hrReliable) {
+    lines.push(`• HRR-based Z2 share: ${formatNumber(hrr.z2HrrShare, { suffix: '%', digits: 1 })}`);
+  }
+  lines.push('');
+
+  if (metrics.quartiles?.length) {
+    const splitLabel = metrics.segmentation?.mode === 'moving' ? ', moving time' : '';
+    lines.push(`Quartile profile${splitLabel} (Pace | GAP | HR | Cadence):`);
+    metrics.quartiles.forEach((quartile, index) => {
+      const hr = formatNumber(quartile.avgHr, { suffix: ' bpm', digits: 0 });
+      const cadence = formatNumber(quartile.cadence, { suffix: ' spm', digits: 0 });
+      lines.push(
+        `Q${index + 1}: ${formatPace(quartile.paceSecondsPerKm)} | GAP ${formatPace(quartile.gapSecondsPerKm)} | ${hr} | ${cadence}`,
+      );
+    });
+    lines.push('');
+  }
+
+  if (context?.indoor != null) {
+    const tags = [context.indoor ? 'Treadmill' : 'Outdoor'];
+    if (context.temperature) {
+      tags.push(`Temp: ${context.temperature}°C`);
+    }
+    if (context.altitude != null) {
+      tags.push(`Elevation gain: ${context.altitude.toFixed(0)} m`);
+    }
+    lines.push(`• Run context: ${tags.join(' | ')}`);
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
+export default {
+  key: 'running',
+  label: 'Running durability summary',
+  description: 'Pace and grade-adjusted pace to HR decoupling, pace fade and cadence drift for runs and hikes.',
+  marker: MARKER,
+  modes: ['running'],
+  async render({ metrics, baseline, hrr, context }) {
+    return buildDescription({ metrics, baseline, hrr, context });
+  },
+};
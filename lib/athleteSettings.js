@@ -0,0 +1,93 @@
+import { listAthleteSettings } from './db.js';
+
+const SETTINGS_FIELDS = {
+  maxHeartRate: { min: 100, max: 230, integer: true, label: 'maxHeartRate (bpm)' },
+  restingHeartRate: { min: 25, max: 120, integer: true, label: 'restingHeartRate (bpm)' },
+  ftp: { min: 50, max: 2000, integer: true, label: 'ftp (W)' },
+  weightKg: { min: 30, max: 250, integer: false, label: 'weightKg' },
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export function toSettingsDate(value) {
+  if (value == null || value === '') {
+    return new Date().toISOString().slice(0, 10);
+  }
+  const text = String(value);
+  // Strava start_date_local is the athlete's wall clock tagged as Z, so its date part is the local day
+  const candidate = DATE_PATTERN.test(text) ? text : text.slice(0, 10);
+  const parsed = new Date(`${candidate}T00:00:00Z`);
+  // round-trip rejects calendar overflow such as 2026-02-30
+  if (
+    !DATE_PATTERN.test(candidate) ||
+    Number.isNaN(parsed.getTime()) ||
+    parsed.toISOString().slice(0, 10) !== candidate
+  ) {
+    return null;
+  }
+  return candidate;
+}
+
+export function validateSettingsInput(body) {
+  const errors = [];
+  const settings = {};
+
+  Object.entries(SETTINGS_FIELDS).forEach(([key, rule]) => {
+    const raw = body?.[key];
+    if (raw == null || raw === '') {
+      settings[key] = null;
+      return;
+    }
+    const value = Number(raw);
+    if (!Number.isFinite(value) || (rule.integer && !Number.isInteger(value)) || value < rule.min || value > rule.max) {
+      errors.push(`${rule.label} must be ${rule.integer ? 'a whole number ' : ''}between ${rule.min} and ${rule.max}`);
+      return;
+    }
+    settings[key] = value;
+  });
+
+  if (Object.values(settings).every((value) => value == null) && errors.length === 0) {
+    errors.push(`Provide at least one of: ${Object.keys(SETTINGS_FIELDS).join(', ')}`);
+  }
+  if (settings.maxHeartRate != null && settings.restingHeartRate != null) {
+    if (settings.restingHeartRate >= settings.maxHeartRate) {
+      errors.push('restingHeartRate must be lower than maxHeartRate');
+    }
+  }
+
+  const effectiveFrom = toSettingsDate(body?.effectiveFrom);
+  if (!effectiveFrom) {
+    errors.push('effectiveFrom must be a YYYY-MM-DD date');
+  }
+
+  return { settings: { ...settings, effectiveFrom }, errors };
+}
+
+// Each field resolves independently: an entry that only updates FTP keeps the max HR set months earlier.
+// Fields with no entry on or before the date fall back to the earliest later entry, so rides older than
+// the first saved settings (backfills, uploads) still get the athlete's best-known physiology.
+export function resolveSettingsAt(history, date) {
+  const day = toSettingsDate(date) ?? toSettingsDate();
+  const ordered = [...history].sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom));
+  const past = ordered.filter((entry) => entry.effectiveFrom <= day);
+  const future = ordered.filter((entry) => entry.effectiveFrom > day).reverse();
+
+  const resolved = { date: day, effectiveFrom: {} };
+  Object.keys(SETTINGS_FIELDS).forEach((key) => {
+    const entry = past.find((candidate) => candidate[key] != null) ?? future.find((candidate) => candidate[key] != null);
+    resolved[key] = entry ? entry[key] : null;
+    resolved.effectiveFrom[key] = entry ? entry.effectiveFrom : null;
+  });
+  return resolved;
+}
+
+export async function loadSettingsForActivity(athleteId, activity) {
+  if (athleteId == null) {
+    return null;
+  }
+  const history = await listAthleteSettings(athleteId);
+  if (history.length === 0) {
+    return null;
+  }
+  return resolveSettingsAt(history, activity?.start_date_local ?? activity?.start_date);
+}
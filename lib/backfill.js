@@ -0,0 +1,180 @@
+import { analyzeStreams, computeSourceHash, isHrOnlySport, storeActivityMetrics } from './activityProcessor.js';
+import { loadSettingsForActivity } from './athleteSettings.js';
+import {
+  createAthleteBackfill,
+  getLatestAthleteBackfill,
+  listAthleteMetricActivityIds,
+  markActivityProcessed,
+  recordBackfillProgress,
+  updateAthleteBackfill,
+} from './db.js';
+import { enqueueBackgroundJob } from './queue.js';
+import { isRunningSport } from './running.js';
+import { fetchActivity, fetchAthleteActivities, fetchStreams, getValidToken } from './strava.js';
+
+const DEFAULT_WINDOW_DAYS = Number.parseInt(process.env.BACKFILL_DAYS ?? '90', 10);
+const MAX_WINDOW_DAYS = 365;
+const PAGE_SIZE = 100;
+const TOKEN_RESERVE = Number.parseInt(process.env.BACKFILL_TOKEN_RESERVE ?? '50', 10);
+// one attempt: a 429 must not sleep inside the job and hold the queue from live webhooks, so it goes
+// straight to the delayed requeue below
+const STRAVA_REQUEST = { attempts: 1, reserve: TOKEN_RESERVE };
+const RETRY_DELAY_MS = Number.parseInt(process.env.BACKFILL_RETRY_DELAY_MS ?? `${5 * 60 * 1000}`, 10);
+const ACTIVE_STATUSES = new Set(['queued', 'listing', 'processing']);
+
+export const BACKFILL_JOB = 'backfill';
+export const BACKFILL_ACTIVITY_JOB = 'backfill-activity';
+
+function isTokenBucketError(error) {
+  return error?.status === 429 || error?.response?.status === 429;
+}
+
+function isAnalyzable(summary) {
+  // list summaries already tell us whether streams could ever produce durability metrics
+  if (!summary.has_heartrate) {
+    return false;
+  }
+  if (summary.device_watts || summary.average_watts) {
+    return true;
+  }
+  // without power, runs and HR-only rides fall back on speed
+  return (isRunningSport(summary.sport_type) || isHrOnlySport(summary.sport_type)) && summary.average_speed > 0;
+}
+
+export function resolveBackfillDays(value) {
+  if (value == null || value === '' || value === false || value === 'false' || value === '0') {
+    return null;
+  }
+  if (value === true || value === 'true') {
+    return DEFAULT_WINDOW_DAYS;
+  }
+  const days = Number.parseInt(value, 10);
+  if (!Number.isFinite(days) || days <= 0) {
+    return null;
+  }
+  return Math.min(days, MAX_WINDOW_DAYS);
+}
+
+export async function startBackfill({ athleteId, days = DEFAULT_WINDOW_DAYS }) {
+  const latest = await getLatestAthleteBackfill(athleteId);
+  if (latest && ACTIVE_STATUSES.has(latest.status)) {
+    return { backfill: latest, started: false };
+  }
+
+  const backfill = await createAthleteBackfill({ athleteId, windowDays: Math.min(days, MAX_WINDOW_DAYS) });
+  await enqueueBackgroundJob(BACKFILL_JOB, { athleteId, backfillId: backfill.id });
+  console.log(`🗂️ Queued ${backfill.windowDays}-day backfill ${backfill.id} for athlete ${athleteId}.`);
+  return { backfill, started: true };
+}
+
+export async function runBackfill({ athleteId, backfillId }) {
+  try {
+    const latest = await getLatestAthleteBackfill(athleteId);
+    if (!latest || latest.id !== backfillId) {
+      console.warn(`Backfill ${backfillId} for athlete ${athleteId} superseded — skipping.`);
+      return;
+    }
+
+    await updateAthleteBackfill({ id: backfillId, status: 'listing' });
+
+    const { accessToken } = await getValidToken(athleteId);
+    const since = new Date(Date.now() - latest.windowDays * 24 * 60 * 60 * 1000);
+    const after = Math.floor(since.getTime() / 1000);
+    const existing = await listAthleteMetricActivityIds(athleteId, since);
+
+    const pending = [];
+    let skipped = 0;
+    for (let page = 1; ; page += 1) {
+      const summaries = await fetchAthleteActivities(accessToken, {
+        after,
+        page,
+        perPage: PAGE_SIZE,
+        ...STRAVA_REQUEST,
+      });
+      summaries.forEach((summary) => {
+        if (existing.has(String(summary.id)) || !isAnalyzable(summary)) {
+          skipped += 1;
+          return;
+        }
+        pending.push(summary.id);
+      });
+      if (summaries.length < PAGE_SIZE) {
+        break;
+      }
+    }
+
+    const status = pending.length === 0 ? 'completed' : 'processing';
+    // totals must be persisted before fan-out so the last finishing job can flip the status
+    await updateAthleteBackfill({
+      id: backfillId,
+      status,
+      totalActivities: pending.length + skipped,
+      skippedActivities: skipped,
+    });
+
+    for (const activityId of pending) {
+      await enqueueBackgroundJob(BACKFILL_ACTIVITY_JOB, { athleteId, activityId, backfillId });
+    }
+
+    console.log(
+      `🗂️ Backfill ${backfillId} for athlete ${athleteId}: ${pending.length} activities queued, ${skipped} skipped.`,
+    );
+  } catch (error) {
+    if (isTokenBucketError(error)) {
+      console.warn(`Backfill ${backfillId} deferred — Strava token budget reserved for live webhooks.`);
+      await updateAthleteBackfill({ id: backfillId, status: 'queued' });
+      await enqueueBackgroundJob(BACKFILL_JOB, { athleteId, backfillId }, { delayMs: RETRY_DELAY_MS });
+      return;
+    }
+    console.error(`Backfill ${backfillId} for athlete ${athleteId} failed`, error);
+    await updateAthleteBackfill({ id: backfillId, status: 'failed', error: error.message });
+  }
+}
+
+export async function backfillActivity({ athleteId, activityId, backfillId }) {
+  try {
+    const { accessToken, analysisProfile, segmentationMode } = await getValidToken(athleteId);
+    const [activity, streamsRaw] = await Promise.all([
+      fetchActivity(accessToken, activityId, STRAVA_REQUEST),
+      fetchStreams(accessToken, activityId, STRAVA_REQUEST),
+    ]);
+    const settings = await loadSettingsForActivity(athleteId, activity);
+
+    // no baseline, load state or description write: backfilled rides only seed athlete_metrics. They
+    // arrive newest first, so the load going into each one is not known yet; their TSS still feeds later rides.
+    const analysis = await analyzeStreams({
+      streamsRaw,
+      activity,
+      analysisProfile,
+      athleteId,
+      segmentation: segmentationMode,
+      settings,
+      context: { source: 'backfill' },
+    });
+    if (analysis.error) {
+      await recordBackfillProgress({ id: backfillId, skipped: 1 });
+      return;
+    }
+
+    await storeActivityMetrics({
+      athleteId,
+      activityId,
+      activityDate: activity.start_date,
+      metrics: analysis.metrics,
+      context: analysis.context,
+    });
+    await markActivityProcessed({ athleteId, activityId, sourceHash: computeSourceHash(activity) });
+    await recordBackfillProgress({ id: backfillId, processed: 1 });
+  } catch (error) {
+    if (isTokenBucketError(error)) {
+      await enqueueBackgroundJob(
+        BACKFILL_ACTIVITY_JOB,
+        { athleteId, activityId, backfillId },
+        { delayMs: RETRY_DELAY_MS },
+      );
+      return;
+    }
+    console.error(`Backfill ${backfillId} failed for activity ${activityId}`, error);
+    await recordBackfillProgress({ id: backfillId, failed: 1 });
+  }
+}
@@ -0,0 +1,241 @@
+import { HEAT_DEFAULTS } from './metrics.js';
+
+export const BASELINE_DEFAULTS = {
+  windowDays: 56,
+  matchIndoor: true,
+  matchSportType: true,
+  matchDuration: true,
+  durationBandsMinutes: [90, 180], // boundaries: short < 90 ≤ medium < 180 ≤ long
+  matchIntensity: true,
+  intensityTolerance: 10, // %HRR points either side of this ride's mean
+  minMatches: 5,
+};
+
+const BASELINE_FIELDS = {
+  windowDays: { type: 'integer', min: 7, max: 365 },
+  matchIndoor: { type: 'boolean' },
+  matchSportType: { type: 'boolean' },
+  matchDuration: { type: 'boolean' },
+  durationBandsMinutes: { type: 'bands' },
+  matchIntensity: { type: 'boolean' },
+  intensityTolerance: { type: 'number', min: 1, max: 50 },
+  minMatches: { type: 'integer', min: 2, max: 50 },
+};
+
+const BASELINE_METRICS = {
+  pwHrDrift: 'pw_hr_drift',
+  rolling5Diff: 'rolling5_diff',
+  power150Delta: 'power_150_delta',
+  z2Early: 'z2_early',
+  z2Late: 'z2_late',
+  cadenceDrop: 'cadence_drop',
+  hrCreep: 'hr_creep',
+  powerFade: 'power_fade',
+  efficiencyDecline: 'efficiency_decline',
+  wattsPerBeatSlope: 'watts_per_beat_slope',
+  cadenceStability: 'cadence_stability',
+};
+
+// metrics fields nested in the calculateMetrics output; the rest share the baseline key
+const CURRENT_VALUES = {
+  wattsPerBeatSlope: (metrics) => metrics.wattsPerBeatTrend?.slopePercentPerHour,
+  cadenceStability: (metrics) => metrics.cadenceStability?.ratioPercent,
+};
+
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+// Order in which rules are dropped: intensity is the noisiest match, indoor/outdoor the one that matters most.
+const RELAXATION_ORDER = ['intensity', 'duration', 'sportType', 'indoor'];
+
+export function validateBaselineConfig(body) {
+  const errors = [];
+  const overrides = {};
+  Object.entries(BASELINE_FIELDS).forEach(([key, rule]) => {
+    const raw = body?.[key];
+    if (raw == null) {
+      return;
+    }
+    if (rule.type === 'boolean') {
+      if (typeof raw !== 'boolean') {
+        errors.push(`${key} must be true or false`);
+        return;
+      }
+      overrides[key] = raw;
+      return;
+    }
+    if (rule.type === 'bands') {
+      const bands = Array.isArray(raw) ? raw.map(Number) : [];
+      const ascending = bands.every((value, index) => index === 0 || value > bands[index - 1]);
+      if (bands.length < 1 || bands.length > 4 || !bands.every((value) => value > 0) || !ascending) {
+        errors.push(`${key} must be 1–4 ascending minute boundaries`);
+        return;
+      }
+      overrides[key] = bands;
+      return;
+    }
+    const value = Number(raw);
+    const integerMismatch = rule.type === 'integer' && !Number.isInteger(value);
+    if (!Number.isFinite(value) || integerMismatch || value < rule.min || value > rule.max) {
+      errors.push(`${key} must be ${rule.type === 'integer' ? 'a whole number ' : ''}between ${rule.min} and ${rule.max}`);
+      return;
+    }
+    overrides[key] = value;
+  });
+  Object.keys(body ?? {}).forEach((key) => {
+    if (!BASELINE_FIELDS[key]) {
+      errors.push(`unknown setting "${key}"`);
+    }
+  });
+  return { overrides, errors };
+}
+
+export function resolveBaselineConfig(overrides = null) {
+  return { ...BASELINE_DEFAULTS, ...overrides };
+}
+
+function durationBand(seconds, bands) {
+  if (seconds == null) {
+    return null;
+  }
+  const minutes = Number(seconds) / 60;
+  const index = bands.findIndex((boundary) => minutes < boundary);
+  return index === -1 ? bands.length : index;
+}
+
+function bandLabel(band, bands) {
+  if (bands.length === 1) {
+    return band === 0 ? 'short' : 'long';
+  }
+  if (band === 0) {
+    return 'short';
+  }
+  return band === bands.length ? 'long' : bands.length === 2 ? 'medium' : `${bands[band - 1]}–${bands[band]} min`;
+}
+
+function buildRules(context, config) {
+  const rules = {};
+  if (config.matchIndoor && context.indoor != null) {
+    rules.indoor = (row) => Boolean(row.context?.indoor) === Boolean(context.indoor);
+  }
+  if (config.matchSportType && context.sportType) {
+    rules.sportType = (row) => row.context?.sportType === context.sportType;
+  }
+  const band = config.matchDuration ? durationBand(context.durationSeconds, config.durationBandsMinutes) : null;
+  if (band != null) {
+    rules.duration = (row) => durationBand(row.context?.durationSeconds, config.durationBandsMinutes) === band;
+  }
+  if (config.matchIntensity && context.hrrIntensity != null) {
+    rules.intensity = (row) =>
+      row.context?.hrrIntensity != null &&
+      Math.abs(row.context.hrrIntensity - context.hrrIntensity) <= config.intensityTolerance;
+  }
+  return rules;
+}
+
+// Applies every rule the ride allows, then drops them one at a time until enough rides match. Falling
+// all the way back gives the old behaviour: every ride of the same mode in the window.
+function selectMatchingRides(history, context, config) {
+  const rules = buildRules(context, config);
+  let active = Object.keys(rules);
+  for (;;) {
+    const rows = history.filter((row) => active.every((key) => rules[key](row)));
+    if (rows.length >= config.minMatches || active.length === 0) {
+      return { rows, matchedOn: active };
+    }
+    const drop = RELAXATION_ORDER.find((key) => active.includes(key));
+    active = active.filter((key) => key !== drop);
+  }
+}
+
+function describeMatch(matchedOn, context, config) {
+  const parts = [];
+  if (matchedOn.includes('duration')) {
+    const bands = config.durationBandsMinutes;
+    parts.push(bandLabel(durationBand(context.durationSeconds, bands), bands));
+  }
+  if (matchedOn.includes('indoor')) {
+    parts.push(context.indoor ? 'indoor' : 'outdoor');
+  }
+  if (matchedOn.includes('sportType')) {
+    // GravelRide → "gravel rides", TrailRun → "trail runs"
+    parts.push(`${context.sportType.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase()}s`);
+  } else {
+    parts.push(context.analysisMode === 'running' ? 'runs' : 'rides');
+  }
+  return parts.join(' ');
+}
+
+function selectSimilarTemperatureRides(metricsHistory, temperature) {
+  if (temperature == null) {
+    return { rows: metricsHistory, temperatureMatched: false };
+  }
+  const similar = metricsHistory.filter((row) => {
+    const rowTemperature = row.context?.temperature;
+    return rowTemperature != null && Math.abs(Number(rowTemperature) - temperature) <= HEAT_DEFAULTS.similarTempRange;
+  });
+  // too few matches gives a noisier baseline than an unmatched one
+  return similar.length >= HEAT_DEFAULTS.minSimilarRides
+    ? { rows: similar, temperatureMatched: true }
+    : { rows: metricsHistory, temperatureMatched: false };
+}
+
+function quantile(sorted, fraction) {
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+// Share of baseline rides below the value, ties counted half, so the median ride ranks 50th.
+function percentileRank(sorted, value) {
+  const below = sorted.filter((entry) => entry < value).length;
+  const equal = sorted.filter((entry) => entry === value).length;
+  return ((below + equal / 2) / sorted.length) * 100;
+}
+
+// Medians and percentile bands over the rides that match this one's context, plus where the current
+// ride's values fall among them. `context` is the analysed ride's context; `current` its metrics.
+export function computeDurabilityBaseline(
+  metricsHistory,
+  { context = {}, current = null, config: overrides = null } = {},
+) {
+  if (!metricsHistory || metricsHistory.length === 0) {
+    return null;
+  }
+
+  const config = resolveBaselineConfig(overrides);
+  const { rows: matched, matchedOn } = selectMatchingRides(metricsHistory, context, config);
+  const { rows, temperatureMatched } = selectSimilarTemperatureRides(matched, context.temperature ?? null);
+
+  const baseline = {};
+  const bands = {};
+  const ranks = {};
+  Object.entries(BASELINE_METRICS).forEach(([key, column]) => {
+    const values = rows
+      .map((row) => row[column])
+      .filter((value) => value != null)
+      .map(Number)
+      .sort((a, b) => a - b);
+    baseline[key] = values.length > 0 ? quantile(values, 0.5) : null;
+    if (values.length >= config.minMatches) {
+      bands[key] = Object.fromEntries(PERCENTILES.map((p) => [`p${p}`, quantile(values, p / 100)]));
+      const value = current ? (CURRENT_VALUES[key]?.(current) ?? current[key]) : null;
+      if (value != null) {
+        ranks[key] = percentileRank(values, value);
+      }
+    }
+  });
+
+  return {
+    ...baseline,
+    bands,
+    ranks,
+    match: {
+      label: describeMatch(matchedOn, context, config),
+      matchedOn,
+      windowDays: config.windowDays,
+    },
+    temperatureMatched,
+    sampleSize: rows.length,
+  };
+}
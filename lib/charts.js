@@ -0,0 +1,50 @@
+import { DeleteObjectsCommand, S3Client } from '@aws-sdk/client-s3';
+
+const bucket = process.env.CHART_S3_BUCKET ?? null;
+
+const client = bucket
+  ? new S3Client({
+      region: process.env.CHART_S3_REGION ?? process.env.AWS_REGION ?? 'auto',
+      endpoint: process.env.CHART_S3_ENDPOINT || undefined,
+      forcePathStyle: Boolean(process.env.CHART_S3_ENDPOINT),
+    })
+  : null;
+
+function chartKeyFromUrl(chartUrl) {
+  try {
+    const { pathname } = new URL(chartUrl);
+    const key = decodeURIComponent(pathname.replace(/^\/+/, ''));
+    // path-style URLs (custom endpoints such as R2) carry the bucket as the first segment
+    return key.startsWith(`${bucket}/`) ? key.slice(bucket.length + 1) : key;
+  } catch {
+    return null;
+  }
+}
+
+export async function deleteChartArtifacts(chartUrls) {
+  const keys = Array.from(new Set((chartUrls ?? []).filter(Boolean).map(chartKeyFromUrl).filter(Boolean)));
+  if (keys.length === 0) {
+    return 0;
+  }
+
+  if (!client) {
+    console.warn(`CHART_S3_BUCKET not set. Leaving ${keys.length} chart artifact(s) in place.`);
+    return 0;
+  }
+
+  let deleted = 0;
+  // DeleteObjects accepts at most 1000 keys per request
+  for (let i = 0; i < keys.length; i += 1000) {
+    const batch = keys.slice(i, i + 1000);
+    const response = await client.send(
+      new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: batch.map((Key) => ({ Key })), Quiet: true },
+      }),
+    );
+    const errors = response.Errors ?? [];
+    errors.forEach((error) => console.error(`Failed to delete chart artifact ${error.Key}: ${error.Message}`));
+    deleted += batch.length - errors.length;
+  }
+  return deleted;
+}
@@ -0,0 +1,195 @@
+const CONFIDENCE_DEFAULTS = {
+  blockSeconds: 120, // HR and power are autocorrelated for minutes; resampling single seconds would understate noise
+  iterations: 200,
+  level: 90, // percent
+  minBlocks: 3, // per segment, below which an interval would only describe the resampling itself
+};
+
+const GUARD_DEFAULTS = {
+  minDurationSeconds: 30 * 60,
+  minCoveragePercent: 75,
+};
+
+// Small deterministic PRNG (mulberry32) so the same ride always gets the same interval.
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Trailing 30-second average per sample, the same window normalized power uses.
+function rollingThirty(watts, time) {
+  const result = new Array(watts.length).fill(null);
+  let start = 0;
+  let sum = 0;
+  for (let end = 0; end < watts.length; end += 1) {
+    sum += watts[end];
+    while (time[end] - time[start] > 30 && start < end) {
+      sum -= watts[start];
+      start += 1;
+    }
+    if (time[end] - time[start] >= 29) {
+      result[end] = sum / (end - start + 1);
+    }
+  }
+  return result;
+}
+
+function emptyBlock() {
+  return { n: 0, watts: 0, hr: 0, r4: 0, rn: 0, k: 0, sx: 0, sy: 0, sxy: 0, sxx: 0 };
+}
+
+// Sufficient statistics per block, so each resample is a sum over blocks rather than over samples.
+function buildBlocks(streams, rolling, [start, end], blockSeconds) {
+  const { time, watts, heartrate } = streams;
+  const blocks = [];
+  let block = null;
+  let blockStart = null;
+  for (let i = start; i <= end; i += 1) {
+    if (block == null || time[i] - blockStart >= blockSeconds) {
+      block = emptyBlock();
+      blockStart = time[i];
+      blocks.push(block);
+    }
+    block.n += 1;
+    block.watts += watts[i];
+    block.hr += heartrate[i];
+    if (rolling[i] != null) {
+      block.r4 += rolling[i] ** 4;
+      block.rn += 1;
+    }
+    if (heartrate[i] > 0) {
+      const x = time[i] - time[0];
+      const y = watts[i] / heartrate[i];
+      block.k += 1;
+      block.sx += x;
+      block.sy += y;
+      block.sxy += x * y;
+      block.sxx += x * x;
+    }
+  }
+  return blocks;
+}
+
+function resample(blocks, random) {
+  const total = emptyBlock();
+  for (let i = 0; i < blocks.length; i += 1) {
+    const block = blocks[Math.floor(random() * blocks.length)];
+    Object.keys(total).forEach((key) => {
+      total[key] += block[key];
+    });
+  }
+  return total;
+}
+
+function averagePower(sums) {
+  return sums.n > 0 ? sums.watts / sums.n : null;
+}
+
+function efficiency(sums) {
+  const avgHr = sums.n > 0 ? sums.hr / sums.n : null;
+  const np = sums.rn > 0 ? (sums.r4 / sums.rn) ** 0.25 : averagePower(sums);
+  return avgHr ? np / avgHr : null;
+}
+
+function slopePercentPerHour(sums) {
+  if (sums.k < 2) {
+    return null;
+  }
+  const denominator = sums.sxx - (sums.sx * sums.sx) / sums.k;
+  const meanRatio = sums.sy / sums.k;
+  if (denominator === 0 || !meanRatio) {
+    return null;
+  }
+  const slope = (sums.sxy - (sums.sx * sums.sy) / sums.k) / denominator;
+  return ((slope * 3600) / meanRatio) * 100;
+}
+
+function percentileInterval(estimates, level) {
+  const values = estimates.filter((value) => value != null && Number.isFinite(value)).sort((a, b) => a - b);
+  if (values.length === 0) {
+    return null;
+  }
+  const tail = (100 - level) / 200;
+  const pick = (fraction) => values[Math.min(values.length - 1, Math.max(0, Math.round(fraction * (values.length - 1))))];
+  return { low: pick(tail), high: pick(1 - tail) };
+}
+
+// Moving-block bootstrap: each segment's blocks are resampled with replacement and the metric
+// recomputed, so the interval reflects how much the number depends on which stretches of the
+// ride happened to be in each half or quartile.
+export function computeConfidenceIntervals(streams, segments, overrides = {}) {
+  const config = { ...CONFIDENCE_DEFAULTS, ...overrides };
+  const { time, watts, heartrate } = streams;
+  if (watts.length !== time.length || heartrate.length !== time.length) {
+    return null;
+  }
+
+  const rolling = rollingThirty(watts, time);
+  const blocksFor = (segment) => buildBlocks(streams, rolling, segment, config.blockSeconds);
+  const firstHalf = blocksFor(segments.firstHalf);
+  const secondHalf = blocksFor(segments.secondHalf);
+  const early = blocksFor(segments.early);
+  const late = blocksFor(segments.late);
+  const whole = blocksFor([0, time.length - 1]);
+  const enough = (...groups) => groups.every((blocks) => blocks.length >= config.minBlocks);
+
+  const random = createRandom(time.length * 2654435761);
+  const estimates = { pwHrDrift: [], powerFade: [], efficiencyDecline: [], wattsPerBeatSlope: [] };
+  for (let i = 0; i < config.iterations; i += 1) {
+    if (enough(firstHalf, secondHalf)) {
+      const a = resample(firstHalf, random);
+      const b = resample(secondHalf, random);
+      const earlyPw = a.watts / Math.max(a.hr, 1);
+      estimates.pwHrDrift.push(earlyPw ? ((b.watts / Math.max(b.hr, 1) - earlyPw) / earlyPw) * 100 : null);
+    }
+    if (enough(early, late)) {
+      const q1 = resample(early, random);
+      const q4 = resample(late, random);
+      const q1Power = averagePower(q1);
+      estimates.powerFade.push(q1Power ? ((q1Power - averagePower(q4)) / q1Power) * 100 : null);
+      const q1Ef = efficiency(q1);
+      const q4Ef = efficiency(q4);
+      estimates.efficiencyDecline.push(q1Ef && q4Ef != null ? ((q1Ef - q4Ef) / q1Ef) * 100 : null);
+    }
+    if (enough(whole)) {
+      estimates.wattsPerBeatSlope.push(slopePercentPerHour(resample(whole, random)));
+    }
+  }
+
+  return {
+    level: config.level,
+    iterations: config.iterations,
+    blockSeconds: config.blockSeconds,
+    pwHrDrift: percentileInterval(estimates.pwHrDrift, config.level),
+    powerFade: percentileInterval(estimates.powerFade, config.level),
+    efficiencyDecline: percentileInterval(estimates.efficiencyDecline, config.level),
+    wattsPerBeatSlope: percentileInterval(estimates.wattsPerBeatSlope, config.level),
+  };
+}
+
+// Whether a ride carries enough data for durability numbers to mean anything. Renderers hide the
+// headline metrics when this fails rather than print values riders will over-read.
+export function evaluateDataGuards({ durationSeconds, coveragePercent }, overrides = {}) {
+  const config = { ...GUARD_DEFAULTS, ...overrides };
+  const reasons = [];
+  if (durationSeconds < config.minDurationSeconds) {
+    reasons.push('duration');
+  }
+  if (coveragePercent != null && coveragePercent < config.minCoveragePercent) {
+    reasons.push('coverage');
+  }
+  return {
+    passed: reasons.length === 0,
+    reasons,
+    durationSeconds,
+    coveragePercent,
+    minDurationSeconds: config.minDurationSeconds,
+    minCoveragePercent: config.minCoveragePercent,
+  };
+}
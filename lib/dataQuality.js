@@ -0,0 +1,327 @@
+const QUALITY_DEFAULTS = {
+  heartrate: {
+    floor: 40, // sanitizeStreams clamps HR dropouts (0 bpm) up to this value
+    lowRatio: 0.6, // HR below 60% of the ride median while pedalling is a strap that has not settled
+    spikeBpm: 25,
+    maxSpikeSeconds: 5,
+    maxInterpolateSeconds: 20,
+    // integer HR on a steady ride or run can sit on one value for minutes; a frozen strap holds far longer
+    flatlineSeconds: 600,
+  },
+  watts: {
+    maxInterpolateSeconds: 5,
+    flatlineSeconds: 300,
+  },
+  cadence: {
+    max: 150,
+    spikeRpm: 40,
+    maxSpikeSeconds: 3,
+    flatlineSeconds: 120,
+  },
+  medianWindow: 10,
+  minStreamScore: 60,
+  maxIssues: 50,
+};
+
+const STREAM_WEIGHTS = { heartrate: 0.45, watts: 0.45, cadence: 0.1 };
+
+function median(values) {
+  const sorted = values.filter((value) => value != null).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return null;
+  }
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+function rollingMedian(values, window) {
+  return values.map((_, index) =>
+    median(values.slice(Math.max(0, index - window), Math.min(values.length, index + window + 1))),
+  );
+}
+
+function findRuns(length, predicate) {
+  const runs = [];
+  let start = null;
+  for (let i = 0; i <= length; i += 1) {
+    const matches = i < length && predicate(i);
+    if (matches && start == null) {
+      start = i;
+    } else if (!matches && start != null) {
+      runs.push([start, i - 1]);
+      start = null;
+    }
+  }
+  return runs;
+}
+
+function runSeconds(time, [start, end]) {
+  const next = time[end + 1] ?? time[end] + 1;
+  return Math.max(next - time[start], 1);
+}
+
+function interpolateRun(values, [start, end]) {
+  const before = values[start - 1];
+  const after = values[end + 1];
+  if (before == null || after == null) {
+    return false;
+  }
+  const span = end - start + 2;
+  for (let i = start; i <= end; i += 1) {
+    values[i] = before + ((after - before) * (i - start + 1)) / span;
+  }
+  return true;
+}
+
+function createReport() {
+  return { dropoutSeconds: 0, spikeCount: 0, flatlineSeconds: 0, repairedSeconds: 0, maskedSeconds: 0 };
+}
+
+function recordIssue(issues, time, stream, type, run, action) {
+  issues.push({
+    stream,
+    type,
+    start: time[run[0]],
+    end: time[run[1]],
+    seconds: runSeconds(time, run),
+    action,
+  });
+}
+
+function findFlatlines(values, time, minSeconds, mask = []) {
+  return findRuns(
+    values.length,
+    (i) => !mask[i] && !mask[i - 1] && values[i] != null && values[i] > 0 && i > 0 && values[i] === values[i - 1],
+  )
+    .map(([start, end]) => [start - 1, end])
+    .filter((run) => runSeconds(time, run) >= minSeconds);
+}
+
+function assessHeartrate(streams, config, mask, issues) {
+  const { time, watts } = streams;
+  const heartrate = [...streams.heartrate];
+  const report = createReport();
+  const rideMedian = median(heartrate);
+  const pedalling = (i) => watts.length !== heartrate.length || watts[i] > 0;
+
+  findRuns(heartrate.length, (i) => {
+    const value = heartrate[i];
+    return (
+      value == null ||
+      value <= config.floor ||
+      (rideMedian != null && value < rideMedian * config.lowRatio && pedalling(i))
+    );
+  }).forEach((run) => {
+    const seconds = runSeconds(time, run);
+    report.dropoutSeconds += seconds;
+    if (seconds <= config.maxInterpolateSeconds && interpolateRun(heartrate, run)) {
+      report.repairedSeconds += seconds;
+      recordIssue(issues, time, 'heartrate', 'dropout', run, 'interpolated');
+      return;
+    }
+    // leading/trailing or long dropouts cannot be bridged honestly
+    for (let i = run[0]; i <= run[1]; i += 1) {
+      mask[i] = true;
+    }
+    report.maskedSeconds += seconds;
+    recordIssue(issues, time, 'heartrate', 'dropout', run, 'masked');
+  });
+
+  const medians = rollingMedian(heartrate, QUALITY_DEFAULTS.medianWindow);
+  findRuns(
+    heartrate.length,
+    (i) => !mask[i] && medians[i] != null && Math.abs(heartrate[i] - medians[i]) > config.spikeBpm,
+  )
+    .filter((run) => runSeconds(time, run) <= config.maxSpikeSeconds)
+    .forEach((run) => {
+      for (let i = run[0]; i <= run[1]; i += 1) {
+        heartrate[i] = medians[i];
+      }
+      report.spikeCount += 1;
+      report.repairedSeconds += runSeconds(time, run);
+      recordIssue(issues, time, 'heartrate', 'spike', run, 'replaced');
+    });
+
+  findFlatlines(heartrate, time, config.flatlineSeconds, mask).forEach((run) => {
+    const seconds = runSeconds(time, run);
+    for (let i = run[0]; i <= run[1]; i += 1) {
+      mask[i] = true;
+    }
+    report.flatlineSeconds += seconds;
+    report.maskedSeconds += seconds;
+    recordIssue(issues, time, 'heartrate', 'flatline', run, 'masked');
+  });
+
+  return { values: heartrate, report };
+}
+
+function assessWatts(streams, config, mask, issues) {
+  const { time, cadence } = streams;
+  const watts = [...streams.watts];
+  const report = createReport();
+
+  // zero power while the cranks are turning is a meter dropout, not coasting
+  if (cadence.length === watts.length) {
+    findRuns(watts.length, (i) => (watts[i] == null || watts[i] === 0) && cadence[i] > 0).forEach((run) => {
+      const seconds = runSeconds(time, run);
+      report.dropoutSeconds += seconds;
+      if (seconds <= config.maxInterpolateSeconds && interpolateRun(watts, run)) {
+        report.repairedSeconds += seconds;
+        recordIssue(issues, time, 'watts', 'dropout', run, 'interpolated');
+        return;
+      }
+      for (let i = run[0]; i <= run[1]; i += 1) {
+        mask[i] = true;
+      }
+      report.maskedSeconds += seconds;
+      recordIssue(issues, time, 'watts', 'dropout', run, 'masked');
+    });
+  }
+
+  // long identical readings are usually ERG targets or a frozen head unit; flag rather than discard
+  findFlatlines(watts, time, config.flatlineSeconds).forEach((run) => {
+    report.flatlineSeconds += runSeconds(time, run);
+    recordIssue(issues, time, 'watts', 'flatline', run, 'flagged');
+  });
+
+  return { values: watts, report };
+}
+
+function assessCadence(streams, config, issues) {
+  const { time } = streams;
+  const cadence = [...streams.cadence];
+  const report = createReport();
+  const medians = rollingMedian(cadence, QUALITY_DEFAULTS.medianWindow);
+
+  const impossible = findRuns(cadence.length, (i) => cadence[i] > config.max);
+  // short excursions only: a longer jump above the local median is just the rider starting to pedal
+  const jumps = findRuns(
+    cadence.length,
+    (i) => cadence[i] <= config.max && medians[i] != null && cadence[i] - medians[i] > config.spikeRpm,
+  ).filter((run) => runSeconds(time, run) <= config.maxSpikeSeconds);
+
+  [...impossible, ...jumps].forEach((run) => {
+    for (let i = run[0]; i <= run[1]; i += 1) {
+      cadence[i] = Math.min(medians[i], config.max);
+    }
+    report.spikeCount += 1;
+    report.repairedSeconds += runSeconds(time, run);
+    recordIssue(issues, time, 'cadence', 'spike', run, 'replaced');
+  });
+
+  findFlatlines(cadence, time, config.flatlineSeconds).forEach((run) => {
+    report.flatlineSeconds += runSeconds(time, run);
+    recordIssue(issues, time, 'cadence', 'flatline', run, 'flagged');
+  });
+
+  return { values: cadence, report };
+}
+
+function scoreStream(report, durationSeconds) {
+  if (!durationSeconds) {
+    return null;
+  }
+  const flaggedSeconds = Math.max(report.flatlineSeconds - report.maskedSeconds, 0);
+  const penaltySeconds = report.maskedSeconds + report.repairedSeconds * 0.5 + flaggedSeconds * 0.25;
+  return Math.max(0, Math.min(100, 100 * (1 - penaltySeconds / durationSeconds)));
+}
+
+function qualityLevel(score) {
+  if (score == null) {
+    return null;
+  }
+  if (score >= 80) {
+    return 'good';
+  }
+  return score >= QUALITY_DEFAULTS.minStreamScore ? 'fair' : 'poor';
+}
+
+// Detects and repairs sensor artifacts before any durability maths runs. Short gaps are
+// interpolated, isolated spikes replaced by the local median, and anything that cannot be
+// repaired is masked. Masking is per stream: a bad HR sample becomes null in the heartrate
+// stream only, so power, time and the rest keep every sample.
+export function repairStreams(streams, overrides = {}) {
+  const config = {
+    heartrate: { ...QUALITY_DEFAULTS.heartrate, ...overrides.heartrate },
+    watts: { ...QUALITY_DEFAULTS.watts, ...overrides.watts },
+    cadence: { ...QUALITY_DEFAULTS.cadence, ...overrides.cadence },
+  };
+  const { time } = streams;
+  const length = time.length;
+  const masks = {
+    heartrate: new Array(length).fill(false),
+    watts: new Array(length).fill(false),
+  };
+  const issues = [];
+  const repaired = { ...streams };
+  const reports = {};
+
+  if (streams.heartrate.length === length) {
+    const result = assessHeartrate(streams, config.heartrate, masks.heartrate, issues);
+    repaired.heartrate = result.values.map((value, index) => (masks.heartrate[index] ? null : value));
+    reports.heartrate = result.report;
+  }
+  if (streams.watts.length === length) {
+    const result = assessWatts(repaired, config.watts, masks.watts, issues);
+    repaired.watts = result.values.map((value, index) => (masks.watts[index] ? null : value));
+    reports.watts = result.report;
+  }
+  if (streams.cadence.length === length) {
+    const result = assessCadence(repaired, config.cadence, issues);
+    repaired.cadence = result.values;
+    reports.cadence = result.report;
+  }
+
+  const durationSeconds = length > 1 ? time[length - 1] - time[0] : 0;
+  const streamSummaries = {};
+  let weightedScore = 0;
+  let totalWeight = 0;
+  Object.entries(reports).forEach(([key, report]) => {
+    const score = scoreStream(report, durationSeconds);
+    streamSummaries[key] = { ...report, score, level: qualityLevel(score) };
+    if (score != null) {
+      weightedScore += score * STREAM_WEIGHTS[key];
+      totalWeight += STREAM_WEIGHTS[key];
+    }
+  });
+  const score = totalWeight > 0 ? weightedScore / totalWeight : null;
+
+  const maskedSamples = time.filter((_, index) => masks.heartrate[index] || masks.watts[index]).length;
+
+  issues.sort((a, b) => a.start - b.start);
+  return {
+    streams: repaired,
+    quality: {
+      score,
+      level: qualityLevel(score),
+      minStreamScore: QUALITY_DEFAULTS.minStreamScore,
+      maskedSamples,
+      // share of samples with both HR and power usable, i.e. what the Pw:HR metrics have to work with
+      coveragePercent: length > 0 ? ((length - maskedSamples) / length) * 100 : null,
+      streams: streamSummaries,
+      issues: issues.slice(0, QUALITY_DEFAULTS.maxIssues),
+      issueCount: issues.length,
+    },
+  };
+}
+
+// Keeps only the samples where every listed stream has a value, across all aligned streams. Metrics
+// that pair streams (Pw:HR, EF) use this; power-only metrics pass just ['watts'].
+export function completeSamples(streams, keys) {
+  const length = streams.time.length;
+  const present = keys.filter((key) => streams[key]?.length === length);
+  const keep = [];
+  for (let index = 0; index < length; index += 1) {
+    if (present.every((key) => streams[key][index] != null)) {
+      keep.push(index);
+    }
+  }
+  if (keep.length === length) {
+    return streams;
+  }
+  const output = {};
+  Object.entries(streams).forEach(([key, values]) => {
+    output[key] = Array.isArray(values) && values.length === length ? keep.map((index) => values[index]) : values;
+  });
+  return output;
+}
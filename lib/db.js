@@ -1,5 +1,6 @@
 import { Pool } from 'pg';
 import { decrypt, encrypt } from './encryption.js';
+import { RUNNING_SPORT_TYPES } from './running.js';
 
 const pool = process.env.DATABASE_URL
   ? new Pool({
@@ -8,6 +9,12 @@ const pool = process.env.DATABASE_URL
     })
   : null;
 
+// Everything but the full `metrics` document, which only single-activity reads need.
+const METRIC_SUMMARY_COLUMNS = `athlete_id, activity_id, activity_date, pw_hr_drift, rolling5_diff, power_150_delta,
+  z2_early, z2_late, cadence_drop, hr_creep, power_zones, work_durability, mean_max_power, durability_score,
+  score_model_version, analysis_mode, power_fade, efficiency_decline, watts_per_beat_slope, cadence_stability,
+  metrics_version, tss, ctl, atl, tsb, chart_url, context, created_at`;
+
 export function getPool() {
   if (!pool) {
     throw new Error('Database pool is not configured.');
@@ -16,57 +23,10 @@ export function getPool() {
   return pool;
 }
 
-export async function ensureSchema() {
-  if (!pool) {
-    console.warn('DATABASE_URL not set. Database-backed features are disabled.');
-    return;
+export async function closePool() {
+  if (pool) {
+    await pool.end();
   }
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS athlete_tokens (
-      athlete_id BIGINT PRIMARY KEY,
-      access_token TEXT NOT NULL,
-      refresh_token TEXT NOT NULL,
-      expires_at TIMESTAMPTZ NOT NULL,
-      scope TEXT NOT NULL,
-      analysis_profile TEXT,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-    )
-  `);
-
-  await pool.query(`
-    ALTER TABLE athlete_tokens
-    ADD COLUMN IF NOT EXISTS analysis_profile TEXT
-  `);
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS activity_cache (
-      athlete_id BIGINT NOT NULL,
-      activity_id BIGINT NOT NULL,
-      processed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      PRIMARY KEY (athlete_id, activity_id)
-    )
-  `);
-
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS athlete_metrics (
-      athlete_id BIGINT NOT NULL,
-      activity_id BIGINT NOT NULL,
-      activity_date TIMESTAMPTZ NOT NULL,
-      pw_hr_drift NUMERIC,
-      rolling5_diff NUMERIC,
-      power_150_delta NUMERIC,
-      z2_early NUMERIC,
-      z2_late NUMERIC,
-      cadence_drop NUMERIC,
-      hr_creep NUMERIC,
-      chart_url TEXT,
-      context JSONB,
-      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-      PRIMARY KEY (athlete_id, activity_id)
-    )
-  `);
 }
 
 export async function upsertAthleteToken({
@@ -123,6 +83,8 @@ export async function getAthleteToken(athleteId) {
     expiresAt: row.expires_at,
     scope: row.scope,
     analysisProfile: row.analysis_profile,
+    segmentationMode: row.segmentation_mode ?? null,
+    baselineConfig: row.baseline_config ?? null,
   };
 }
 
@@ -156,28 +118,165 @@ export async function getAthleteAnalysisProfile(athleteId) {
   return rows[0].analysis_profile ?? null;
 }
 
-export async function isActivityProcessed({ athleteId, activityId }) {
+export async function updateAthleteSegmentationMode({ athleteId, segmentationMode }) {
+  if (!pool) {
+    throw new Error('Database pool unavailable for updateAthleteSegmentationMode.');
+  }
+
+  await pool.query(
+    `UPDATE athlete_tokens
+     SET segmentation_mode = $2, updated_at = NOW()
+     WHERE athlete_id = $1`,
+    [athleteId, segmentationMode ?? null],
+  );
+}
+
+export async function getAthleteSegmentationMode(athleteId) {
+  if (!pool) {
+    throw new Error('Database pool unavailable for getAthleteSegmentationMode.');
+  }
+
+  const { rows } = await pool.query(
+    'SELECT segmentation_mode FROM athlete_tokens WHERE athlete_id = $1',
+    [athleteId],
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return rows[0].segmentation_mode ?? null;
+}
+
+export async function updateAthleteBaselineConfig({ athleteId, baselineConfig }) {
   if (!pool) {
-    return false;
+    throw new Error('Database pool unavailable for updateAthleteBaselineConfig.');
+  }
+
+  await pool.query(
+    `UPDATE athlete_tokens
+     SET baseline_config = $2, updated_at = NOW()
+     WHERE athlete_id = $1`,
+    [athleteId, baselineConfig ? JSON.stringify(baselineConfig) : null],
+  );
+}
+
+export async function getAthleteBaselineConfig(athleteId) {
+  if (!pool) {
+    throw new Error('Database pool unavailable for getAthleteBaselineConfig.');
+  }
+
+  const { rows } = await pool.query(
+    'SELECT baseline_config FROM athlete_tokens WHERE athlete_id = $1',
+    [athleteId],
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return rows[0].baseline_config ?? null;
+}
+
+function mapSettingsRow(row) {
+  return {
+    effectiveFrom: row.effective_from,
+    maxHeartRate: row.max_heartrate ?? null,
+    restingHeartRate: row.resting_heartrate ?? null,
+    ftp: row.ftp_watts ?? null,
+    weightKg: row.weight_kg != null ? Number(row.weight_kg) : null,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function upsertAthleteSettings({
+  athleteId,
+  effectiveFrom,
+  maxHeartRate = null,
+  restingHeartRate = null,
+  ftp = null,
+  weightKg = null,
+}) {
+  if (!pool) {
+    throw new Error('Database pool unavailable for upsertAthleteSettings.');
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO athlete_settings (athlete_id, effective_from, max_heartrate, resting_heartrate, ftp_watts, weight_kg)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (athlete_id, effective_from)
+     DO UPDATE SET
+       max_heartrate = EXCLUDED.max_heartrate,
+       resting_heartrate = EXCLUDED.resting_heartrate,
+       ftp_watts = EXCLUDED.ftp_watts,
+       weight_kg = EXCLUDED.weight_kg,
+       updated_at = NOW()
+     RETURNING effective_from::text AS effective_from, max_heartrate, resting_heartrate, ftp_watts, weight_kg, updated_at`,
+    [athleteId, effectiveFrom, maxHeartRate, restingHeartRate, ftp, weightKg],
+  );
+  return mapSettingsRow(rows[0]);
+}
+
+export async function listAthleteSettings(athleteId) {
+  if (!pool) {
+    return [];
+  }
+
+  const { rows } = await pool.query(
+    `SELECT effective_from::text AS effective_from, max_heartrate, resting_heartrate, ftp_watts, weight_kg, updated_at
+     FROM athlete_settings
+     WHERE athlete_id = $1
+     ORDER BY effective_from DESC`,
+    [athleteId],
+  );
+  return rows.map(mapSettingsRow);
+}
+
+export async function deleteAthleteSettings({ athleteId, effectiveFrom }) {
+  if (!pool) {
+    throw new Error('Database pool unavailable for deleteAthleteSettings.');
   }
 
   const { rowCount } = await pool.query(
-    'SELECT 1 FROM activity_cache WHERE athlete_id = $1 AND activity_id = $2',
-    [athleteId, activityId],
+    'DELETE FROM athlete_settings WHERE athlete_id = $1 AND effective_from = $2',
+    [athleteId, effectiveFrom],
   );
   return rowCount > 0;
 }
 
-export async function markActivityProcessed({ athleteId, activityId }) {
+export async function getProcessedActivity({ athleteId, activityId }) {
+  if (!pool) {
+    return null;
+  }
+
+  const { rows } = await pool.query(
+    'SELECT * FROM activity_cache WHERE athlete_id = $1 AND activity_id = $2',
+    [athleteId, activityId],
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const row = rows[0];
+  return {
+    processedAt: row.processed_at,
+    sourceHash: row.source_hash ?? null,
+  };
+}
+
+export async function markActivityProcessed({ athleteId, activityId, sourceHash = null }) {
   if (!pool) {
     return;
   }
 
   try {
     await pool.query(
-      `INSERT INTO activity_cache (athlete_id, activity_id) VALUES ($1, $2)
-       ON CONFLICT DO NOTHING`,
-      [athleteId, activityId],
+      `INSERT INTO activity_cache (athlete_id, activity_id, source_hash) VALUES ($1, $2, $3)
+       ON CONFLICT (athlete_id, activity_id)
+       DO UPDATE SET
+         source_hash = COALESCE(EXCLUDED.source_hash, activity_cache.source_hash),
+         processed_at = NOW()`,
+      [athleteId, activityId, sourceHash],
     );
   } catch (error) {
     console.error('Failed to mark activity processed', error);
@@ -195,6 +294,20 @@ export async function saveAthleteMetrics({
   z2Late,
   cadenceDrop,
   hrCreep,
+  powerZones = null,
+  workDurability = null,
+  meanMaxPower = null,
+  durabilityScore = null,
+  scoreModelVersion = null,
+  analysisMode = null,
+  powerFade = null,
+  efficiencyDecline = null,
+  wattsPerBeatSlope = null,
+  cadenceStability = null,
+  metrics = null,
+  metricsVersion = null,
+  tss = null,
+  trainingLoad = null,
   chartUrl = null,
   context,
 }) {
@@ -214,9 +327,28 @@ export async function saveAthleteMetrics({
       z2_late,
       cadence_drop,
       hr_creep,
+      power_zones,
+      work_durability,
+      mean_max_power,
+      durability_score,
+      score_model_version,
+      analysis_mode,
+      power_fade,
+      efficiency_decline,
+      watts_per_beat_slope,
+      cadence_stability,
+      metrics,
+      metrics_version,
+      tss,
+      ctl,
+      atl,
+      tsb,
       chart_url,
       context
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    ) VALUES (
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24,
+      $25, $26, $27, $28
+    )
     ON CONFLICT (athlete_id, activity_id)
     DO UPDATE SET
       pw_hr_drift = EXCLUDED.pw_hr_drift,
@@ -226,6 +358,22 @@ export async function saveAthleteMetrics({
       z2_late = EXCLUDED.z2_late,
       cadence_drop = EXCLUDED.cadence_drop,
       hr_creep = EXCLUDED.hr_creep,
+      power_zones = EXCLUDED.power_zones,
+      work_durability = EXCLUDED.work_durability,
+      mean_max_power = EXCLUDED.mean_max_power,
+      durability_score = EXCLUDED.durability_score,
+      score_model_version = EXCLUDED.score_model_version,
+      analysis_mode = EXCLUDED.analysis_mode,
+      power_fade = EXCLUDED.power_fade,
+      efficiency_decline = EXCLUDED.efficiency_decline,
+      watts_per_beat_slope = EXCLUDED.watts_per_beat_slope,
+      cadence_stability = EXCLUDED.cadence_stability,
+      metrics = EXCLUDED.metrics,
+      metrics_version = EXCLUDED.metrics_version,
+      tss = EXCLUDED.tss,
+      ctl = EXCLUDED.ctl,
+      atl = EXCLUDED.atl,
+      tsb = EXCLUDED.tsb,
       chart_url = EXCLUDED.chart_url,
       context = EXCLUDED.context`,
     [
@@ -239,20 +387,347 @@ export async function saveAthleteMetrics({
       z2Late,
       cadenceDrop,
       hrCreep,
+      powerZones ? JSON.stringify(powerZones) : null,
+      workDurability ? JSON.stringify(workDurability) : null,
+      meanMaxPower ? JSON.stringify(meanMaxPower) : null,
+      durabilityScore,
+      scoreModelVersion,
+      analysisMode,
+      powerFade,
+      efficiencyDecline,
+      wattsPerBeatSlope,
+      cadenceStability,
+      metrics ? JSON.stringify(metrics) : null,
+      metricsVersion,
+      tss,
+      trainingLoad?.ctl ?? null,
+      trainingLoad?.atl ?? null,
+      trainingLoad?.tsb ?? null,
       chartUrl ?? null,
       context ? JSON.stringify(context) : null,
     ],
   );
 }
 
+export async function upsertAthletePowerModel({ athleteId, cp, wPrime, r2 = null, meanMaxPower, activityId = null }) {
+  if (!pool) {
+    return;
+  }
+
+  await pool.query(
+    `INSERT INTO athlete_power_models (athlete_id, critical_power, w_prime, r2, mean_max_power, source_activity_id)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (athlete_id)
+     DO UPDATE SET
+       critical_power = EXCLUDED.critical_power,
+       w_prime = EXCLUDED.w_prime,
+       r2 = EXCLUDED.r2,
+       mean_max_power = EXCLUDED.mean_max_power,
+       source_activity_id = EXCLUDED.source_activity_id,
+       fitted_at = NOW()`,
+    [athleteId, cp, wPrime, r2, meanMaxPower ? JSON.stringify(meanMaxPower) : null, activityId],
+  );
+}
+
+export async function getAthletePowerModel(athleteId) {
+  if (!pool) {
+    return null;
+  }
+
+  const { rows } = await pool.query('SELECT * FROM athlete_power_models WHERE athlete_id = $1', [athleteId]);
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const row = rows[0];
+  return {
+    cp: Number(row.critical_power),
+    wPrime: Number(row.w_prime),
+    r2: row.r2 != null ? Number(row.r2) : null,
+    meanMaxPower: row.mean_max_power ?? null,
+    sourceActivityId: row.source_activity_id ?? null,
+    fittedAt: row.fitted_at,
+  };
+}
+
 export async function loadBaselineMetrics(athleteId, sinceDate) {
   if (!pool) {
     return [];
   }
 
   const { rows } = await pool.query(
-    `SELECT * FROM athlete_metrics WHERE athlete_id = $1 AND activity_date >= $2 ORDER BY activity_date DESC`,
+    `SELECT ${METRIC_SUMMARY_COLUMNS} FROM athlete_metrics
+     WHERE athlete_id = $1 AND activity_date >= $2
+     ORDER BY activity_date DESC`,
     [athleteId, sinceDate],
   );
   return rows;
 }
+
+// Shared by the history page and its rolling-average window so both see the same activities.
+function buildMetricsFilters(filters, params) {
+  const clauses = [];
+  const bind = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (filters.from) {
+    clauses.push(`activity_date >= ${bind(filters.from)}::date`);
+  }
+  if (filters.to) {
+    clauses.push(`activity_date < ${bind(filters.to)}::date + 1`);
+  }
+  if (filters.indoor != null) {
+    clauses.push(`COALESCE((context->>'indoor')::boolean, false) = ${bind(filters.indoor)}`);
+  }
+  if (filters.sportTypes?.length) {
+    clauses.push(`context->>'sportType' = ANY(${bind(filters.sportTypes)})`);
+  }
+  if (filters.mode) {
+    // rows stored before the mode was recorded are either runs or power rides
+    clauses.push(
+      `COALESCE(analysis_mode, context->>'analysisMode', CASE WHEN context->>'sportType' = ANY(${bind(RUNNING_SPORT_TYPES)}) THEN 'running' ELSE 'cycling' END) = ${bind(filters.mode)}`,
+    );
+  }
+  // rows stored before durationSeconds was recorded drop out of any duration band
+  if (filters.minDurationSeconds != null) {
+    clauses.push(`(context->>'durationSeconds')::numeric >= ${bind(filters.minDurationSeconds)}`);
+  }
+  if (filters.maxDurationSeconds != null) {
+    clauses.push(`(context->>'durationSeconds')::numeric <= ${bind(filters.maxDurationSeconds)}`);
+  }
+  return clauses;
+}
+
+export async function listAthleteMetricsPage({ athleteId, filters = {}, cursor = null, limit }) {
+  if (!pool) {
+    return [];
+  }
+
+  const params = [athleteId];
+  const clauses = ['athlete_id = $1', ...buildMetricsFilters(filters, params)];
+  if (cursor) {
+    params.push(cursor.date, cursor.id);
+    clauses.push(`(activity_date, activity_id) < ($${params.length - 1}::timestamptz, $${params.length}::bigint)`);
+  }
+  params.push(limit);
+
+  const { rows } = await pool.query(
+    `SELECT ${METRIC_SUMMARY_COLUMNS} FROM athlete_metrics
+     WHERE ${clauses.join(' AND ')}
+     ORDER BY activity_date DESC, activity_id DESC
+     LIMIT $${params.length}`,
+    params,
+  );
+  return rows;
+}
+
+export async function loadAthleteMetricsWindow({ athleteId, filters = {}, since, until }) {
+  if (!pool) {
+    return [];
+  }
+
+  // the date range filter bounds the page, not the trailing windows behind it
+  const { from, to, ...windowFilters } = filters;
+  const params = [athleteId, since, until];
+  const clauses = [
+    'athlete_id = $1',
+    'activity_date > $2',
+    'activity_date <= $3',
+    ...buildMetricsFilters(windowFilters, params),
+  ];
+
+  const { rows } = await pool.query(
+    `SELECT ${METRIC_SUMMARY_COLUMNS} FROM athlete_metrics WHERE ${clauses.join(' AND ')} ORDER BY activity_date ASC`,
+    params,
+  );
+  return rows;
+}
+
+export async function getAthleteActivityMetrics({ athleteId, activityId }) {
+  if (!pool) {
+    return null;
+  }
+
+  const { rows } = await pool.query(
+    'SELECT * FROM athlete_metrics WHERE athlete_id = $1 AND activity_id = $2',
+    [athleteId, activityId],
+  );
+  return rows[0] ?? null;
+}
+
+export async function loadTrainingStressHistory(athleteId, sinceDate, untilDate) {
+  if (!pool) {
+    return [];
+  }
+
+  const { rows } = await pool.query(
+    `SELECT activity_date, tss FROM athlete_metrics
+     WHERE athlete_id = $1 AND activity_date >= $2 AND activity_date < $3 AND tss IS NOT NULL`,
+    [athleteId, sinceDate, untilDate],
+  );
+  return rows.map((row) => ({ date: row.activity_date, tss: Number(row.tss) }));
+}
+
+export async function listAthleteMetricActivityIds(athleteId, sinceDate) {
+  if (!pool) {
+    return new Set();
+  }
+
+  const { rows } = await pool.query(
+    'SELECT activity_id FROM athlete_metrics WHERE athlete_id = $1 AND activity_date >= $2',
+    [athleteId, sinceDate],
+  );
+  return new Set(rows.map((row) => String(row.activity_id)));
+}
+
+function mapBackfillRow(row) {
+  if (!row) {
+    return null;
+  }
+  const total = row.total_activities;
+  const done = row.processed_activities + row.skipped_activities + row.failed_activities;
+  return {
+    id: Number(row.id),
+    athleteId: Number(row.athlete_id),
+    windowDays: row.window_days,
+    status: row.status,
+    totalActivities: total,
+    processedActivities: row.processed_activities,
+    skippedActivities: row.skipped_activities,
+    failedActivities: row.failed_activities,
+    progressPercent: total > 0 ? Math.min(100, (done / total) * 100) : row.status === 'completed' ? 100 : 0,
+    error: row.error,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    completedAt: row.completed_at,
+  };
+}
+
+export async function createAthleteBackfill({ athleteId, windowDays }) {
+  if (!pool) {
+    throw new Error('Database pool unavailable for createAthleteBackfill.');
+  }
+
+  const { rows } = await pool.query(
+    `INSERT INTO athlete_backfills (athlete_id, window_days) VALUES ($1, $2) RETURNING *`,
+    [athleteId, windowDays],
+  );
+  return mapBackfillRow(rows[0]);
+}
+
+export async function getLatestAthleteBackfill(athleteId) {
+  if (!pool) {
+    throw new Error('Database pool unavailable for getLatestAthleteBackfill.');
+  }
+
+  const { rows } = await pool.query(
+    'SELECT * FROM athlete_backfills WHERE athlete_id = $1 ORDER BY created_at DESC, id DESC LIMIT 1',
+    [athleteId],
+  );
+  return mapBackfillRow(rows[0]);
+}
+
+export async function updateAthleteBackfill({ id, status, totalActivities, skippedActivities, error }) {
+  if (!pool) {
+    return null;
+  }
+
+  const { rows } = await pool.query(
+    `UPDATE athlete_backfills
+     SET status = COALESCE($2, status),
+         total_activities = COALESCE($3, total_activities),
+         skipped_activities = COALESCE($4, skipped_activities),
+         error = COALESCE($5, error),
+         completed_at = CASE WHEN $2 IN ('completed', 'failed') THEN NOW() ELSE completed_at END,
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, status ?? null, totalActivities ?? null, skippedActivities ?? null, error ?? null],
+  );
+  return mapBackfillRow(rows[0]);
+}
+
+export async function recordBackfillProgress({ id, processed = 0, skipped = 0, failed = 0 }) {
+  if (!pool) {
+    return null;
+  }
+
+  // completion is decided in the same statement so concurrent workers cannot both miss it
+  const { rows } = await pool.query(
+    `UPDATE athlete_backfills
+     SET processed_activities = processed_activities + $2,
+         skipped_activities = skipped_activities + $3,
+         failed_activities = failed_activities + $4,
+         status = CASE
+           WHEN status = 'processing'
+             AND processed_activities + skipped_activities + failed_activities + $2 + $3 + $4 >= total_activities
+           THEN 'completed'
+           ELSE status
+         END,
+         completed_at = CASE
+           WHEN status = 'processing'
+             AND processed_activities + skipped_activities + failed_activities + $2 + $3 + $4 >= total_activities
+           THEN NOW()
+           ELSE completed_at
+         END,
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, processed, skipped, failed],
+  );
+  return mapBackfillRow(rows[0]);
+}
+
+export async function deleteActivityData({ athleteId, activityId }) {
+  if (!pool) {
+    return { metricsDeleted: 0, chartUrls: [] };
+  }
+
+  const { rows } = await pool.query(
+    `WITH removed_metrics AS (
+       DELETE FROM athlete_metrics WHERE athlete_id = $1 AND activity_id = $2 RETURNING chart_url
+     ), removed_cache AS (
+       DELETE FROM activity_cache WHERE athlete_id = $1 AND activity_id = $2
+     )
+     SELECT chart_url FROM removed_metrics`,
+    [athleteId, activityId],
+  );
+
+  return {
+    metricsDeleted: rows.length,
+    chartUrls: rows.map((row) => row.chart_url).filter(Boolean),
+  };
+}
+
+export async function purgeAthleteData(athleteId) {
+  if (!pool) {
+    return { metricsDeleted: 0, chartUrls: [] };
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      'DELETE FROM athlete_metrics WHERE athlete_id = $1 RETURNING chart_url',
+      [athleteId],
+    );
+    await client.query('DELETE FROM activity_cache WHERE athlete_id = $1', [athleteId]);
+    await client.query('DELETE FROM athlete_backfills WHERE athlete_id = $1', [athleteId]);
+    await client.query('DELETE FROM athlete_settings WHERE athlete_id = $1', [athleteId]);
+    await client.query('DELETE FROM athlete_power_models WHERE athlete_id = $1', [athleteId]);
+    await client.query('DELETE FROM athlete_tokens WHERE athlete_id = $1', [athleteId]);
+    await client.query('COMMIT');
+
+    return {
+      metricsDeleted: rows.length,
+      chartUrls: rows.map((row) => row.chart_url).filter(Boolean),
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
@@ -0,0 +1,135 @@
+import crypto from 'crypto';
+
+// v1 was the unweighted mean of power fade, Pw:HR drift, EF decline and W/HR slope.
+export const SCORE_MODEL_VERSION = 'v2';
+
+// Each input maps to a 0–100 penalty: the signed distance from `reference` in the penalized
+// `direction` ('up', 'down' or 'both'), as a fraction of `full`, raised to `exponent`.
+// The first four keep the v1 scale (one point per percent); weights are renormalized over the
+// inputs a ride actually has, so a single-sided power meter is not marked down for missing data.
+export const DEFAULT_SCORE_MODEL = {
+  powerFade: {
+    label: 'Power fade',
+    weight: 0.25,
+    curve: { direction: 'up', reference: 0, full: 100, exponent: 1 },
+  },
+  // negative when W/HR falls late in the ride, i.e. the rider decouples; v1 penalized the wrong side
+  pwHrDrift: {
+    label: 'Pw:HR drift',
+    weight: 0.2,
+    curve: { direction: 'down', reference: 0, full: 100, exponent: 1 },
+  },
+  efficiencyDecline: {
+    label: 'EF decline',
+    weight: 0.2,
+    curve: { direction: 'up', reference: 0, full: 100, exponent: 1 },
+  },
+  wattsPerBeatSlope: {
+    label: 'W/HR slope',
+    weight: 0.15,
+    curve: { direction: 'down', reference: 0, full: 100, exponent: 1 },
+  },
+  cadenceStability: {
+    label: 'Final-hour cadence stability',
+    weight: 0.1,
+    // share of the final hour within ±3 rpm; steady outdoor riding rarely holds more than ~60%
+    curve: { direction: 'down', reference: 60, full: 60, exponent: 1 },
+  },
+  pedalSmoothness: {
+    label: 'Pedal smoothness',
+    weight: 0.04,
+    curve: { direction: 'down', reference: 0, full: 10, exponent: 1 },
+  },
+  torqueEffectiveness: {
+    label: 'Torque effectiveness',
+    weight: 0.03,
+    curve: { direction: 'down', reference: 0, full: 10, exponent: 1 },
+  },
+  balanceShift: {
+    label: 'L/R balance shift',
+    weight: 0.03,
+    curve: { direction: 'both', reference: 0, full: 5, exponent: 2 },
+  },
+};
+
+const DIRECTIONS = ['up', 'down', 'both'];
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function scoreComponentPenalty(value, { direction, reference, full, exponent }) {
+  const delta = value - reference;
+  let excess = 0;
+  if (direction === 'up' || direction === 'both') {
+    excess = Math.max(excess, delta);
+  }
+  if (direction === 'down' || direction === 'both') {
+    excess = Math.max(excess, -delta);
+  }
+  return clamp((excess / full) ** exponent, 0, 1) * 100;
+}
+
+// Merges overrides (weights and/or curve fields per component) onto the defaults and validates the
+// result, so a typo in configuration fails loudly instead of silently dropping an input.
+export function resolveScoreModel(overrides = null) {
+  const components = {};
+  Object.entries(DEFAULT_SCORE_MODEL).forEach(([key, component]) => {
+    const override = overrides?.[key] ?? {};
+    components[key] = {
+      ...component,
+      ...override,
+      curve: { ...component.curve, ...override.curve },
+    };
+  });
+
+  const errors = [];
+  Object.keys(overrides ?? {}).forEach((key) => {
+    if (!DEFAULT_SCORE_MODEL[key]) {
+      errors.push(`unknown component "${key}"`);
+    }
+  });
+  Object.entries(components).forEach(([key, { weight, curve }]) => {
+    if (!Number.isFinite(weight) || weight < 0) {
+      errors.push(`${key}.weight must be a non-negative number`);
+    }
+    if (!DIRECTIONS.includes(curve.direction)) {
+      errors.push(`${key}.curve.direction must be one of ${DIRECTIONS.join(', ')}`);
+    }
+    if (!Number.isFinite(curve.reference)) {
+      errors.push(`${key}.curve.reference must be a number`);
+    }
+    if (!(curve.full > 0) || !(curve.exponent > 0)) {
+      errors.push(`${key}.curve.full and exponent must be positive`);
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error(`Invalid durability score model: ${errors.join('; ')}`);
+  }
+
+  const customized = overrides != null && Object.keys(overrides).length > 0;
+  const digest = customized
+    ? crypto.createHash('sha256').update(JSON.stringify(components)).digest('hex').slice(0, 8)
+    : null;
+  return { version: customized ? `${SCORE_MODEL_VERSION}-custom-${digest}` : SCORE_MODEL_VERSION, components };
+}
+
+// Returns the weighted score plus each component's share of the points lost, so a renderer can say
+// what pulled the score down.
+export function computeDurabilityScore(inputs, model = resolveScoreModel()) {
+  const available = Object.entries(model.components).filter(
+    ([key, component]) => inputs[key] != null && Number.isFinite(inputs[key]) && component.weight > 0,
+  );
+  const totalWeight = available.reduce((acc, [, component]) => acc + component.weight, 0);
+  if (totalWeight === 0) {
+    return { version: model.version, score: null, components: [] };
+  }
+
+  const components = available.map(([key, component]) => {
+    const penalty = scoreComponentPenalty(inputs[key], component.curve);
+    const weight = component.weight / totalWeight;
+    return { key, label: component.label, value: inputs[key], penalty, weight, pointsLost: penalty * weight };
+  });
+  const pointsLost = components.reduce((acc, component) => acc + component.pointsLost, 0);
+  return { version: model.version, score: clamp(100 - pointsLost, 0, 100), components };
+}
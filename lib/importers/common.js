@@ -0,0 +1,117 @@
+const EARTH_RADIUS_METERS = 6371008.8;
+
+function escapeTag(name) {
+  return name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Namespace-agnostic helpers: <ns3:Watts>, <gpxtpx:hr> and <Watts> all match by local name.
+export function findBlocks(xml, localName) {
+  if (!xml) {
+    return [];
+  }
+  const tag = escapeTag(localName);
+  const regex = new RegExp(`<(?:[\\w-]+:)?${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}\\s*>)`, 'g');
+  const blocks = [];
+  let match = regex.exec(xml);
+  while (match) {
+    blocks.push({ attributes: match[1] ?? '', body: match[2] ?? '' });
+    match = regex.exec(xml);
+  }
+  return blocks;
+}
+
+export function findBlock(xml, localName) {
+  return findBlocks(xml, localName)[0] ?? null;
+}
+
+export function readText(xml, localName) {
+  const block = findBlock(xml, localName);
+  if (!block) {
+    return null;
+  }
+  const text = block.body.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').trim();
+  return text.length > 0 ? text : null;
+}
+
+export function readNumber(xml, localName) {
+  const text = readText(xml, localName);
+  if (text == null) {
+    return null;
+  }
+  const value = Number(text);
+  return Number.isFinite(value) ? value : null;
+}
+
+export function readAttribute(attributes, name) {
+  const match = new RegExp(`\\b${escapeTag(name)}\\s*=\\s*"([^"]*)"`).exec(attributes ?? '')
+    ?? new RegExp(`\\b${escapeTag(name)}\\s*=\\s*'([^']*)'`).exec(attributes ?? '');
+  return match ? match[1] : null;
+}
+
+export function parseTimestamp(text) {
+  if (!text) {
+    return null;
+  }
+  const ms = Date.parse(text);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+export function haversineDistance(a, b) {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+export function elevationGain(altitudes, threshold = 2) {
+  const values = (altitudes ?? []).filter((value) => value != null);
+  if (values.length < 2) {
+    return null;
+  }
+  // hysteresis keeps barometric/GPS jitter from inflating the total
+  let gain = 0;
+  let reference = values[0];
+  for (let i = 1; i < values.length; i += 1) {
+    const delta = values[i] - reference;
+    if (delta >= threshold) {
+      gain += delta;
+      reference = values[i];
+    } else if (delta <= -threshold) {
+      reference = values[i];
+    }
+  }
+  return gain;
+}
+
+const SPORT_ALIASES = {
+  biking: 'Ride',
+  cycling: 'Ride',
+  ride: 'Ride',
+  road_biking: 'Ride',
+  1: 'Ride',
+  virtualride: 'VirtualRide',
+  indoor_cycling: 'VirtualRide',
+  mountainbikeride: 'MountainBikeRide',
+  mountain_biking: 'MountainBikeRide',
+  gravelride: 'GravelRide',
+  gravel_cycling: 'GravelRide',
+  running: 'Run',
+  run: 'Run',
+  9: 'Run',
+  trail_running: 'TrailRun',
+  trailrun: 'TrailRun',
+  walking: 'Walk',
+  walk: 'Walk',
+  hiking: 'Hike',
+  hike: 'Hike',
+};
+
+export function normalizeSportType(value, fallback = 'Ride') {
+  if (value == null) {
+    return fallback;
+  }
+  const key = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return SPORT_ALIASES[key] ?? SPORT_ALIASES[key.replace(/_/g, '')] ?? fallback;
+}
@@ -0,0 +1,321 @@
+const FIT_EPOCH_OFFSET = 631065600; // seconds between 1970-01-01 and 1989-12-31 (FIT epoch)
+const DEGREES_PER_SEMICIRCLE = 180 / 2 ** 31;
+
+const MESG_SESSION = 18;
+const MESG_RECORD = 20;
+
+const BASE_TYPES = {
+  0x00: { size: 1, read: 'getUint8', invalid: 0xff },
+  0x01: { size: 1, read: 'getInt8', invalid: 0x7f },
+  0x02: { size: 1, read: 'getUint8', invalid: 0xff },
+  0x07: { size: 1, read: null, invalid: null },
+  0x0a: { size: 1, read: 'getUint8', invalid: 0x00 },
+  0x0d: { size: 1, read: 'getUint8', invalid: 0xff },
+  0x83: { size: 2, read: 'getInt16', invalid: 0x7fff },
+  0x84: { size: 2, read: 'getUint16', invalid: 0xffff },
+  0x85: { size: 4, read: 'getInt32', invalid: 0x7fffffff },
+  0x86: { size: 4, read: 'getUint32', invalid: 0xffffffff },
+  0x88: { size: 4, read: 'getFloat32', invalid: null },
+  0x89: { size: 8, read: 'getFloat64', invalid: null },
+  0x8b: { size: 2, read: 'getUint16', invalid: 0x0000 },
+  0x8c: { size: 4, read: 'getUint32', invalid: 0x00000000 },
+};
+
+// record (global message 20) fields we map onto Strava stream keys
+const RECORD_FIELDS = {
+  253: 'timestamp',
+  0: 'position_lat',
+  1: 'position_long',
+  2: 'altitude',
+  3: 'heart_rate',
+  4: 'cadence',
+  5: 'distance',
+  6: 'speed',
+  7: 'power',
+  13: 'temperature',
+  30: 'left_right_balance',
+  41: 'left_torque_effectiveness',
+  42: 'right_torque_effectiveness',
+  43: 'left_pedal_smoothness',
+  44: 'right_pedal_smoothness',
+  73: 'enhanced_speed',
+  78: 'enhanced_altitude',
+};
+
+const SESSION_FIELDS = {
+  2: 'start_time',
+  5: 'sport',
+  6: 'sub_sport',
+  7: 'total_elapsed_time',
+  8: 'total_timer_time',
+  9: 'total_distance',
+  11: 'total_calories',
+  22: 'total_ascent',
+  57: 'avg_temperature',
+};
+
+const SPORT_TYPES = {
+  1: 'Run',
+  2: 'Ride',
+  11: 'Walk',
+  17: 'Hike',
+};
+
+const CYCLING_SUB_SPORTS = {
+  6: 'VirtualRide', // indoor_cycling
+  8: 'MountainBikeRide',
+  46: 'GravelRide',
+  58: 'VirtualRide', // virtual_activity
+};
+
+function readValue(view, offset, baseType, size, littleEndian) {
+  const type = BASE_TYPES[baseType];
+  if (!type || !type.read || size !== type.size) {
+    return null;
+  }
+  const value = type.size === 1 ? view[type.read](offset) : view[type.read](offset, littleEndian);
+  if (type.invalid != null && value === type.invalid) {
+    return null;
+  }
+  if (Number.isNaN(value)) {
+    return null;
+  }
+  return value;
+}
+
+function readHeader(view) {
+  if (view.byteLength < 12) {
+    throw new Error('FIT file is too small to contain a header.');
+  }
+  const headerSize = view.getUint8(0);
+  if (headerSize !== 12 && headerSize !== 14) {
+    throw new Error(`Unsupported FIT header size ${headerSize}.`);
+  }
+  const dataSize = view.getUint32(4, true);
+  const signature = String.fromCharCode(view.getUint8(8), view.getUint8(9), view.getUint8(10), view.getUint8(11));
+  if (signature !== '.FIT') {
+    throw new Error('File is not a FIT file (missing .FIT signature).');
+  }
+  if (headerSize + dataSize > view.byteLength) {
+    throw new Error('FIT file is truncated.');
+  }
+  return { headerSize, dataSize };
+}
+
+// The header's data size can be intact while a message inside it is cut short.
+function checkBounds(position, end) {
+  if (position > end) {
+    throw new Error('FIT file is truncated.');
+  }
+}
+
+export function decodeFitMessages(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const { headerSize, dataSize } = readHeader(view);
+
+  const definitions = new Map();
+  const messages = [];
+  const end = headerSize + dataSize;
+  let offset = headerSize;
+  let lastTimestamp = null;
+
+  while (offset < end) {
+    const recordHeader = view.getUint8(offset);
+    offset += 1;
+
+    if (recordHeader & 0x80) {
+      // compressed timestamp header: local type in bits 5-6, 5-bit time offset
+      const localType = (recordHeader >> 5) & 0x03;
+      const timeOffset = recordHeader & 0x1f;
+      const definition = definitions.get(localType);
+      if (!definition) {
+        throw new Error(`FIT data message references undefined local type ${localType}.`);
+      }
+      checkBounds(offset + definition.size, end);
+      const message = readDataMessage(view, offset, definition);
+      offset += definition.size;
+      if (lastTimestamp != null) {
+        lastTimestamp += (timeOffset - (lastTimestamp & 0x1f)) & 0x1f;
+        message.fields.timestamp ??= lastTimestamp;
+      }
+      messages.push(message);
+      continue;
+    }
+
+    const localType = recordHeader & 0x0f;
+    if (recordHeader & 0x40) {
+      checkBounds(offset + 5, end);
+      const hasDeveloperData = Boolean(recordHeader & 0x20);
+      const littleEndian = view.getUint8(offset + 1) === 0;
+      const globalMessage = view.getUint16(offset + 2, littleEndian);
+      const fieldCount = view.getUint8(offset + 4);
+      offset += 5;
+
+      checkBounds(offset + fieldCount * 3 + (hasDeveloperData ? 1 : 0), end);
+      const fields = [];
+      let size = 0;
+      for (let i = 0; i < fieldCount; i += 1) {
+        const field = {
+          number: view.getUint8(offset),
+          size: view.getUint8(offset + 1),
+          baseType: view.getUint8(offset + 2),
+          offset: size,
+        };
+        fields.push(field);
+        size += field.size;
+        offset += 3;
+      }
+
+      if (hasDeveloperData) {
+        const developerFieldCount = view.getUint8(offset);
+        offset += 1;
+        checkBounds(offset + developerFieldCount * 3, end);
+        for (let i = 0; i < developerFieldCount; i += 1) {
+          size += view.getUint8(offset + 1);
+          offset += 3;
+        }
+      }
+
+      definitions.set(localType, { globalMessage, littleEndian, fields, size });
+      continue;
+    }
+
+    const definition = definitions.get(localType);
+    if (!definition) {
+      throw new Error(`FIT data message references undefined local type ${localType}.`);
+    }
+    checkBounds(offset + definition.size, end);
+    const message = readDataMessage(view, offset, definition);
+    offset += definition.size;
+    if (message.fields.timestamp != null) {
+      lastTimestamp = message.fields.timestamp;
+    }
+    messages.push(message);
+  }
+
+  return messages;
+}
+
+function readDataMessage(view, offset, definition) {
+  const names =
+    definition.globalMessage === MESG_RECORD
+      ? RECORD_FIELDS
+      : definition.globalMessage === MESG_SESSION
+        ? SESSION_FIELDS
+        : { 253: 'timestamp' };
+
+  const fields = {};
+  definition.fields.forEach((field) => {
+    const name = names[field.number];
+    if (!name) {
+      return;
+    }
+    const value = readValue(view, offset + field.offset, field.baseType, field.size, definition.littleEndian);
+    if (value != null) {
+      fields[name] = value;
+    }
+  });
+
+  return { globalMessage: definition.globalMessage, fields };
+}
+
+function toDate(fitTimestamp) {
+  return new Date((fitTimestamp + FIT_EPOCH_OFFSET) * 1000);
+}
+
+function decodeBalance(raw) {
+  if (raw == null) {
+    return null;
+  }
+  const percent = raw & 0x7f;
+  // bit 7 set means the value is the right pedal's contribution; streams carry the left side
+  return raw & 0x80 ? 100 - percent : percent;
+}
+
+function toDegrees(semicircles) {
+  return semicircles != null ? semicircles * DEGREES_PER_SEMICIRCLE : null;
+}
+
+function averageSides(left, right, scale) {
+  const values = [left, right].filter((value) => value != null).map((value) => value / scale);
+  if (values.length === 0) {
+    return null;
+  }
+  return values.reduce((acc, value) => acc + value, 0) / values.length;
+}
+
+function resolveSportType(session) {
+  if (!session) {
+    return 'Ride';
+  }
+  if (session.sport === 2 && CYCLING_SUB_SPORTS[session.sub_sport]) {
+    return CYCLING_SUB_SPORTS[session.sub_sport];
+  }
+  return SPORT_TYPES[session.sport] ?? 'Ride';
+}
+
+function buildActivity(session, records) {
+  const firstTimestamp = records[0]?.timestamp ?? session?.start_time ?? null;
+  const startTime = session?.start_time ?? firstTimestamp;
+  const sportType = resolveSportType(session);
+  const ascent = session?.total_ascent ?? null;
+
+  return {
+    id: null,
+    start_date: startTime != null ? toDate(startTime).toISOString() : null,
+    sport_type: sportType,
+    type: sportType,
+    trainer: session?.sub_sport === 6 || session?.sub_sport === 58,
+    elapsed_time: session?.total_elapsed_time != null ? session.total_elapsed_time / 1000 : null,
+    moving_time: session?.total_timer_time != null ? session.total_timer_time / 1000 : null,
+    distance: session?.total_distance != null ? session.total_distance / 100 : null,
+    calories: session?.total_calories ?? null,
+    total_elevation_gain: ascent,
+    average_temp: session?.avg_temperature ?? null,
+  };
+}
+
+export function decodeFitActivity(buffer) {
+  const messages = decodeFitMessages(buffer);
+  const session = messages.find((message) => message.globalMessage === MESG_SESSION)?.fields ?? null;
+  const records = messages
+    .filter((message) => message.globalMessage === MESG_RECORD && message.fields.timestamp != null)
+    .map((message) => message.fields);
+
+  if (records.length === 0) {
+    throw new Error('FIT file contains no record messages.');
+  }
+
+  const samples = records.map((record) => {
+    const altitude = record.enhanced_altitude ?? record.altitude;
+    const speed = record.enhanced_speed ?? record.speed;
+    return {
+      timestamp: toDate(record.timestamp).getTime(),
+      lat: toDegrees(record.position_lat),
+      lng: toDegrees(record.position_long),
+      watts: record.power ?? null,
+      heartrate: record.heart_rate ?? null,
+      cadence: record.cadence ?? null,
+      distance: record.distance != null ? record.distance / 100 : null,
+      altitude: altitude != null ? altitude / 5 - 500 : null,
+      velocity_smooth: speed != null ? speed / 1000 : null,
+      temp: record.temperature ?? null,
+      left_right_balance: decodeBalance(record.left_right_balance),
+      torque_effectiveness: averageSides(record.left_torque_effectiveness, record.right_torque_effectiveness, 2),
+      pedal_smoothness: averageSides(record.left_pedal_smoothness, record.right_pedal_smoothness, 2),
+    };
+  });
+
+  return {
+    samples,
+    activity: buildActivity(session, records),
+  };
+}
+
+export function isFitFile(buffer) {
+  if (!buffer || buffer.length < 12) {
+    return false;
+  }
+  return buffer[8] === 0x2e && buffer[9] === 0x46 && buffer[10] === 0x49 && buffer[11] === 0x54;
+}
@@ -0,0 +1,72 @@
+import { findBlock, findBlocks, normalizeSportType, parseTimestamp, readAttribute, readNumber, readText } from './common.js';
+
+export function isGpxDocument(text) {
+  return /<gpx\b/.test(text);
+}
+
+function readPower(extensions) {
+  // Strava/Wahoo exports use <power>, Garmin's PowerExtension uses <pwr:PowerInWatts>
+  return readNumber(extensions, 'power') ?? readNumber(extensions, 'PowerInWatts');
+}
+
+function readTrackpoint({ attributes, body }) {
+  const timestamp = parseTimestamp(readText(body, 'time'));
+  if (timestamp == null) {
+    return null;
+  }
+
+  const lat = Number(readAttribute(attributes, 'lat'));
+  const lng = Number(readAttribute(attributes, 'lon'));
+  const extensions = findBlock(body, 'extensions')?.body ?? '';
+  const trackPointExtension = findBlock(extensions, 'TrackPointExtension')?.body ?? extensions;
+
+  return {
+    timestamp,
+    lat: Number.isFinite(lat) ? lat : null,
+    lng: Number.isFinite(lng) ? lng : null,
+    altitude: readNumber(body, 'ele'),
+    heartrate: readNumber(trackPointExtension, 'hr'),
+    cadence: readNumber(trackPointExtension, 'cad'),
+    temp: readNumber(trackPointExtension, 'atemp'),
+    velocity_smooth: readNumber(trackPointExtension, 'speed'),
+    watts: readPower(extensions),
+  };
+}
+
+export function decodeGpxActivity(text) {
+  if (!isGpxDocument(text)) {
+    throw new Error('File is not a GPX document.');
+  }
+
+  const track = findBlock(text, 'trk');
+  if (!track) {
+    throw new Error('GPX file contains no track.');
+  }
+
+  const samples = findBlocks(track.body, 'trkpt')
+    .map((trackpoint) => readTrackpoint(trackpoint))
+    .filter(Boolean);
+
+  if (samples.length === 0) {
+    throw new Error('GPX file contains no timestamped track points.');
+  }
+
+  const start = samples.reduce((acc, sample) => Math.min(acc, sample.timestamp), Infinity);
+  const trackHeader = track.body.replace(/<trkseg\b[\s\S]*$/, '');
+  const sportType = normalizeSportType(readText(trackHeader, 'type'));
+
+  return {
+    samples,
+    activity: {
+      id: null,
+      name: readText(trackHeader, 'name'),
+      start_date: new Date(start).toISOString(),
+      sport_type: sportType,
+      type: sportType,
+      trainer: false,
+      calories: null,
+      total_elevation_gain: null,
+      average_temp: null,
+    },
+  };
+}
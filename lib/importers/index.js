@@ -0,0 +1,194 @@
+import { elevationGain, haversineDistance } from './common.js';
+import { decodeFitActivity, isFitFile } from './fit.js';
+import { decodeGpxActivity, isGpxDocument } from './gpx.js';
+import { decodeTcxActivity, isTcxDocument } from './tcx.js';
+
+const STREAM_KEYS = [
+  'watts',
+  'heartrate',
+  'cadence',
+  'distance',
+  'altitude',
+  'velocity_smooth',
+  'temp',
+  'left_right_balance',
+  'torque_effectiveness',
+  'pedal_smoothness',
+];
+
+const SUPPORTED_FORMATS = ['fit', 'tcx', 'gpx'];
+
+// Position and environment change smoothly, so gaps in them are bridged linearly (and held at the
+// ends). Sensor streams are not: a missing power or HR reading stays null so the data-quality stage
+// sees the dropout instead of a held value.
+const INTERPOLATED_KEYS = ['distance', 'altitude', 'temp'];
+
+function interpolateGaps(values, time) {
+  const known = values.flatMap((value, index) => (value != null ? [index] : []));
+  if (known.length === 0) {
+    return null;
+  }
+  let next = 0;
+  return values.map((value, index) => {
+    if (value != null) {
+      return value;
+    }
+    while (next < known.length && known[next] < index) {
+      next += 1;
+    }
+    const after = known[next];
+    const before = known[next - 1];
+    if (before == null) {
+      return values[after];
+    }
+    if (after == null) {
+      return values[before];
+    }
+    const fraction = (time[index] - time[before]) / (time[after] - time[before]);
+    return values[before] + (values[after] - values[before]) * fraction;
+  });
+}
+
+function keepGaps(values) {
+  return values.some((value) => value != null) ? values : null;
+}
+
+function deriveDistance(rows) {
+  if (rows.some((row) => row.distance != null)) {
+    return;
+  }
+  let total = 0;
+  let previous = null;
+  rows.forEach((row) => {
+    if (row.lat == null || row.lng == null) {
+      return;
+    }
+    const point = { lat: row.lat, lng: row.lng };
+    if (previous) {
+      total += haversineDistance(previous, point);
+    }
+    previous = point;
+    row.distance = total;
+  });
+}
+
+function deriveVelocity(rows, time) {
+  if (rows.some((row) => row.velocity_smooth != null)) {
+    return;
+  }
+  const distance = interpolateGaps(rows.map((row) => row.distance ?? null), time);
+  if (!distance) {
+    return;
+  }
+  // centred difference over ±2 samples, which also copes with irregular recording intervals
+  const span = 2;
+  rows.forEach((row, i) => {
+    const from = Math.max(0, i - span);
+    const to = Math.min(rows.length - 1, i + span);
+    const elapsed = time[to] - time[from];
+    row.velocity_smooth = elapsed > 0 ? Math.max(0, (distance[to] - distance[from]) / elapsed) : null;
+  });
+}
+
+// Converts timestamped samples into the key_by_type stream object that fetchStreams returns,
+// so imported files flow through sanitizeStreams/calculateMetrics exactly like Strava rides.
+// Irregular (smart-recording) intervals are kept as-is: `time` holds real elapsed seconds.
+export function samplesToStreams(samples) {
+  const ordered = samples
+    .filter((sample) => Number.isFinite(sample.timestamp))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  if (ordered.length === 0) {
+    return {};
+  }
+
+  const start = ordered[0].timestamp;
+  const time = [];
+  const rows = [];
+  ordered.forEach((sample) => {
+    const seconds = Math.round((sample.timestamp - start) / 1000);
+    // collapse duplicate timestamps so the time array stays strictly increasing
+    if (time.length > 0 && seconds <= time[time.length - 1]) {
+      return;
+    }
+    time.push(seconds);
+    rows.push({ ...sample });
+  });
+
+  deriveDistance(rows);
+  deriveVelocity(rows, time);
+
+  const streams = {
+    time: { data: time, series_type: 'time', original_size: time.length, resolution: 'high' },
+  };
+
+  STREAM_KEYS.forEach((key) => {
+    const values = rows.map((row) => row[key] ?? null);
+    const data = INTERPOLATED_KEYS.includes(key) ? interpolateGaps(values, time) : keepGaps(values);
+    if (data) {
+      streams[key] = { data, series_type: 'time', original_size: data.length, resolution: 'high' };
+    }
+  });
+
+  return streams;
+}
+
+function toText(buffer) {
+  if (typeof buffer === 'string') {
+    return buffer;
+  }
+  return Buffer.from(buffer).toString('utf8').replace(/^\uFEFF/, '');
+}
+
+function summarizeStreams(activity, streams) {
+  const temps = streams.temp?.data ?? [];
+  const time = streams.time?.data ?? [];
+  return {
+    ...activity,
+    elapsed_time: activity.elapsed_time ?? (time.length > 0 ? time[time.length - 1] : null),
+    distance: activity.distance ?? streams.distance?.data?.[streams.distance.data.length - 1] ?? null,
+    total_elevation_gain: activity.total_elevation_gain ?? elevationGain(streams.altitude?.data),
+    average_temp:
+      activity.average_temp ?? (temps.length > 0 ? temps.reduce((acc, value) => acc + value, 0) / temps.length : null),
+  };
+}
+
+export function detectRideFileFormat(buffer, filename) {
+  const extension = filename ? String(filename).toLowerCase().split('.').pop() : null;
+  if (SUPPORTED_FORMATS.includes(extension)) {
+    return extension;
+  }
+  if (typeof buffer !== 'string' && isFitFile(buffer)) {
+    return 'fit';
+  }
+  const head = toText(typeof buffer === 'string' ? buffer.slice(0, 4096) : Buffer.from(buffer).subarray(0, 4096));
+  if (isTcxDocument(head)) {
+    return 'tcx';
+  }
+  if (isGpxDocument(head)) {
+    return 'gpx';
+  }
+  return null;
+}
+
+export function isSupportedRideFileFormat(format) {
+  return SUPPORTED_FORMATS.includes(String(format ?? '').toLowerCase());
+}
+
+export function parseRideFile(buffer, { filename, format } = {}) {
+  const resolvedFormat = format ? String(format).toLowerCase() : detectRideFileFormat(buffer, filename);
+
+  let decoded;
+  if (resolvedFormat === 'fit') {
+    decoded = decodeFitActivity(buffer);
+  } else if (resolvedFormat === 'tcx') {
+    decoded = decodeTcxActivity(toText(buffer));
+  } else if (resolvedFormat === 'gpx') {
+    decoded = decodeGpxActivity(toText(buffer));
+  } else {
+    throw new Error('Unsupported ride file format.');
+  }
+
+  const streams = samplesToStreams(decoded.samples);
+  return { format: resolvedFormat, streams, activity: summarizeStreams(decoded.activity, streams) };
+}
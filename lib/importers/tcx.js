@@ -0,0 +1,77 @@
+import {
+  findBlock,
+  findBlocks,
+  normalizeSportType,
+  parseTimestamp,
+  readAttribute,
+  readNumber,
+  readText,
+} from './common.js';
+
+export function isTcxDocument(text) {
+  return /<TrainingCenterDatabase\b/.test(text);
+}
+
+function readTrackpoint(body) {
+  const timestamp = parseTimestamp(readText(body, 'Time'));
+  if (timestamp == null) {
+    return null;
+  }
+
+  const position = findBlock(body, 'Position');
+  const heartRate = findBlock(body, 'HeartRateBpm');
+  // TrackPoint Extensions (usually ns3:TPX) carry power, speed and run cadence
+  const extension = findBlock(body, 'TPX')?.body ?? '';
+
+  return {
+    timestamp,
+    lat: position ? readNumber(position.body, 'LatitudeDegrees') : null,
+    lng: position ? readNumber(position.body, 'LongitudeDegrees') : null,
+    altitude: readNumber(body, 'AltitudeMeters'),
+    distance: readNumber(body, 'DistanceMeters'),
+    heartrate: heartRate ? readNumber(heartRate.body, 'Value') : null,
+    cadence: readNumber(body, 'Cadence') ?? readNumber(extension, 'RunCadence'),
+    watts: readNumber(extension, 'Watts'),
+    velocity_smooth: readNumber(extension, 'Speed'),
+  };
+}
+
+export function decodeTcxActivity(text) {
+  if (!isTcxDocument(text)) {
+    throw new Error('File is not a TCX document.');
+  }
+
+  const activityBlock = findBlock(text, 'Activity');
+  if (!activityBlock) {
+    throw new Error('TCX file contains no Activity.');
+  }
+
+  const samples = findBlocks(activityBlock.body, 'Trackpoint')
+    .map((trackpoint) => readTrackpoint(trackpoint.body))
+    .filter(Boolean);
+
+  if (samples.length === 0) {
+    throw new Error('TCX file contains no trackpoints.');
+  }
+
+  const laps = findBlocks(activityBlock.body, 'Lap');
+  const calories = laps.reduce((acc, lap) => acc + (readNumber(lap.body, 'Calories') ?? 0), 0);
+  const firstLapStart = laps.length > 0 ? parseTimestamp(readAttribute(laps[0].attributes, 'StartTime')) : null;
+  const start = firstLapStart ?? samples.reduce((acc, sample) => Math.min(acc, sample.timestamp), Infinity);
+  const sportType = normalizeSportType(readAttribute(activityBlock.attributes, 'Sport'));
+
+  return {
+    samples,
+    activity: {
+      id: null,
+      name: readText(activityBlock.body, 'Notes'),
+      start_date: new Date(start).toISOString(),
+      sport_type: sportType,
+      type: sportType,
+      trainer: false,
+      calories: calories > 0 ? calories : null,
+      total_elevation_gain: null,
+      average_temp: null,
+    },
+  };
+}
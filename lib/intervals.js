@@ -0,0 +1,187 @@
+import { linearRegressionSlope, mean, normalizedPower, percentageChange } from './stats.js';
+
+const INTERVAL_DEFAULTS = {
+  smoothingSeconds: 30, // rolling window used to find reps, so a few soft pedal strokes do not split one
+  thresholdRatio: 0.75, // of CP/FTP when known
+  mergeGapSeconds: 20, // dips shorter than this (a junction, a crest) stay inside the rep
+  minRepSeconds: 120,
+  minReps: 3,
+  maxDurationCv: 0.35, // reps of a structured set are roughly the same length
+  minContrast: 1.15, // reps must be at least 15% above the recoveries between them
+};
+
+function percentile(values, fraction) {
+  const sorted = values.filter((value) => value != null).sort((a, b) => a - b);
+  if (sorted.length === 0) {
+    return null;
+  }
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+// trend per rep, skipping reps without a value
+function slopePerRep(values) {
+  const points = values.map((value, index) => [index, value]).filter(([, value]) => value != null);
+  return linearRegressionSlope(
+    points.map(([x]) => x),
+    points.map(([, y]) => y),
+  );
+}
+
+function centeredRollingMean(values, time, windowSeconds) {
+  const half = windowSeconds / 2;
+  const result = new Array(values.length);
+  let start = 0;
+  let end = 0;
+  let sum = 0;
+  for (let i = 0; i < values.length; i += 1) {
+    while (end < values.length && time[end] - time[i] <= half) {
+      sum += values[end] ?? 0;
+      end += 1;
+    }
+    while (time[i] - time[start] > half) {
+      sum -= values[start] ?? 0;
+      start += 1;
+    }
+    result[i] = sum / (end - start);
+  }
+  return result;
+}
+
+// Strava lap indices point into the original streams; times survive sample masking, indices do not.
+export function resolveLapRanges(laps, time) {
+  if (!Array.isArray(laps) || laps.length === 0) {
+    return [];
+  }
+  return laps
+    .filter((lap) => time[lap.start_index] != null && time[lap.end_index] != null)
+    .map((lap) => ({ startTime: time[lap.start_index], endTime: time[lap.end_index] }));
+}
+
+function indexRange(time, { startTime, endTime }) {
+  const start = time.findIndex((value) => value >= startTime);
+  if (start === -1) {
+    return null;
+  }
+  let end = start;
+  while (end + 1 < time.length && time[end + 1] <= endTime) {
+    end += 1;
+  }
+  return [start, end];
+}
+
+function findReps(smoothed, time, threshold, config) {
+  const runs = [];
+  let start = null;
+  for (let i = 0; i <= smoothed.length; i += 1) {
+    const above = i < smoothed.length && smoothed[i] >= threshold;
+    if (above && start == null) {
+      start = i;
+    } else if (!above && start != null) {
+      const previous = runs[runs.length - 1];
+      if (previous && time[start] - time[previous[1]] <= config.mergeGapSeconds) {
+        previous[1] = i - 1;
+      } else {
+        runs.push([start, i - 1]);
+      }
+      start = null;
+    }
+  }
+  return runs.filter(([from, to]) => time[to] - time[from] >= config.minRepSeconds);
+}
+
+function summarizeRep(streams, [start, end], index) {
+  const { time, watts, heartrate, cadence } = streams;
+  const slice = (values) => (values.length === time.length ? values.slice(start, end + 1) : []);
+  const repTime = slice(time);
+  const repWatts = slice(watts);
+  const repHr = slice(heartrate);
+  const middle = Math.floor(repWatts.length / 2);
+  const ratio = (from, to) => {
+    const hr = mean(repHr.slice(from, to));
+    return hr ? mean(repWatts.slice(from, to)) / hr : null;
+  };
+  const avgPower = mean(repWatts);
+  const avgHr = mean(repHr);
+  const np = normalizedPower(repWatts, repTime);
+
+  return {
+    rep: index + 1,
+    startTime: time[start],
+    // the last sample covers its own second too, so a 480-sample rep reads 8:00 rather than 7:59
+    durationSeconds: time[end] - time[start] + Math.min((time[end + 1] ?? time[end] + 1) - time[end], 1),
+    avgPower,
+    normalizedPower: np,
+    avgHr,
+    maxHr: avgHr != null ? Math.max(...repHr.filter((value) => value != null)) : null,
+    efficiencyFactor: avgHr ? (np ?? avgPower) / avgHr : null,
+    avgCadence: mean(slice(cadence).filter((value) => value > 0)),
+    // within-rep Pw:HR drift, same sign convention as the whole-ride figure
+    decoupling: percentageChange(ratio(0, middle), ratio(middle)),
+  };
+}
+
+function hasWorkoutStructure(ranges, smoothed, time, config) {
+  if (ranges.length < config.minReps) {
+    return false;
+  }
+  const durations = ranges.map(([from, to]) => time[to] - time[from]);
+  const meanDuration = mean(durations);
+  const spread = Math.sqrt(mean(durations.map((value) => (value - meanDuration) ** 2)));
+  if (spread / meanDuration > config.maxDurationCv) {
+    return false;
+  }
+  const repPower = mean(ranges.flatMap(([from, to]) => smoothed.slice(from, to + 1)));
+  const recoveryPower = mean(
+    ranges.slice(1).flatMap(([from], index) => smoothed.slice(ranges[index][1] + 1, from)),
+  );
+  return recoveryPower == null || repPower >= recoveryPower * config.minContrast;
+}
+
+// Finds the work reps of a structured session — from Strava laps when the athlete pressed the lap
+// button, otherwise from the smoothed power trace — and returns null for anything that does not
+// look like a set of repeated efforts.
+export function analyzeIntervals(streams, { referencePower = null, laps = [], overrides = {} } = {}) {
+  const config = { ...INTERVAL_DEFAULTS, ...overrides };
+  const { time, watts } = streams;
+  if (watts.length !== time.length || time.length < 2) {
+    return null;
+  }
+
+  const smoothed = centeredRollingMean(watts, time, config.smoothingSeconds);
+  const threshold = referencePower
+    ? referencePower * config.thresholdRatio
+    : (percentile(smoothed, 0.25) + percentile(smoothed, 0.9)) / 2;
+
+  let source = 'detected';
+  let ranges = findReps(smoothed, time, threshold, config);
+  const lapRanges = laps
+    .map((lap) => indexRange(time, lap))
+    .filter((range) => range && time[range[1]] - time[range[0]] >= config.minRepSeconds)
+    .filter(([from, to]) => mean(watts.slice(from, to + 1)) >= threshold);
+  if (hasWorkoutStructure(lapRanges, smoothed, time, config)) {
+    source = 'laps';
+    ranges = lapRanges;
+  } else if (!hasWorkoutStructure(ranges, smoothed, time, config)) {
+    return null;
+  }
+
+  const reps = ranges.map((range, index) => summarizeRep(streams, range, index));
+  const first = reps[0];
+  const last = reps[reps.length - 1];
+  const meanPower = mean(reps.map((rep) => rep.avgPower));
+  const powerSlope = slopePerRep(reps.map((rep) => rep.avgPower));
+
+  return {
+    source,
+    threshold,
+    reps,
+    powerFade: first.avgPower ? ((first.avgPower - last.avgPower) / first.avgPower) * 100 : null,
+    powerSlopePercentPerRep: powerSlope != null && meanPower ? (powerSlope / meanPower) * 100 : null,
+    hrDriftPerRep: slopePerRep(reps.map((rep) => rep.avgHr)),
+    efficiencyDecline:
+      first.efficiencyFactor && last.efficiencyFactor != null
+        ? ((first.efficiencyFactor - last.efficiencyFactor) / first.efficiencyFactor) * 100
+        : null,
+    meanDecoupling: mean(reps.map((rep) => rep.decoupling)),
+  };
+}
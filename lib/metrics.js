@@ -1,3 +1,30 @@
+import { computeConfidenceIntervals, evaluateDataGuards } from './confidence.js';
+import { completeSamples, repairStreams } from './dataQuality.js';
+import { computeDurabilityScore, resolveScoreModel } from './durabilityScore.js';
+import { analyzeIntervals, resolveLapRanges } from './intervals.js';
+import {
+  CP_DURATIONS,
+  fitCriticalPower,
+  mergeMeanMaxPower,
+  resolvePowerModel,
+  summarizeWPrimeBalance,
+} from './powerModel.js';
+import {
+  linearRegressionSlope,
+  mean,
+  normalizedPower,
+  percentageChange,
+  rebaseTime,
+  rollingAverage,
+} from './stats.js';
+import { TERRAIN_CLASSES, classifyTerrain } from './terrain.js';
+import { computeHeartRateStress, computeTrainingStress } from './trainingLoad.js';
+
+// Stored with every result (athlete_metrics.metrics_version). Bump it whenever a field of the
+// calculateMetrics or calculateRunningMetrics output changes shape or meaning, so stored results
+// from different versions are never compared unknowingly.
+export const METRICS_VERSION = 1;
+
 function clamp(value, min, max) {
   if (value == null || Number.isNaN(value)) {
     return null;
@@ -48,22 +75,6 @@ function sliceSegment(arr, segment) {
   return arr.slice(start, end + 1);
 }
 
-function rebaseTime(values) {
-  if (!values || values.length === 0) {
-    return [];
-  }
-  const offset = values[0];
-  return values.map((value) => value - offset);
-}
-
-function mean(values) {
-  if (!values || values.length === 0) {
-    return null;
-  }
-  const sum = values.reduce((acc, value) => acc + value, 0);
-  return sum / values.length;
-}
-
 function weightedMean(values, times) {
   if (!values || values.length === 0) {
     return null;
@@ -81,71 +92,6 @@ function weightedMean(values, times) {
   return sum / total;
 }
 
-function rollingAverage(values, times, windowSeconds) {
-  if (!values || values.length === 0) {
-    return [];
-  }
-  const results = [];
-  let start = 0;
-  let sum = 0;
-  for (let end = 0; end < values.length; end += 1) {
-    sum += values[end];
-    while (times[end] - times[start] > windowSeconds && start < end) {
-      sum -= values[start];
-      start += 1;
-    }
-    const count = end - start + 1;
-    if (times[end] - times[start] >= windowSeconds - 1) {
-      results.push({ start, end, average: sum / count });
-    }
-  }
-  return results;
-}
-
-function percentageChange(oldValue, newValue) {
-  if (oldValue == null || newValue == null || oldValue === 0) {
-    return null;
-  }
-  return ((newValue - oldValue) / oldValue) * 100;
-}
-
-function normalizedPower(values, times) {
-  if (!values || values.length < 30) {
-    return null;
-  }
-  const rebased = rebaseTime(times);
-  const rolling = rollingAverage(values, rebased, 30);
-  if (rolling.length === 0) {
-    return null;
-  }
-  const fourthPowerMean =
-    rolling.reduce((acc, item) => acc + item.average ** 4, 0) / rolling.length;
-  return fourthPowerMean ** 0.25;
-}
-
-function linearRegressionSlope(xs, ys) {
-  if (!xs || !ys || xs.length !== ys.length || xs.length < 2) {
-    return null;
-  }
-
-  const meanX = xs.reduce((acc, value) => acc + value, 0) / xs.length;
-  const meanY = ys.reduce((acc, value) => acc + value, 0) / ys.length;
-
-  let numerator = 0;
-  let denominator = 0;
-  for (let i = 0; i < xs.length; i += 1) {
-    const dx = xs[i] - meanX;
-    numerator += dx * (ys[i] - meanY);
-    denominator += dx * dx;
-  }
-
-  if (denominator === 0) {
-    return null;
-  }
-
-  return numerator / denominator;
-}
-
 function computeBestAveragePower(values, times, windowSeconds, startTime) {
   if (!values || !times || values.length < 2) {
     return null;
@@ -252,11 +198,556 @@ function computeHrrTimeInRange(times, values, { heartRateRest, heartRateMax, min
   return { seconds, ratio };
 }
 
-function filterByRange(pairs, targets) {
-  const { center, tolerance } = targets;
-  const min = center - tolerance;
-  const max = center + tolerance;
-  return pairs.filter((pair) => pair.hr >= min && pair.hr <= max);
+// Coggan levels as fractions of FTP; each upper bound is exclusive
+export const POWER_ZONES = [
+  { key: 'z1', label: 'Active recovery', max: 0.55 },
+  { key: 'z2', label: 'Endurance', max: 0.75 },
+  { key: 'z3', label: 'Tempo', max: 0.9 },
+  { key: 'z4', label: 'Threshold', max: 1.05 },
+  { key: 'z5', label: 'VO2max', max: 1.2 },
+  { key: 'z6', label: 'Anaerobic', max: 1.5 },
+  { key: 'z7', label: 'Neuromuscular', max: Infinity },
+];
+
+function computePowerZoneDistribution(times, values, ftp) {
+  const seconds = Object.fromEntries(POWER_ZONES.map((zone) => [zone.key, 0]));
+  let total = 0;
+  for (let i = 0; i < values.length - 1; i += 1) {
+    const duration = times[i + 1] - times[i];
+    const zone = POWER_ZONES.find((candidate) => values[i] / ftp < candidate.max);
+    seconds[zone.key] += duration;
+    total += duration;
+  }
+  if (total === 0) {
+    return null;
+  }
+  return Object.fromEntries(POWER_ZONES.map((zone) => [zone.key, ratioToPercent(seconds[zone.key] / total)]));
+}
+
+function computePowerZones(streams, segments, ftp) {
+  if (!ftp || ftp <= 0) {
+    return null;
+  }
+  const { time, watts } = streams;
+  const distributionFor = (segment) =>
+    computePowerZoneDistribution(rebaseTime(sliceSegment(time, segment)), sliceSegment(watts, segment), ftp);
+
+  const early = distributionFor(segments.early);
+  const late = distributionFor(segments.late);
+  const shift =
+    early && late ? Object.fromEntries(POWER_ZONES.map((zone) => [zone.key, late[zone.key] - early[zone.key]])) : null;
+
+  return {
+    ftp,
+    early,
+    late,
+    shift,
+    quartiles: segments.quartiles.map(distributionFor),
+  };
+}
+
+// Heart-rate reserve zones as fractions of (max − rest); each upper bound is exclusive
+export const HRR_ZONES = [
+  { key: 'z1', label: 'Recovery', max: 0.6 },
+  { key: 'z2', label: 'Endurance', max: 0.7 },
+  { key: 'z3', label: 'Tempo', max: 0.8 },
+  { key: 'z4', label: 'Threshold', max: 0.9 },
+  { key: 'z5', label: 'Maximal', max: Infinity },
+];
+
+function computeHrrZoneDistribution(times, values, { heartRateRest, heartRateMax }) {
+  const reserve = heartRateMax - heartRateRest;
+  const seconds = Object.fromEntries(HRR_ZONES.map((zone) => [zone.key, 0]));
+  let total = 0;
+  for (let i = 0; i < values.length - 1; i += 1) {
+    const duration = times[i + 1] - times[i];
+    const zone = HRR_ZONES.find((candidate) => (values[i] - heartRateRest) / reserve < candidate.max);
+    seconds[zone.key] += duration;
+    total += duration;
+  }
+  if (total === 0) {
+    return null;
+  }
+  return Object.fromEntries(HRR_ZONES.map((zone) => [zone.key, ratioToPercent(seconds[zone.key] / total)]));
+}
+
+function computeHrrZoneShift(streams, segments, { heartRateMax, heartRateRest }) {
+  if (!heartRateMax || !heartRateRest || heartRateMax <= heartRateRest) {
+    return null;
+  }
+  const { time, heartrate } = streams;
+  const distributionFor = (segment) =>
+    computeHrrZoneDistribution(rebaseTime(sliceSegment(time, segment)), sliceSegment(heartrate, segment), {
+      heartRateMax,
+      heartRateRest,
+    });
+
+  const early = distributionFor(segments.early);
+  const late = distributionFor(segments.late);
+  const shift =
+    early && late ? Object.fromEntries(HRR_ZONES.map((zone) => [zone.key, late[zone.key] - early[zone.key]])) : null;
+
+  return {
+    heartRateMax,
+    heartRateRest,
+    early,
+    late,
+    shift,
+    quartiles: segments.quartiles.map(distributionFor),
+  };
+}
+
+function computeMeanMaxPower(values, times, durations) {
+  const totalDuration = times[times.length - 1] - times[0];
+  const curve = {};
+  durations.forEach((duration) => {
+    if (totalDuration < duration) {
+      return;
+    }
+    const best = computeBestAveragePower(values, times, duration, times[0]);
+    if (best != null) {
+      curve[duration] = best;
+    }
+  });
+  return curve;
+}
+
+function computeCriticalPower(streams, segments, options) {
+  const { time, watts } = streams;
+  const meanMaxPower = computeMeanMaxPower(watts, time, CP_DURATIONS);
+  const model = resolvePowerModel({
+    meanMaxPower: mergeMeanMaxPower(options.recentMeanMaxPower, meanMaxPower),
+    storedModel: options.storedPowerModel,
+    ftp: options.ftp,
+  });
+
+  const quartileCp = (segment) =>
+    fitCriticalPower(
+      computeMeanMaxPower(sliceSegment(watts, segment), rebaseTime(sliceSegment(time, segment)), CP_DURATIONS),
+    )?.cp ?? null;
+  const firstQuartileCp = quartileCp(segments.quartiles[0]);
+  const lastQuartileCp = quartileCp(segments.quartiles[3]);
+
+  return {
+    meanMaxPower,
+    criticalPower: model
+      ? {
+          ...model,
+          firstQuartileCp,
+          lastQuartileCp,
+          lastQuartileChangePercent: percentageChange(firstQuartileCp, lastQuartileCp),
+        }
+      : null,
+    wPrimeBalance: summarizeWPrimeBalance({ watts, time, segments, model }),
+  };
+}
+
+const WORK_THRESHOLDS_KJ = [0, 1000, 2000, 3000];
+const WORK_DURATIONS = [300, 1200, 3600];
+
+function computeCumulativeWork(watts, times) {
+  const cumulative = [0];
+  for (let i = 1; i < watts.length; i += 1) {
+    const duration = times[i] - times[i - 1];
+    // a recording gap is stopped time, not sustained output at the last reading
+    const effective = duration > PAUSE_DEFAULTS.gapSeconds ? 1 : duration;
+    cumulative.push(cumulative[i - 1] + (watts[i - 1] * effective) / 1000);
+  }
+  return cumulative;
+}
+
+function computeWorkDurability(watts, times, weightKg) {
+  if (!watts.length || watts.length !== times.length) {
+    return null;
+  }
+  const cumulative = computeCumulativeWork(watts, times);
+  const totalDuration = times[times.length - 1];
+  const perKg = weightKg && weightKg > 0 ? (value) => value / weightKg : null;
+
+  const thresholds = WORK_THRESHOLDS_KJ.map((kj) => {
+    const index = cumulative.findIndex((value) => value >= kj);
+    if (index === -1) {
+      return null;
+    }
+    const startTime = times[index];
+    const bestByDuration = {};
+    WORK_DURATIONS.forEach((duration) => {
+      if (totalDuration - startTime < duration) {
+        return;
+      }
+      const best = computeBestAveragePower(watts, times, duration, startTime);
+      if (best != null) {
+        bestByDuration[duration] = best;
+      }
+    });
+    if (Object.keys(bestByDuration).length === 0) {
+      return null;
+    }
+    return {
+      kj,
+      reachedAt: startTime,
+      bestByDuration,
+      bestPerKgByDuration: perKg
+        ? Object.fromEntries(Object.entries(bestByDuration).map(([duration, power]) => [duration, perKg(power)]))
+        : null,
+    };
+  }).filter(Boolean);
+
+  const fresh = thresholds.find((entry) => entry.kj === 0);
+  thresholds.forEach((entry) => {
+    entry.changeFromFresh =
+      fresh && entry.kj > 0
+        ? Object.fromEntries(
+            Object.entries(entry.bestByDuration)
+              .filter(([duration]) => fresh.bestByDuration[duration])
+              .map(([duration, power]) => [duration, percentageChange(fresh.bestByDuration[duration], power)]),
+          )
+        : null;
+  });
+
+  const totalKj = cumulative[cumulative.length - 1];
+  return {
+    totalKj,
+    kjPerKg: perKg ? perKg(totalKj) : null,
+    weightKg: perKg ? weightKg : null,
+    thresholds,
+  };
+}
+
+const POWER_AT_HR_DEFAULTS = {
+  binSize: 5, // bpm
+  minSeconds: 60, // a bin must hold at least this long in both halves to be compared
+  fallbackAnchorHr: 150,
+  z2Band: [120, 150],
+};
+
+function weightedLinearFit(points) {
+  const totalWeight = points.reduce((acc, point) => acc + point.weight, 0);
+  if (points.length < 2 || totalWeight === 0) {
+    return null;
+  }
+  const meanX = points.reduce((acc, point) => acc + point.x * point.weight, 0) / totalWeight;
+  const meanY = points.reduce((acc, point) => acc + point.y * point.weight, 0) / totalWeight;
+  let numerator = 0;
+  let denominator = 0;
+  points.forEach((point) => {
+    const dx = point.x - meanX;
+    numerator += point.weight * dx * (point.y - meanY);
+    denominator += point.weight * dx * dx;
+  });
+  if (denominator === 0) {
+    return null;
+  }
+  const slope = numerator / denominator;
+  return { slope, intercept: meanY - slope * meanX };
+}
+
+function binPowerByHeartRate(times, watts, heartrate, binSize) {
+  const bins = new Map();
+  for (let i = 0; i < heartrate.length - 1; i += 1) {
+    const duration = times[i + 1] - times[i];
+    const key = Math.floor(heartrate[i] / binSize) * binSize;
+    const bin = bins.get(key) ?? { seconds: 0, energy: 0 };
+    bin.seconds += duration;
+    bin.energy += watts[i] * duration;
+    bins.set(key, bin);
+  }
+  return bins;
+}
+
+function resolveAnchorHeartRate(streams, segments, { heartRateMax, heartRateRest }, config) {
+  if (heartRateMax && heartRateRest && heartRateMax > heartRateRest) {
+    // centre of the HRR 60–70% band used for Z2 elsewhere
+    return { anchorHr: Math.round(heartRateRest + 0.65 * (heartRateMax - heartRateRest)), anchorSource: 'settings' };
+  }
+  const [min, max] = config.z2Band;
+  const z2Hr = sliceSegment(streams.heartrate, segments.firstHalf).filter((value) => value >= min && value <= max);
+  if (z2Hr.length >= config.minSeconds) {
+    const sorted = [...z2Hr].sort((a, b) => a - b);
+    return { anchorHr: Math.round(sorted[Math.floor(sorted.length / 2)]), anchorSource: 'median_z2' };
+  }
+  return { anchorHr: config.fallbackAnchorHr, anchorSource: 'fallback' };
+}
+
+function computePowerAtHrCurve(streams, segments, options = {}) {
+  const config = { ...POWER_AT_HR_DEFAULTS, ...options.powerAtHr };
+  const { time, watts, heartrate } = streams;
+  if (watts.length !== heartrate.length) {
+    return null;
+  }
+
+  const halfBins = [segments.firstHalf, segments.secondHalf].map((segment) =>
+    binPowerByHeartRate(
+      rebaseTime(sliceSegment(time, segment)),
+      sliceSegment(watts, segment),
+      sliceSegment(heartrate, segment),
+      config.binSize,
+    ),
+  );
+  const [earlyBins, lateBins] = halfBins;
+
+  const bins = Array.from(earlyBins.keys())
+    .filter((key) => lateBins.has(key))
+    .filter((key) => earlyBins.get(key).seconds >= config.minSeconds && lateBins.get(key).seconds >= config.minSeconds)
+    .sort((a, b) => a - b)
+    .map((key) => {
+      const early = earlyBins.get(key);
+      const late = lateBins.get(key);
+      const earlyPower = early.energy / early.seconds;
+      const latePower = late.energy / late.seconds;
+      return {
+        hrLow: key,
+        hrHigh: key + config.binSize,
+        hr: key + config.binSize / 2,
+        earlySeconds: early.seconds,
+        lateSeconds: late.seconds,
+        earlyPower,
+        latePower,
+        delta: latePower - earlyPower,
+      };
+    });
+
+  const { anchorHr, anchorSource } = resolveAnchorHeartRate(streams, segments, options, config);
+  const fitFor = (powerKey, secondsKey) =>
+    weightedLinearFit(bins.map((bin) => ({ x: bin.hr, y: bin[powerKey], weight: bin[secondsKey] })));
+  const earlyFit = fitFor('earlyPower', 'earlySeconds');
+  const lateFit = fitFor('latePower', 'lateSeconds');
+
+  // only interpolate: a line fitted over 130–145 bpm says nothing reliable about 160 bpm
+  const covered =
+    bins.length > 0 &&
+    anchorHr >= bins[0].hrLow - config.binSize &&
+    anchorHr <= bins[bins.length - 1].hrHigh + config.binSize;
+  let earlyAtAnchor = null;
+  let lateAtAnchor = null;
+  if (covered && earlyFit && lateFit) {
+    earlyAtAnchor = earlyFit.intercept + earlyFit.slope * anchorHr;
+    lateAtAnchor = lateFit.intercept + lateFit.slope * anchorHr;
+  } else if (bins.length === 1 && anchorHr >= bins[0].hrLow && anchorHr < bins[0].hrHigh) {
+    earlyAtAnchor = bins[0].earlyPower;
+    lateAtAnchor = bins[0].latePower;
+  }
+
+  return {
+    anchorHr,
+    anchorSource,
+    binSize: config.binSize,
+    minSeconds: config.minSeconds,
+    bins,
+    earlyFit,
+    lateFit,
+    earlyAtAnchor,
+    lateAtAnchor,
+    delta: earlyAtAnchor != null && lateAtAnchor != null ? lateAtAnchor - earlyAtAnchor : null,
+  };
+}
+
+export const HEAT_DEFAULTS = {
+  neutralTemp: 15, // °C — below this, ambient heat adds no measurable cardiovascular load
+  hrPerDegree: 1, // bpm of HR rise per °C above neutral, a population-level rule of thumb
+  similarTempRange: 5, // °C either side when matching baseline rides
+  minSimilarRides: 3,
+};
+
+// A simple thermal model: HR carries an offset proportional to how far the air is above a neutral
+// temperature. The change in that offset between the two halves is the heat share of HR creep; the
+// rest is treated as fatigue.
+function computeHeatAdjustment(
+  streams,
+  segments,
+  { earlyWatts, lateWatts, earlyHr, lateHr, pwHrDrift, hrCreep, overrides },
+) {
+  const config = { ...HEAT_DEFAULTS, ...overrides };
+  const { temperature, time } = streams;
+  if (temperature.length !== time.length) {
+    return null;
+  }
+  const earlyTemp = mean(sliceSegment(temperature, segments.firstHalf));
+  const lateTemp = mean(sliceSegment(temperature, segments.secondHalf));
+  if (earlyTemp == null || lateTemp == null) {
+    return null;
+  }
+
+  const heatLoad = (temp) => Math.max(temp - config.neutralTemp, 0) * config.hrPerDegree;
+  const hrEffect = heatLoad(lateTemp) - heatLoad(earlyTemp);
+  const adjustedLateHr = mean(lateHr) != null ? mean(lateHr) - hrEffect : null;
+
+  const earlyPw = mean(earlyWatts) / Math.max(mean(earlyHr) ?? 1, 1);
+  const adjustedLatePw = adjustedLateHr != null ? mean(lateWatts) / Math.max(adjustedLateHr, 1) : null;
+  const adjustedPwHrDrift = percentageChange(earlyPw, adjustedLatePw);
+
+  return {
+    earlyTemp,
+    lateTemp,
+    tempChange: lateTemp - earlyTemp,
+    neutralTemp: config.neutralTemp,
+    hrPerDegree: config.hrPerDegree,
+    hrEffect,
+    pwHrDrift,
+    adjustedPwHrDrift,
+    hrCreep,
+    adjustedHrCreep: hrCreep != null ? hrCreep - hrEffect : null,
+    explainedDriftPercent:
+      pwHrDrift != null && adjustedPwHrDrift != null && Math.abs(pwHrDrift) >= 0.5
+        ? ((pwHrDrift - adjustedPwHrDrift) / pwHrDrift) * 100
+        : null,
+  };
+}
+
+const TERRAIN_MIN_SECONDS = {
+  class: 300, // per half, before a terrain class is compared early vs late
+  band: 120, // per half, for a climb gradient band
+};
+
+function summarizeTerrainSamples(indices, streams, durations) {
+  const seconds = indices.reduce((acc, index) => acc + durations[index], 0);
+  const avgPower = mean(indices.map((index) => streams.watts[index]));
+  const avgHr = mean(indices.map((index) => streams.heartrate[index]));
+  return {
+    seconds,
+    avgPower,
+    avgHr,
+    efficiencyFactor: avgPower != null && avgHr ? avgPower / avgHr : null,
+  };
+}
+
+function compareTerrainHalves(earlyIndices, lateIndices, streams, durations, minSeconds) {
+  const early = summarizeTerrainSamples(earlyIndices, streams, durations);
+  const late = summarizeTerrainSamples(lateIndices, streams, durations);
+  if (early.seconds < minSeconds || late.seconds < minSeconds) {
+    return null;
+  }
+  return {
+    early,
+    late,
+    powerFade: early.avgPower ? ((early.avgPower - late.avgPower) / early.avgPower) * 100 : null,
+    pwHrDrift: percentageChange(early.efficiencyFactor, late.efficiencyFactor),
+    efficiencyDecline:
+      early.efficiencyFactor != null && late.efficiencyFactor != null && early.efficiencyFactor !== 0
+        ? ((early.efficiencyFactor - late.efficiencyFactor) / early.efficiencyFactor) * 100
+        : null,
+  };
+}
+
+function weightedComponent(comparisons, key) {
+  let total = 0;
+  let weight = 0;
+  comparisons.forEach((comparison) => {
+    if (comparison[key] == null) {
+      return;
+    }
+    const samples = Math.min(comparison.early.seconds, comparison.late.seconds);
+    total += comparison[key] * samples;
+    weight += samples;
+  });
+  return weight > 0 ? total / weight : null;
+}
+
+// Compares each terrain class (and each climb gradient band) only with itself across the two halves,
+// so a hilly first half and a flat second half no longer reads as power fade.
+function computeTerrainMetrics(streams, segments, { slopePercentPerHour, overrides, scoreModel }) {
+  const { time, watts, heartrate } = streams;
+  if (watts.length !== time.length || heartrate.length !== time.length) {
+    return null;
+  }
+  const classification = classifyTerrain(streams, overrides);
+  if (!classification) {
+    return null;
+  }
+
+  const durations = time.map((value, index) => {
+    const next = time[index + 1];
+    return next == null ? 0 : Math.min(next - value, PAUSE_DEFAULTS.gapSeconds);
+  });
+  const totalSeconds = durations.reduce((acc, value) => acc + value, 0);
+  const inHalf = (segment, predicate) => {
+    const indices = [];
+    for (let index = segment[0]; index <= segment[1]; index += 1) {
+      if (predicate(index)) {
+        indices.push(index);
+      }
+    }
+    return indices;
+  };
+
+  const shares = {};
+  const byClass = {};
+  TERRAIN_CLASSES.forEach((terrainClass) => {
+    const matches = (index) => classification.classes[index] === terrainClass;
+    const seconds = durations.reduce((acc, value, index) => (matches(index) ? acc + value : acc), 0);
+    shares[terrainClass] = totalSeconds > 0 ? (seconds / totalSeconds) * 100 : null;
+    byClass[terrainClass] = compareTerrainHalves(
+      inHalf(segments.firstHalf, matches),
+      inHalf(segments.secondHalf, matches),
+      streams,
+      durations,
+      TERRAIN_MIN_SECONDS.class,
+    );
+  });
+
+  const { gradientBands } = classification;
+  const climbsByGradient = gradientBands
+    .map((minGrade, bandIndex) => {
+      const matches = (index) => classification.bands[index] === minGrade;
+      const comparison = compareTerrainHalves(
+        inHalf(segments.firstHalf, matches),
+        inHalf(segments.secondHalf, matches),
+        streams,
+        durations,
+        TERRAIN_MIN_SECONDS.band,
+      );
+      return comparison ? { minGrade, maxGrade: gradientBands[bandIndex + 1] ?? null, ...comparison } : null;
+    })
+    .filter(Boolean);
+
+  // descents are left out: power there reflects braking and tactics, not fatigue
+  const comparable = [byClass.flat, ...climbsByGradient].filter(Boolean);
+  const normalized = {
+    powerFade: weightedComponent(comparable, 'powerFade'),
+    pwHrDrift: weightedComponent(comparable, 'pwHrDrift'),
+    efficiencyDecline: weightedComponent(comparable, 'efficiencyDecline'),
+  };
+
+  return {
+    shares,
+    byClass,
+    climbsByGradient,
+    normalized,
+    durabilityScore:
+      comparable.length > 0
+        ? computeDurabilityScore({ ...normalized, wattsPerBeatSlope: slopePercentPerHour }, scoreModel).score
+        : null,
+  };
+}
+
+// Final-hour (or final-quarter, on short rides) cadence held within ±3 rpm of its own mean.
+function computeCadenceStability(time, cadence) {
+  const totalDurationSeconds = time[time.length - 1] ?? 0;
+  const cadenceWindowStart = totalDurationSeconds > 0 ? Math.max(totalDurationSeconds - 3600, totalDurationSeconds * 0.75) : 0;
+  const cadenceWindowSegment = buildSegmentFromTime(time, cadenceWindowStart);
+  const cadenceWindowCadence = sliceSegment(cadence, cadenceWindowSegment);
+  const cadenceWindowTimes = sliceSegment(time, cadenceWindowSegment);
+  const cadenceWindowDuration =
+    cadenceWindowTimes.length > 1
+      ? cadenceWindowTimes[cadenceWindowTimes.length - 1] - cadenceWindowTimes[0]
+      : 0;
+  const cadenceTarget = mean(cadenceWindowCadence);
+  const cadenceWindowStability =
+    cadenceTarget != null && cadenceWindowCadence.length > 1
+      ? computeTimeInRange(cadenceWindowTimes, cadenceWindowCadence, [cadenceTarget - 3, cadenceTarget + 3])
+      : null;
+  const cadenceStabilityRatio = cadenceWindowStability ? ratioToPercent(cadenceWindowStability.ratio) : null;
+  const cadenceWindowStdDev = cadenceWindowCadence.length > 1 ? standardDeviation(cadenceWindowCadence) : null;
+
+  return cadenceStabilityRatio != null || cadenceWindowStdDev != null
+    ? {
+        ratioPercent: cadenceStabilityRatio,
+        secondsInRange: cadenceWindowStability?.seconds ?? null,
+        target: cadenceTarget,
+        windowSeconds: cadenceWindowDuration,
+        stdDev: cadenceWindowStdDev,
+      }
+    : null;
 }
 
 export function sanitizeStreams(streams) {
@@ -270,6 +761,7 @@ export function sanitizeStreams(streams) {
   const leftRightBalance = streams.left_right_balance?.data?.map((value) => clamp(value, 0, 100)) ?? [];
   const torqueEffectiveness = streams.torque_effectiveness?.data?.map((value) => clamp(value, 0, 100)) ?? [];
   const pedalSmoothness = streams.pedal_smoothness?.data?.map((value) => clamp(value, 0, 100)) ?? [];
+  const temperature = streams.temp?.data?.map((value) => clamp(value, -30, 60)) ?? [];
 
   return {
     time,
@@ -282,9 +774,100 @@ export function sanitizeStreams(streams) {
     leftRightBalance,
     torqueEffectiveness,
     pedalSmoothness,
+    temperature,
   };
 }
 
+export const SEGMENTATION_MODES = ['elapsed', 'moving'];
+
+const PAUSE_DEFAULTS = {
+  gapSeconds: 10, // recording gaps longer than this are auto-pause / stopped time
+  stoppedSpeed: 0.5, // m/s — below walking pace counts as stopped
+  coastingSeconds: 30, // zero-cadence, zero-power stretches at least this long count as paused
+};
+
+export function resolveSegmentationMode(mode) {
+  const normalized = String(mode ?? '').trim().toLowerCase();
+  return SEGMENTATION_MODES.includes(normalized) ? normalized : 'elapsed';
+}
+
+export function detectPauses(streams, overrides = {}) {
+  const { time, velocity, cadence, watts } = streams;
+  const config = { ...PAUSE_DEFAULTS, ...overrides };
+  const paused = new Array(time.length).fill(false);
+
+  if (velocity?.length === time.length) {
+    for (let i = 0; i < time.length; i += 1) {
+      if (velocity[i] != null && velocity[i] < config.stoppedSpeed) {
+        paused[i] = true;
+      }
+    }
+  }
+
+  if (cadence?.length === time.length) {
+    let runStart = null;
+    for (let i = 0; i <= time.length; i += 1) {
+      const coasting = i < time.length && cadence[i] === 0 && !(watts?.[i] > 0);
+      if (coasting && runStart == null) {
+        runStart = i;
+      } else if (!coasting && runStart != null) {
+        if (time[i - 1] - time[runStart] >= config.coastingSeconds) {
+          paused.fill(true, runStart, i);
+        }
+        runStart = null;
+      }
+    }
+  }
+
+  const movingTime = new Array(time.length).fill(0);
+  let pauseCount = 0;
+  for (let i = 1; i < time.length; i += 1) {
+    const dt = time[i] - time[i - 1];
+    const gap = dt > config.gapSeconds;
+    if ((paused[i] && !paused[i - 1]) || (gap && !paused[i])) {
+      pauseCount += 1;
+    }
+    let increment = dt;
+    if (paused[i]) {
+      increment = 0;
+    } else if (paused[i - 1] || gap) {
+      // the first sample after a stop advances by one nominal second so moving time stays increasing
+      increment = Math.min(dt, 1);
+    }
+    movingTime[i] = movingTime[i - 1] + increment;
+  }
+
+  const elapsedSeconds = time.length > 0 ? time[time.length - 1] - time[0] : 0;
+  const movingSeconds = movingTime[movingTime.length - 1] ?? 0;
+  return {
+    paused,
+    movingTime,
+    pauseCount,
+    elapsedSeconds,
+    movingSeconds,
+    pausedSeconds: Math.max(elapsedSeconds - movingSeconds, 0),
+  };
+}
+
+// Drops paused samples and swaps elapsed time for moving time, so every downstream split
+// (quartiles, halves, fatigue-resistance offsets, rolling windows) is moving-time based.
+export function toMovingStreams(streams, pauses) {
+  const keep = [];
+  pauses.paused.forEach((isPaused, index) => {
+    if (!isPaused) {
+      keep.push(index);
+    }
+  });
+
+  const length = streams.time.length;
+  const filtered = {};
+  Object.entries(streams).forEach(([key, values]) => {
+    filtered[key] = Array.isArray(values) && values.length === length ? keep.map((index) => values[index]) : values;
+  });
+  filtered.time = keep.map((index) => pauses.movingTime[index]);
+  return filtered;
+}
+
 export function computeSegments(streams) {
   const { time } = streams;
   if (!time || time.length === 0) {
@@ -304,17 +887,166 @@ export function computeSegments(streams) {
   };
 }
 
-export function calculateMetrics(streams, options = {}) {
-  const { time, watts, heartrate, cadence, leftRightBalance, torqueEffectiveness, pedalSmoothness } = streams;
-  if (!time || time.length < 10 || watts.length < 10 || heartrate.length < 10) {
+const HR_ONLY_DEFAULTS = {
+  minSpeed: 2, // m/s — slower samples are junctions and walking, where speed says nothing about effort
+};
+
+// Cardiac drift against speed. With altitude only flat samples count, since speed on climbs and
+// descents is mostly gravity; without it (trainer rides, phones without a barometer) every moving
+// sample is used and the result is marked as not flat-matched.
+function computeSpeedHrDrift(streams, segments, { overrides, terrainOverrides }) {
+  const config = { ...HR_ONLY_DEFAULTS, ...overrides };
+  const { time, velocity, heartrate } = streams;
+  const classification = classifyTerrain(streams, terrainOverrides);
+  const durations = time.map((value, index) => {
+    const next = time[index + 1];
+    return next == null ? 0 : Math.min(next - value, PAUSE_DEFAULTS.gapSeconds);
+  });
+  const usable = (index) =>
+    velocity[index] >= config.minSpeed && (!classification || classification.classes[index] === 'flat');
+  const summarize = (segment) => {
+    let seconds = 0;
+    const speeds = [];
+    const hrs = [];
+    for (let index = segment[0]; index <= segment[1]; index += 1) {
+      if (usable(index)) {
+        seconds += durations[index];
+        speeds.push(velocity[index]);
+        hrs.push(heartrate[index]);
+      }
+    }
+    const avgSpeed = mean(speeds);
+    const avgHr = mean(hrs);
+    return { seconds, avgSpeed, avgHr, speedPerBeat: avgSpeed != null && avgHr ? avgSpeed / avgHr : null };
+  };
+
+  const early = summarize(segments.firstHalf);
+  const late = summarize(segments.secondHalf);
+  const sufficient = early.seconds >= TERRAIN_MIN_SECONDS.class && late.seconds >= TERRAIN_MIN_SECONDS.class;
+  return {
+    flatOnly: Boolean(classification),
+    early,
+    late,
+    drift: sufficient ? percentageChange(early.speedPerBeat, late.speedPerBeat) : null,
+  };
+}
+
+// Rides with heart rate and speed but no power meter. Everything power-based is dropped; what remains
+// is cardiac drift against speed, HR creep, the HRR zone shift and cadence fatigue.
+function calculateHrOnlyMetrics(rawStreams, options) {
+  if (rawStreams.velocity.length !== rawStreams.time.length) {
     return { error: 'Insufficient data' };
   }
+  const repair = repairStreams(rawStreams, options.dataQuality);
+  const { quality: dataQuality } = repair;
+  const repairedStreams = completeSamples(repair.streams, ['heartrate']);
+  if (repairedStreams.time.length < 10) {
+    return { error: 'Insufficient usable data', dataQuality };
+  }
 
+  const segmentationMode = resolveSegmentationMode(options.segmentation);
+  const pauses = detectPauses(repairedStreams, options.pauseDetection);
+  const streams = segmentationMode === 'moving' ? toMovingStreams(repairedStreams, pauses) : repairedStreams;
+  const { time, heartrate, cadence, velocity } = streams;
+  if (time.length < 10) {
+    return { error: 'Insufficient moving data' };
+  }
   const segments = computeSegments(streams);
   if (!segments) {
     return { error: 'Unable to split segments' };
   }
 
+  const { heartRateMax, heartRateRest } = options;
+  const speedHr = computeSpeedHrDrift(streams, segments, {
+    overrides: options.hrOnly,
+    terrainOverrides: options.terrain,
+  });
+  const earlyHr = mean(sliceSegment(heartrate, segments.firstHalf));
+  const lateHr = mean(sliceSegment(heartrate, segments.secondHalf));
+  const earlyCadence = mean(sliceSegment(cadence, segments.early));
+  const lateCadence = mean(sliceSegment(cadence, segments.late));
+
+  const z2Calculator =
+    heartRateMax && heartRateRest
+      ? (times, hr) => computeHrrTimeInRange(times, hr, { heartRateRest, heartRateMax, minPercent: 60, maxPercent: 70 })
+      : (times, hr) => computeTimeInRange(times, hr, [120, 150]);
+  const earlyZ2 = z2Calculator(rebaseTime(sliceSegment(time, segments.early)), sliceSegment(heartrate, segments.early));
+  const lateZ2 = z2Calculator(rebaseTime(sliceSegment(time, segments.late)), sliceSegment(heartrate, segments.late));
+
+  const movingStreams = segmentationMode === 'moving' ? streams : toMovingStreams(repairedStreams, pauses);
+  const trainingStress = computeHeartRateStress({
+    heartrate: movingStreams.heartrate,
+    time: movingStreams.time,
+    heartRateMax,
+    heartRateRest,
+  });
+
+  return {
+    mode: 'cycling_hr',
+    segmentation: {
+      mode: segmentationMode,
+      elapsedSeconds: pauses.elapsedSeconds,
+      movingSeconds: pauses.movingSeconds,
+      pausedSeconds: pauses.pausedSeconds,
+      pauseCount: pauses.pauseCount,
+    },
+    dataQuality,
+    dataGuards: evaluateDataGuards(
+      { durationSeconds: time[time.length - 1] - time[0], coveragePercent: dataQuality.coveragePercent },
+      options.dataGuards,
+    ),
+    segments,
+    speedHrDrift: speedHr.drift,
+    speedHr,
+    // stored in the pw_hr_drift column; HR-only rides are only ever baselined against each other
+    pwHrDrift: speedHr.drift,
+    hrCreep: earlyHr != null && lateHr != null ? lateHr - earlyHr : null,
+    hrrZones: computeHrrZoneShift(streams, segments, { heartRateMax, heartRateRest }),
+    z2Early: ratioToPercent(earlyZ2.ratio),
+    z2Late: ratioToPercent(lateZ2.ratio),
+    cadenceDrop: earlyCadence != null && lateCadence != null ? lateCadence - earlyCadence : null,
+    cadenceStability: computeCadenceStability(time, cadence),
+    trainingStress,
+    quartiles: segments.quartiles.map((segment) => ({
+      avgSpeed: mean(sliceSegment(velocity, segment)),
+      avgHr: mean(sliceSegment(heartrate, segment)),
+      avgCadence: mean(sliceSegment(cadence, segment).filter((value) => value > 0)),
+    })),
+  };
+}
+
+export function calculateMetrics(rawStreams, options = {}) {
+  if (!rawStreams.time || rawStreams.time.length < 10 || rawStreams.heartrate.length < 10) {
+    return { error: 'Insufficient data' };
+  }
+  if (rawStreams.watts.length < 10) {
+    return calculateHrOnlyMetrics(rawStreams, options);
+  }
+
+  const { streams: repairedStreams, quality: dataQuality } = repairStreams(rawStreams, options.dataQuality);
+  if (completeSamples(repairedStreams, ['heartrate', 'watts']).time.length < 10) {
+    return { error: 'Insufficient usable data', dataQuality };
+  }
+
+  const segmentationMode = resolveSegmentationMode(options.segmentation);
+  const pauses = detectPauses(repairedStreams, options.pauseDetection);
+  const allStreams = segmentationMode === 'moving' ? toMovingStreams(repairedStreams, pauses) : repairedStreams;
+  // HR and power are masked separately. Early-vs-late comparisons use the samples that have both, so
+  // drift, EF and fade describe the same stretch of riding; whole-ride power figures (mean-max, CP,
+  // zones, fatigue resistance, kJ) keep every power sample, so a bad strap does not shorten the ride.
+  const streams = completeSamples(allStreams, ['heartrate', 'watts']);
+  const powerStreams = completeSamples(allStreams, ['watts']);
+  const { time, watts, heartrate, cadence, leftRightBalance, torqueEffectiveness, pedalSmoothness } = streams;
+  if (time.length < 10) {
+    return { error: 'Insufficient moving data' };
+  }
+
+  const segments = computeSegments(streams);
+  const powerSegments = computeSegments(powerStreams);
+  if (!segments || !powerSegments) {
+    return { error: 'Unable to split segments' };
+  }
+
   const earlyWatts = sliceSegment(watts, segments.firstHalf);
   const earlyHr = sliceSegment(heartrate, segments.firstHalf);
   const earlyTime = rebaseTime(sliceSegment(time, segments.firstHalf));
@@ -332,29 +1064,15 @@ export function calculateMetrics(streams, options = {}) {
   const lateBest = lateRolling.reduce((acc, item) => (item.average > acc ? item.average : acc), 0);
   const rolling5Diff = lateBest - earlyBest;
 
-  const powerBand = { center: 150, tolerance: 2.5 };
-  const earlyPowerAtHr = mean(
-    filterByRange(
-      earlyHr.map((value, idx) => ({ hr: value, power: earlyWatts[idx] })),
-      {
-        center: powerBand.center,
-        tolerance: powerBand.tolerance,
-      },
-    ).map((pair) => pair.power),
-  );
-  const latePowerAtHr = mean(
-    filterByRange(
-      lateHr.map((value, idx) => ({ hr: value, power: lateWatts[idx] })),
-      {
-        center: powerBand.center,
-        tolerance: powerBand.tolerance,
-      },
-    ).map((pair) => pair.power),
-  );
-  const power150Delta =
-    earlyPowerAtHr != null && latePowerAtHr != null ? latePowerAtHr - earlyPowerAtHr : null;
-
   const { heartRateMax, heartRateRest } = options;
+  const powerAtHr = computePowerAtHrCurve(streams, segments, {
+    heartRateMax,
+    heartRateRest,
+    powerAtHr: options.powerAtHr,
+  });
+  // stored and baselined as power_150_delta; the anchor is now per athlete rather than fixed at 150 bpm
+  const power150Delta = powerAtHr?.delta ?? null;
+
   const z2Calculator =
     heartRateMax && heartRateRest
       ? (times, hr) =>
@@ -366,6 +1084,8 @@ export function calculateMetrics(streams, options = {}) {
           })
       : (times, hr) => computeTimeInRange(times, hr, [120, 150]);
 
+  const powerZones = computePowerZones(powerStreams, powerSegments, options.ftp);
+
   const earlyZ2 = z2Calculator(rebaseTime(sliceSegment(time, segments.early)), sliceSegment(heartrate, segments.early));
   const lateZ2 = z2Calculator(rebaseTime(sliceSegment(time, segments.late)), sliceSegment(heartrate, segments.late));
 
@@ -373,23 +1093,15 @@ export function calculateMetrics(streams, options = {}) {
   const lateCadence = sliceSegment(cadence, segments.late);
   const cadenceDrop = mean(earlyCadence) != null && mean(lateCadence) != null ? mean(lateCadence) - mean(earlyCadence) : null;
   const hrCreep = mean(lateHr) != null && mean(earlyHr) != null ? mean(lateHr) - mean(earlyHr) : null;
-
-  const totalDurationSeconds = time[time.length - 1] ?? 0;
-  const cadenceWindowStart = totalDurationSeconds > 0 ? Math.max(totalDurationSeconds - 3600, totalDurationSeconds * 0.75) : 0;
-  const cadenceWindowSegment = buildSegmentFromTime(time, cadenceWindowStart);
-  const cadenceWindowCadence = sliceSegment(cadence, cadenceWindowSegment);
-  const cadenceWindowTimes = sliceSegment(time, cadenceWindowSegment);
-  const cadenceWindowDuration =
-    cadenceWindowTimes.length > 1
-      ? cadenceWindowTimes[cadenceWindowTimes.length - 1] - cadenceWindowTimes[0]
-      : 0;
-  const cadenceTarget = mean(cadenceWindowCadence);
-  const cadenceWindowStability =
-    cadenceTarget != null && cadenceWindowCadence.length > 1
-      ? computeTimeInRange(cadenceWindowTimes, cadenceWindowCadence, [cadenceTarget - 3, cadenceTarget + 3])
-      : null;
-  const cadenceStabilityRatio = cadenceWindowStability ? ratioToPercent(cadenceWindowStability.ratio) : null;
-  const cadenceWindowStdDev = cadenceWindowCadence.length > 1 ? standardDeviation(cadenceWindowCadence) : null;
+  const heat = computeHeatAdjustment(streams, segments, {
+    earlyWatts,
+    lateWatts,
+    earlyHr,
+    lateHr,
+    pwHrDrift,
+    hrCreep,
+    overrides: options.heatModel,
+  });
 
   const quartileSummaries = segments.quartiles.map((segment) => {
     const wattsSegment = sliceSegment(watts, segment);
@@ -441,7 +1153,7 @@ export function calculateMetrics(streams, options = {}) {
 
   const offsets = [0, 3600, 7200, 10800];
   const durations = [300, 600, 1200, 3600];
-  const totalDuration = time[time.length - 1] ?? 0;
+  const totalDuration = powerStreams.time[powerStreams.time.length - 1] ?? 0;
   const fatigueResistance = offsets
     .filter((offset) => totalDuration >= offset + 300)
     .map((offset) => {
@@ -449,7 +1161,7 @@ export function calculateMetrics(streams, options = {}) {
         if (totalDuration < offset + duration) {
           return acc;
         }
-        const best = computeBestAveragePower(watts, time, duration, offset);
+        const best = computeBestAveragePower(powerStreams.watts, powerStreams.time, duration, offset);
         if (best != null) {
           acc[duration] = best;
         }
@@ -462,29 +1174,31 @@ export function calculateMetrics(streams, options = {}) {
     })
     .filter((entry) => Object.keys(entry.bestByDuration).length > 0);
 
-  const durabilityScoreComponents = [];
-  if (powerFade != null) {
-    durabilityScoreComponents.push(100 - clamp(Math.max(powerFade, 0), 0, 100));
-  }
-  if (pwHrDrift != null) {
-    const driftPenalty = Math.max(pwHrDrift, 0);
-    durabilityScoreComponents.push(100 - clamp(driftPenalty, 0, 100));
-  }
-  if (efficiencyDecline != null) {
-    const efficiencyPenalty = Math.max(efficiencyDecline, 0);
-    durabilityScoreComponents.push(100 - clamp(efficiencyPenalty, 0, 100));
-  }
-  if (slopePercentPerHour != null) {
-    const slopePenalty = Math.max(-slopePercentPerHour, 0);
-    durabilityScoreComponents.push(100 - clamp(slopePenalty, 0, 100));
-  }
-  const durabilityScore =
-    durabilityScoreComponents.length > 0
-      ? Math.max(
-          0,
-          Math.min(100, durabilityScoreComponents.reduce((acc, value) => acc + value, 0) / durabilityScoreComponents.length),
-        )
-      : null;
+  const workDurability = computeWorkDurability(powerStreams.watts, powerStreams.time, options.weightKg);
+  const { meanMaxPower, criticalPower, wPrimeBalance } = computeCriticalPower(powerStreams, powerSegments, options);
+  // reps are found on elapsed time so Strava lap boundaries line up whatever the segmentation mode
+  const elapsedPower = completeSamples(repairedStreams, ['watts']);
+  const intervals = analyzeIntervals(elapsedPower, {
+    referencePower: criticalPower?.cp ?? options.ftp,
+    laps: resolveLapRanges(options.laps, rawStreams.time),
+    overrides: options.intervals,
+  });
+  // elapsed stream with coasting zeros, timed by moving time, as head units and TrainingPeaks count it.
+  // HR masking never touches it: one ride with a bad strap would otherwise skew CTL/ATL for weeks.
+  const trainingStress = computeTrainingStress({
+    normalizedPower: normalizedPower(elapsedPower.watts, elapsedPower.time),
+    durationSeconds: pauses.movingSeconds,
+    ftp: options.ftp,
+    criticalPower: criticalPower?.cp,
+  });
+
+  const scoreModel = options.scoreModel ?? resolveScoreModel();
+  const terrain = computeTerrainMetrics(streams, segments, {
+    slopePercentPerHour,
+    overrides: options.terrain,
+    scoreModel,
+  });
+  const cadenceStability = computeCadenceStability(time, cadence);
 
   const leftRightEarly = mean(sliceSegment(leftRightBalance, segments.firstHalf));
   const leftRightLate = mean(sliceSegment(leftRightBalance, segments.secondHalf));
@@ -523,25 +1237,49 @@ export function calculateMetrics(streams, options = {}) {
         }
       : null;
 
+  const dataGuards = evaluateDataGuards(
+    { durationSeconds: time[time.length - 1] - time[0], coveragePercent: dataQuality.coveragePercent },
+    options.dataGuards,
+  );
+  const confidence = computeConfidenceIntervals(streams, segments, options.confidence);
+
+  const durabilityBreakdown = computeDurabilityScore(
+    {
+      powerFade,
+      pwHrDrift,
+      efficiencyDecline,
+      wattsPerBeatSlope: slopePercentPerHour,
+      cadenceStability: cadenceStability?.ratioPercent,
+      pedalSmoothness: dualSideBalance?.pedalSmoothness?.delta,
+      torqueEffectiveness: dualSideBalance?.torqueEffectiveness?.delta,
+      balanceShift: dualSideBalance?.leftRightBalance?.shift,
+    },
+    scoreModel,
+  );
+
   return {
+    mode: 'cycling',
+    segmentation: {
+      mode: segmentationMode,
+      elapsedSeconds: pauses.elapsedSeconds,
+      movingSeconds: pauses.movingSeconds,
+      pausedSeconds: pauses.pausedSeconds,
+      pauseCount: pauses.pauseCount,
+    },
+    dataQuality,
+    dataGuards,
     segments,
     pwHrDrift,
     rolling5Diff,
     power150Delta,
+    powerAtHr,
     z2Early: ratioToPercent(earlyZ2.ratio),
     z2Late: ratioToPercent(lateZ2.ratio),
+    powerZones,
     cadenceDrop,
     hrCreep,
-    cadenceStability:
-      cadenceStabilityRatio != null || cadenceWindowStdDev != null
-        ? {
-            ratioPercent: cadenceStabilityRatio,
-            secondsInRange: cadenceWindowStability?.seconds ?? null,
-            target: cadenceTarget,
-            windowSeconds: cadenceWindowDuration,
-            stdDev: cadenceWindowStdDev,
-          }
-        : null,
+    heat,
+    cadenceStability,
     quartiles: quartileSummaries,
     powerFade,
     efficiencyDecline,
@@ -553,7 +1291,16 @@ export function calculateMetrics(streams, options = {}) {
       mean: meanRatio,
     },
     fatigueResistance,
-    durabilityScore,
+    workDurability,
+    meanMaxPower,
+    criticalPower,
+    wPrimeBalance,
+    intervals,
+    trainingStress,
+    durabilityScore: durabilityBreakdown.score,
+    durabilityBreakdown: { version: durabilityBreakdown.version, components: durabilityBreakdown.components },
+    terrain,
+    confidence,
     efficiencyFactor: {
       early: efficiencyEarly,
       late: efficiencyLate,
@@ -562,54 +1309,6 @@ export function calculateMetrics(streams, options = {}) {
   };
 }
 
-export function computeDurabilityBaseline(metricsHistory) {
-  if (!metricsHistory || metricsHistory.length === 0) {
-    return null;
-  }
-
-  const aggregate = metricsHistory.reduce(
-    (acc, row) => {
-      const update = (key, value) => {
-        if (value == null) return;
-        acc[key].total += Number(value);
-        acc[key].count += 1;
-      };
-      update('pwHrDrift', row.pw_hr_drift);
-      update('rolling5Diff', row.rolling5_diff);
-      update('power150Delta', row.power_150_delta);
-      update('z2Early', row.z2_early);
-      update('z2Late', row.z2_late);
-      update('cadenceDrop', row.cadence_drop);
-      update('hrCreep', row.hr_creep);
-      return acc;
-    },
-    {
-      pwHrDrift: { total: 0, count: 0 },
-      rolling5Diff: { total: 0, count: 0 },
-      power150Delta: { total: 0, count: 0 },
-      z2Early: { total: 0, count: 0 },
-      z2Late: { total: 0, count: 0 },
-      cadenceDrop: { total: 0, count: 0 },
-      hrCreep: { total: 0, count: 0 },
-    },
-  );
-
-  const average = (key) => {
-    const { total, count } = aggregate[key];
-    return count > 0 ? total / count : null;
-  };
-
-  return {
-    pwHrDrift: average('pwHrDrift'),
-    rolling5Diff: average('rolling5Diff'),
-    power150Delta: average('power150Delta'),
-    z2Early: average('z2Early'),
-    z2Late: average('z2Late'),
-    cadenceDrop: average('cadenceDrop'),
-    hrCreep: average('hrCreep'),
-  };
-}
-
 export function computeHrrZones({ heartRateMax, heartRateRest, heartrate }) {
   if (!heartRateMax || !heartRateRest || !heartrate || heartrate.length === 0) {
     return null;
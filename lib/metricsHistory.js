@@ -0,0 +1,228 @@
+import { getAthleteActivityMetrics, listAthleteMetricsPage, loadAthleteMetricsWindow } from './db.js';
+import { toSettingsDate } from './athleteSettings.js';
+
+export const ROLLING_WINDOWS_DAYS = [7, 28, 90];
+export const ANALYSIS_MODES = ['cycling', 'cycling_hr', 'running'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const METRIC_COLUMNS = {
+  durabilityScore: 'durability_score',
+  powerFade: 'power_fade',
+  efficiencyDecline: 'efficiency_decline',
+  wattsPerBeatSlope: 'watts_per_beat_slope',
+  cadenceStability: 'cadence_stability',
+  pwHrDrift: 'pw_hr_drift',
+  hrCreep: 'hr_creep',
+  cadenceDrop: 'cadence_drop',
+  rolling5Diff: 'rolling5_diff',
+  power150Delta: 'power_150_delta',
+  z2Early: 'z2_early',
+  z2Late: 'z2_late',
+  tss: 'tss',
+  ctl: 'ctl',
+  atl: 'atl',
+  tsb: 'tsb',
+};
+
+function first(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function toNumber(value) {
+  return value != null ? Number(value) : null;
+}
+
+// Opaque to clients; keyset on (activity_date, activity_id) so pages stay stable while new rides arrive.
+export function encodeCursor(row) {
+  const date = row.activity_date instanceof Date ? row.activity_date.toISOString() : String(row.activity_date);
+  return Buffer.from(JSON.stringify({ date, id: String(row.activity_id) })).toString('base64url');
+}
+
+const BIGINT_MAX = 2n ** 63n - 1n;
+
+// Only what encodeCursor produces is accepted: anything else would reach Postgres as a bad timestamp or
+// an out-of-range bigint and fail there instead of being rejected up front.
+export function decodeCursor(cursor) {
+  try {
+    const { date, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof date !== 'string' || typeof id !== 'string' || !/^-?\d{1,19}$/.test(id)) {
+      return null;
+    }
+    const value = BigInt(id);
+    if (value > BIGINT_MAX || value < -BIGINT_MAX - 1n || new Date(date).toISOString() !== date) {
+      return null;
+    }
+    return { date, id };
+  } catch {
+    return null;
+  }
+}
+
+export function validateHistoryQuery(query = {}) {
+  const errors = [];
+  const filters = {};
+
+  const from = first(query.from);
+  if (from != null) {
+    filters.from = toSettingsDate(from);
+    if (!filters.from || filters.from !== from) {
+      errors.push('from must be a YYYY-MM-DD date');
+    }
+  }
+  const to = first(query.to);
+  if (to != null) {
+    filters.to = toSettingsDate(to);
+    if (!filters.to || filters.to !== to) {
+      errors.push('to must be a YYYY-MM-DD date');
+    }
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    errors.push('from must not be after to');
+  }
+
+  const indoor = first(query.indoor);
+  if (indoor != null) {
+    if (!['true', 'false'].includes(String(indoor))) {
+      errors.push('indoor must be true or false');
+    } else {
+      filters.indoor = String(indoor) === 'true';
+    }
+  }
+
+  const sportType = first(query.sportType);
+  if (sportType != null) {
+    filters.sportTypes = String(sportType)
+      .split(',')
+      .map((value) => value.trim())
+      .filter(Boolean);
+    if (filters.sportTypes.length === 0) {
+      errors.push('sportType must list at least one sport type');
+    }
+  }
+
+  const mode = first(query.mode);
+  if (mode != null) {
+    filters.mode = String(mode).trim().toLowerCase();
+    if (!ANALYSIS_MODES.includes(filters.mode)) {
+      errors.push(`mode must be one of: ${ANALYSIS_MODES.join(', ')}`);
+    }
+  }
+
+  // duration band, in minutes of moving time
+  ['minDuration', 'maxDuration'].forEach((key) => {
+    const raw = first(query[key]);
+    if (raw == null) {
+      return;
+    }
+    const minutes = Number(raw);
+    if (!Number.isFinite(minutes) || minutes < 0) {
+      errors.push(`${key} must be a non-negative number of minutes`);
+      return;
+    }
+    filters[`${key}Seconds`] = minutes * 60;
+  });
+  if (
+    filters.minDurationSeconds != null &&
+    filters.maxDurationSeconds != null &&
+    filters.minDurationSeconds > filters.maxDurationSeconds
+  ) {
+    errors.push('minDuration must not be above maxDuration');
+  }
+
+  let limit = DEFAULT_PAGE_SIZE;
+  const limitRaw = first(query.limit);
+  if (limitRaw != null) {
+    limit = Number(limitRaw);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.push(`limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+    }
+  }
+
+  let cursor = null;
+  const cursorRaw = first(query.cursor);
+  if (cursorRaw != null) {
+    cursor = decodeCursor(String(cursorRaw));
+    if (!cursor) {
+      errors.push('cursor is invalid');
+    }
+  }
+
+  return { filters, limit, cursor, errors };
+}
+
+function mapMetricsRow(row) {
+  const metrics = {};
+  Object.entries(METRIC_COLUMNS).forEach(([key, column]) => {
+    metrics[key] = toNumber(row[column]);
+  });
+  return {
+    activityId: Number(row.activity_id),
+    activityDate: new Date(row.activity_date).toISOString(),
+    sportType: row.context?.sportType ?? null,
+    indoor: row.context?.indoor ?? null,
+    analysisMode: row.analysis_mode ?? row.context?.analysisMode ?? null,
+    durationSeconds: row.context?.durationSeconds ?? null,
+    scoreModelVersion: row.score_model_version ?? null,
+    metricsVersion: row.metrics_version ?? null,
+    chartUrl: row.chart_url ?? null,
+    metrics,
+  };
+}
+
+// Trailing means over the matching activities in (date − N days, date], one set per window. `series`
+// must reach back at least the longest window before the oldest item.
+export function computeRollingAverages(items, series, windows = ROLLING_WINDOWS_DAYS) {
+  return items.map((item) => {
+    const end = Date.parse(item.activityDate);
+    const rolling = {};
+    windows.forEach((days) => {
+      const start = end - days * DAY_MS;
+      const inWindow = series.filter((entry) => {
+        const time = Date.parse(entry.activityDate);
+        return time > start && time <= end;
+      });
+      const averages = { activityCount: inWindow.length };
+      Object.keys(METRIC_COLUMNS).forEach((key) => {
+        const values = inWindow.map((entry) => entry.metrics[key]).filter((value) => value != null);
+        averages[key] = values.length > 0 ? values.reduce((acc, value) => acc + value, 0) / values.length : null;
+      });
+      rolling[`${days}d`] = averages;
+    });
+    return { ...item, rolling };
+  });
+}
+
+export async function loadAthleteMetricsHistory(
+  athleteId,
+  { filters = {}, limit = DEFAULT_PAGE_SIZE, cursor = null } = {},
+) {
+  const rows = await listAthleteMetricsPage({ athleteId, filters, cursor, limit: limit + 1 });
+  const page = rows.slice(0, limit);
+  if (page.length === 0) {
+    return { items: [], nextCursor: null };
+  }
+
+  // the trailing windows reach back past the page (and past `from`), so load them separately
+  const longestWindow = Math.max(...ROLLING_WINDOWS_DAYS) * DAY_MS;
+  const until = new Date(page[0].activity_date);
+  const since = new Date(new Date(page[page.length - 1].activity_date).getTime() - longestWindow);
+  const windowRows = await loadAthleteMetricsWindow({ athleteId, filters, since, until });
+
+  const items = computeRollingAverages(page.map(mapMetricsRow), windowRows.map(mapMetricsRow));
+  return {
+    items,
+    nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null,
+  };
+}
+
+// Rows stored before the full result was kept have only the summary columns; `metrics` is null for them.
+export async function loadActivityMetrics(athleteId, activityId) {
+  const row = await getAthleteActivityMetrics({ athleteId, activityId });
+  if (!row) {
+    return null;
+  }
+  return { ...mapMetricsRow(row), context: row.context ?? null, result: row.metrics ?? null };
+}
@@ -0,0 +1,150 @@
+import { getPool } from './db.js';
+import { MIGRATIONS, RENUMBERED } from './migrations/index.js';
+
+// Arbitrary but fixed: every instance must contend for the same key.
+const MIGRATION_LOCK_KEY = 5_304_871_129;
+
+function orderedMigrations() {
+  MIGRATIONS.forEach((migration, index) => {
+    if (!Number.isInteger(migration.version) || (index > 0 && migration.version <= MIGRATIONS[index - 1].version)) {
+      throw new Error(`Migration "${migration.name}" is out of order; versions must be unique and ascending.`);
+    }
+  });
+  return MIGRATIONS;
+}
+
+// A session-level advisory lock on the client that runs the migrations, so instances booting together
+// on Fly.io queue up behind the first one and then find nothing left to apply.
+async function withMigrationLock(task) {
+  const client = await getPool().connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+          version INTEGER PRIMARY KEY,
+          name TEXT NOT NULL,
+          applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        )
+      `);
+      for (const { name, from, to } of RENUMBERED) {
+        await client.query('UPDATE schema_migrations SET version = $1 WHERE version = $2 AND name = $3', [
+          to,
+          from,
+          name,
+        ]);
+      }
+      return await task(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function loadApplied(client) {
+  const { rows } = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  const known = new Map(orderedMigrations().map((migration) => [migration.version, migration]));
+  rows.forEach((row) => {
+    const migration = known.get(row.version);
+    if (migration && migration.name !== row.name) {
+      throw new Error(`Migration ${row.version} was applied as "${row.name}" but is now "${migration.name}".`);
+    }
+  });
+  return rows;
+}
+
+async function inTransaction(client, work) {
+  await client.query('BEGIN');
+  try {
+    await work();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+// Applies pending migrations in order, each in its own transaction, up to and including `target`.
+export async function runMigrations({ target = null } = {}) {
+  return withMigrationLock(async (client) => {
+    const applied = new Set((await loadApplied(client)).map((row) => row.version));
+    const pending = orderedMigrations().filter(
+      (migration) => !applied.has(migration.version) && (target == null || migration.version <= target),
+    );
+
+    for (const migration of pending) {
+      console.log(`🗄️ Applying migration ${migration.version} ${migration.name}`);
+      await inTransaction(client, async () => {
+        await migration.up(client);
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [
+          migration.version,
+          migration.name,
+        ]);
+      });
+    }
+    return pending.map(({ version, name }) => ({ version, name }));
+  });
+}
+
+// Reverts the most recently applied migrations, newest first, each in its own transaction. A failing
+// step stops the rollback there; the steps before it stay reverted.
+export async function rollbackMigrations({ steps = 1 } = {}) {
+  return withMigrationLock(async (client) => {
+    const known = new Map(orderedMigrations().map((migration) => [migration.version, migration]));
+    const targets = (await loadApplied(client)).reverse().slice(0, steps);
+
+    const rolledBack = [];
+    for (const row of targets) {
+      const migration = known.get(row.version);
+      if (!migration) {
+        throw new Error(`Migration ${row.version} (${row.name}) is not in this build; cannot roll it back.`);
+      }
+      console.log(`🗄️ Rolling back migration ${migration.version} ${migration.name}`);
+      try {
+        await inTransaction(client, async () => {
+          await migration.down(client);
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        });
+      } catch (error) {
+        // earlier steps are already committed, so say exactly where the schema was left
+        throw new Error(
+          `Rollback stopped at migration ${migration.version} ${migration.name} after reverting ` +
+            `${rolledBack.length}; the schema is at version ${migration.version}: ${error.message}`,
+          { cause: error },
+        );
+      }
+      rolledBack.push({ version: migration.version, name: migration.name });
+    }
+    return rolledBack;
+  });
+}
+
+// Applied rows the build does not know about come from a newer deploy and are reported as "unknown".
+export async function getMigrationStatus() {
+  const { rows: exists } = await getPool().query("SELECT to_regclass('schema_migrations') AS table");
+  const { rows } = exists[0].table
+    ? await getPool().query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version')
+    : { rows: [] };
+  // status is read-only, so show renumbered rows where the next run will move them
+  const applied = rows.map((row) => {
+    const renumbered = RENUMBERED.find(({ name, from }) => row.version === from && row.name === name);
+    return renumbered ? { ...row, version: renumbered.to } : row;
+  });
+  const appliedByVersion = new Map(applied.map((row) => [row.version, row]));
+
+  const status = orderedMigrations().map(({ version, name }) => ({
+    version,
+    name,
+    status: appliedByVersion.has(version) ? 'applied' : 'pending',
+    appliedAt: appliedByVersion.get(version)?.applied_at ?? null,
+  }));
+  const knownVersions = new Set(MIGRATIONS.map((migration) => migration.version));
+  applied
+    .filter((row) => !knownVersions.has(row.version))
+    .forEach((row) => {
+      status.push({ version: row.version, name: row.name, status: 'unknown', appliedAt: row.applied_at });
+    });
+  return status.sort((a, b) => a.version - b.version);
+}
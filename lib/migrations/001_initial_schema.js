@@ -0,0 +1,58 @@
+// The schema before any per-feature columns were added. Databases created by the old ensureSchema adopt
+// this as version 1; every later migration is idempotent so it both upgrades fresh databases and fills in
+// whatever an adopted database is missing.
+export default {
+  version: 1,
+  name: 'initial_schema',
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS athlete_tokens (
+        athlete_id BIGINT PRIMARY KEY,
+        access_token TEXT NOT NULL,
+        refresh_token TEXT NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL,
+        scope TEXT NOT NULL,
+        analysis_profile TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE athlete_tokens
+      ADD COLUMN IF NOT EXISTS analysis_profile TEXT
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS activity_cache (
+        athlete_id BIGINT NOT NULL,
+        activity_id BIGINT NOT NULL,
+        processed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (athlete_id, activity_id)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS athlete_metrics (
+        athlete_id BIGINT NOT NULL,
+        activity_id BIGINT NOT NULL,
+        activity_date TIMESTAMPTZ NOT NULL,
+        pw_hr_drift NUMERIC,
+        rolling5_diff NUMERIC,
+        power_150_delta NUMERIC,
+        z2_early NUMERIC,
+        z2_late NUMERIC,
+        cadence_drop NUMERIC,
+        hr_creep NUMERIC,
+        chart_url TEXT,
+        context JSONB,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (athlete_id, activity_id)
+      )
+    `);
+  },
+  async down() {
+    // Adopted databases hold data that predates migrations; dropping it is never a rollback.
+    throw new Error('Cannot roll back the initial schema.');
+  },
+};
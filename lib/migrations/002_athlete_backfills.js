@@ -0,0 +1,30 @@
+export default {
+  version: 2,
+  name: 'athlete_backfills',
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS athlete_backfills (
+        id BIGSERIAL PRIMARY KEY,
+        athlete_id BIGINT NOT NULL,
+        window_days INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        total_activities INTEGER NOT NULL DEFAULT 0,
+        processed_activities INTEGER NOT NULL DEFAULT 0,
+        skipped_activities INTEGER NOT NULL DEFAULT 0,
+        failed_activities INTEGER NOT NULL DEFAULT 0,
+        error TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        completed_at TIMESTAMPTZ
+      )
+    `);
+
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS athlete_backfills_athlete_idx
+      ON athlete_backfills (athlete_id, created_at DESC)
+    `);
+  },
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS athlete_backfills');
+  },
+};
@@ -0,0 +1,18 @@
+export default {
+  version: 3,
+  name: 'activity_change_hashes',
+  async up(client) {
+    await client.query(`
+      ALTER TABLE activity_cache
+      ADD COLUMN IF NOT EXISTS source_hash TEXT
+    `);
+  },
+  async down(client) {
+    // description_hash was added by earlier builds of this migration and is no longer read
+    await client.query(`
+      ALTER TABLE activity_cache
+      DROP COLUMN IF EXISTS source_hash,
+      DROP COLUMN IF EXISTS description_hash
+    `);
+  },
+};
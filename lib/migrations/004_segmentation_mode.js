@@ -0,0 +1,16 @@
+export default {
+  version: 4,
+  name: 'segmentation_mode',
+  async up(client) {
+    await client.query(`
+      ALTER TABLE athlete_tokens
+      ADD COLUMN IF NOT EXISTS segmentation_mode TEXT
+    `);
+  },
+  async down(client) {
+    await client.query(`
+      ALTER TABLE athlete_tokens
+      DROP COLUMN IF EXISTS segmentation_mode
+    `);
+  },
+};
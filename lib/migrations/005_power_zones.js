@@ -0,0 +1,16 @@
+export default {
+  version: 5,
+  name: 'power_zones',
+  async up(client) {
+    await client.query(`
+      ALTER TABLE athlete_metrics
+      ADD COLUMN IF NOT EXISTS power_zones JSONB
+    `);
+  },
+  async down(client) {
+    await client.query(`
+      ALTER TABLE athlete_metrics
+      DROP COLUMN IF EXISTS power_zones
+    `);
+  },
+};
@@ -0,0 +1,22 @@
+export default {
+  version: 6,
+  name: 'athlete_settings',
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS athlete_settings (
+        athlete_id BIGINT NOT NULL,
+        effective_from DATE NOT NULL,
+        max_heartrate INTEGER,
+        resting_heartrate INTEGER,
+        ftp_watts INTEGER,
+        weight_kg NUMERIC,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (athlete_id, effective_from)
+      )
+    `);
+  },
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS athlete_settings');
+  },
+};
@@ -0,0 +1,16 @@
+export default {
+  version: 7,
+  name: 'work_durability',
+  async up(client) {
+    await client.query(`
+      ALTER TABLE athlete_metrics
+      ADD COLUMN IF NOT EXISTS work_durability JSONB
+    `);
+  },
+  async down(client) {
+    await client.query(`
+      ALTER TABLE athlete_metrics
+      DROP COLUMN IF EXISTS work_durability
+    `);
+  },
+};
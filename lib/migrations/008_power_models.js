@@ -0,0 +1,30 @@
+export default {
+  version: 8,
+  name: 'power_models',
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS athlete_power_models (
+        athlete_id BIGINT PRIMARY KEY,
+        critical_power NUMERIC NOT NULL,
+        w_prime NUMERIC NOT NULL,
+        r2 NUMERIC,
+        mean_max_power JSONB,
+        source_activity_id BIGINT,
+        fitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      ALTER TABLE athlete_metrics
+      ADD COLUMN IF NOT EXISTS mean_max_power JSONB
+    `);
+  },
+  async down(client) {
+    await client.query(`
+      ALTER TABLE athlete_metrics
+      DROP COLUMN IF EXISTS mean_max_power
+    `);
+
+    await client.query('DROP TABLE IF EXISTS athlete_power_models');
+  },
+};
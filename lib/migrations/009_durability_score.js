@@ -0,0 +1,18 @@
+export default {
+  version: 9,
+  name: 'durability_score',
+  async up(client) {
+    await client.query(`
+      ALTER TABLE athlete_metrics
+      ADD COLUMN IF NOT EXISTS durability_score NUMERIC,
+      ADD COLUMN IF NOT EXISTS score_model_version TEXT
+    `);
+  },
+  async down(client) {
+    await client.query(`
+      ALTER TABLE athlete_metrics
+      DROP COLUMN IF EXISTS durability_score,
+      DROP COLUMN IF EXISTS score_model_version
+    `);
+  },
+};
@@ -0,0 +1,13 @@
+export default {
+  version: 10,
+  name: 'metrics_history_index',
+  async up(client) {
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS athlete_metrics_history_idx
+      ON athlete_metrics (athlete_id, activity_date DESC, activity_id DESC)
+    `);
+  },
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS athlete_metrics_history_idx');
+  },
+};
@@ -0,0 +1,16 @@
+export default {
+  version: 11,
+  name: 'baseline_config',
+  async up(client) {
+    await client.query(`
+      ALTER TABLE athlete_tokens
+      ADD COLUMN IF NOT EXISTS baseline_config JSONB
+    `);
+  },
+  async down(client) {
+    await client.query(`
+      ALTER TABLE athlete_tokens
+      DROP COLUMN IF EXISTS baseline_config
+    `);
+  },
+};
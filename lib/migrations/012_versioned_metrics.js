@@ -0,0 +1,28 @@
+export default {
+  version: 12,
+  name: 'versioned_metrics',
+  async up(client) {
+    await client.query(`
+      ALTER TABLE athlete_metrics
+      ADD COLUMN IF NOT EXISTS analysis_mode TEXT,
+      ADD COLUMN IF NOT EXISTS power_fade NUMERIC,
+      ADD COLUMN IF NOT EXISTS efficiency_decline NUMERIC,
+      ADD COLUMN IF NOT EXISTS watts_per_beat_slope NUMERIC,
+      ADD COLUMN IF NOT EXISTS cadence_stability NUMERIC,
+      ADD COLUMN IF NOT EXISTS metrics JSONB,
+      ADD COLUMN IF NOT EXISTS metrics_version INTEGER
+    `);
+  },
+  async down(client) {
+    await client.query(`
+      ALTER TABLE athlete_metrics
+      DROP COLUMN IF EXISTS analysis_mode,
+      DROP COLUMN IF EXISTS power_fade,
+      DROP COLUMN IF EXISTS efficiency_decline,
+      DROP COLUMN IF EXISTS watts_per_beat_slope,
+      DROP COLUMN IF EXISTS cadence_stability,
+      DROP COLUMN IF EXISTS metrics,
+      DROP COLUMN IF EXISTS metrics_version
+    `);
+  },
+};
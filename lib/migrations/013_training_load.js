@@ -0,0 +1,23 @@
+export default {
+  version: 13,
+  name: 'training_load',
+  async up(client) {
+    // tss is the ride's own stress; ctl/atl/tsb are the athlete's load state going into it
+    await client.query(`
+      ALTER TABLE athlete_metrics
+      ADD COLUMN IF NOT EXISTS tss NUMERIC,
+      ADD COLUMN IF NOT EXISTS ctl NUMERIC,
+      ADD COLUMN IF NOT EXISTS atl NUMERIC,
+      ADD COLUMN IF NOT EXISTS tsb NUMERIC
+    `);
+  },
+  async down(client) {
+    await client.query(`
+      ALTER TABLE athlete_metrics
+      DROP COLUMN IF EXISTS tss,
+      DROP COLUMN IF EXISTS ctl,
+      DROP COLUMN IF EXISTS atl,
+      DROP COLUMN IF EXISTS tsb
+    `);
+  },
+};
@@ -0,0 +1,34 @@
+import initialSchema from './001_initial_schema.js';
+import athleteBackfills from './002_athlete_backfills.js';
+import activityChangeHashes from './003_activity_change_hashes.js';
+import segmentationMode from './004_segmentation_mode.js';
+import powerZones from './005_power_zones.js';
+import athleteSettings from './006_athlete_settings.js';
+import workDurability from './007_work_durability.js';
+import powerModels from './008_power_models.js';
+import durabilityScore from './009_durability_score.js';
+import metricsHistoryIndex from './010_metrics_history_index.js';
+import baselineConfig from './011_baseline_config.js';
+import versionedMetrics from './012_versioned_metrics.js';
+import trainingLoad from './013_training_load.js';
+
+// Append new migrations here; versions must be unique and ascending.
+export const MIGRATIONS = [
+  initialSchema,
+  athleteBackfills,
+  activityChangeHashes,
+  segmentationMode,
+  powerZones,
+  athleteSettings,
+  workDurability,
+  powerModels,
+  durabilityScore,
+  metricsHistoryIndex,
+  baselineConfig,
+  versionedMetrics,
+  trainingLoad,
+];
+
+// Migrations that were applied under an earlier number, before the initial schema was split into one
+// migration per change. They are moved to their current version before anything else runs.
+export const RENUMBERED = [{ name: 'training_load', from: 2, to: 13 }];
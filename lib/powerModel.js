@@ -0,0 +1,160 @@
+// Durations (seconds) used for the two-parameter critical power fit. Shorter efforts are dominated by
+// anaerobic capacity and longer ones by fatigue, both of which bend the work-time line.
+export const CP_DURATIONS = [180, 300, 420, 600, 900, 1200];
+
+const MODEL_LIMITS = {
+  minPoints: 3,
+  cp: [50, 700],
+  wPrime: [2000, 60000],
+  minR2: 0.9,
+};
+
+const DEFAULT_W_PRIME = 20000;
+const DRAIN_DEPTH = 0.3; // a drain is W′bal falling by 30% of W′ from its last peak
+const DRAIN_REARM = 0.2; // ...and the next one only counts after recovering 20% of W′ from the trough
+const SERIES_STEP_SECONDS = 15;
+
+// Keeps the best power per duration across rides, the athlete's recent mean-maximal curve.
+export function mergeMeanMaxPower(...curves) {
+  const merged = {};
+  curves.filter(Boolean).forEach((curve) => {
+    Object.entries(curve).forEach(([duration, power]) => {
+      const value = Number(power);
+      if (Number.isFinite(value) && (merged[duration] == null || value > merged[duration])) {
+        merged[duration] = value;
+      }
+    });
+  });
+  return merged;
+}
+
+// Work = CP·t + W′ — the slope of a work-vs-duration regression is CP and the intercept is W′.
+export function fitCriticalPower(meanMaxPower) {
+  const points = CP_DURATIONS.filter((duration) => meanMaxPower?.[duration] != null).map((duration) => ({
+    t: duration,
+    work: meanMaxPower[duration] * duration,
+  }));
+  if (points.length < MODEL_LIMITS.minPoints) {
+    return null;
+  }
+
+  const meanT = points.reduce((acc, point) => acc + point.t, 0) / points.length;
+  const meanWork = points.reduce((acc, point) => acc + point.work, 0) / points.length;
+  let numerator = 0;
+  let denominator = 0;
+  let total = 0;
+  points.forEach((point) => {
+    numerator += (point.t - meanT) * (point.work - meanWork);
+    denominator += (point.t - meanT) ** 2;
+    total += (point.work - meanWork) ** 2;
+  });
+  if (denominator === 0 || total === 0) {
+    return null;
+  }
+
+  const cp = numerator / denominator;
+  const wPrime = meanWork - cp * meanT;
+  const residual = points.reduce((acc, point) => acc + (point.work - (cp * point.t + wPrime)) ** 2, 0);
+  const r2 = 1 - residual / total;
+
+  const [minCp, maxCp] = MODEL_LIMITS.cp;
+  const [minWPrime, maxWPrime] = MODEL_LIMITS.wPrime;
+  if (cp < minCp || cp > maxCp || wPrime < minWPrime || wPrime > maxWPrime || r2 < MODEL_LIMITS.minR2) {
+    return null;
+  }
+
+  return { cp, wPrime, r2, durations: points.map((point) => point.t) };
+}
+
+export function resolvePowerModel({ meanMaxPower, storedModel, ftp }) {
+  const fitted = fitCriticalPower(meanMaxPower);
+  if (fitted) {
+    return { ...fitted, source: 'fitted' };
+  }
+  if (storedModel?.cp && storedModel?.wPrime) {
+    return { cp: Number(storedModel.cp), wPrime: Number(storedModel.wPrime), r2: null, durations: [], source: 'stored' };
+  }
+  if (ftp) {
+    // FTP sits a few percent above CP for most riders; close enough to drive W′bal without a fit
+    return { cp: ftp * 0.97, wPrime: DEFAULT_W_PRIME, r2: null, durations: [], source: 'ftp' };
+  }
+  return null;
+}
+
+// Differential W′bal (Skiba et al., 2015): depletion is linear above CP, recovery exponential below it.
+export function computeWPrimeBalance(watts, times, { cp, wPrime }) {
+  const balance = new Array(watts.length).fill(wPrime);
+  let current = wPrime;
+  for (let i = 1; i < watts.length; i += 1) {
+    const duration = Math.max(times[i] - times[i - 1], 0);
+    const power = watts[i - 1];
+    if (power > cp) {
+      current -= (power - cp) * duration;
+    } else {
+      current += (wPrime - current) * (1 - Math.exp((-(cp - power) * duration) / wPrime));
+    }
+    balance[i] = current;
+  }
+  return balance;
+}
+
+// Recovery below CP is slow, so drains are measured from the last peak rather than against a fixed
+// level; otherwise a second hard effort before full recovery would never register.
+function findDrains(balance, wPrime) {
+  const indices = [];
+  let armed = true;
+  let peak = wPrime;
+  let trough = wPrime;
+  balance.forEach((value, index) => {
+    if (armed) {
+      peak = Math.max(peak, value);
+      if (peak - value >= wPrime * DRAIN_DEPTH) {
+        indices.push(index);
+        armed = false;
+        trough = value;
+      }
+      return;
+    }
+    trough = Math.min(trough, value);
+    if (value - trough >= wPrime * DRAIN_REARM) {
+      armed = true;
+      peak = value;
+    }
+  });
+  return indices;
+}
+
+function downsample(balance, times, wPrime) {
+  const series = [];
+  let nextTime = times[0] ?? 0;
+  balance.forEach((value, index) => {
+    if (times[index] >= nextTime) {
+      series.push({ t: times[index], wPrimeBal: value, percent: (value / wPrime) * 100 });
+      nextTime = times[index] + SERIES_STEP_SECONDS;
+    }
+  });
+  return series;
+}
+
+export function summarizeWPrimeBalance({ watts, time, segments, model }) {
+  if (!model || watts.length !== time.length || watts.length < 2) {
+    return null;
+  }
+  const balance = computeWPrimeBalance(watts, time, model);
+  const drains = findDrains(balance, model.wPrime);
+  const inSegment = (segment) => (index) => segment && index >= segment[0] && index <= segment[1];
+  const minimum = balance.reduce((acc, value) => Math.min(acc, value), model.wPrime);
+
+  return {
+    minBalance: minimum,
+    minBalancePercent: (minimum / model.wPrime) * 100,
+    drains: {
+      depthPercent: DRAIN_DEPTH * 100,
+      total: drains.length,
+      early: drains.filter(inSegment(segments.firstHalf)).length,
+      late: drains.filter(inSegment(segments.secondHalf)).length,
+      byQuartile: segments.quartiles.map((segment) => drains.filter(inSegment(segment)).length),
+    },
+    series: downsample(balance, time, model.wPrime),
+  };
+}
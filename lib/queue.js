@@ -7,15 +7,27 @@ const { Queue, Worker, QueueScheduler } = BullMQ;
 let queue = null;
 let usingRedis = false;
 let inMemoryQueue = null;
-let processorRef = null;
+let handlersRef = null;
 let redisConnection = null;
 
-export function initializeQueue(processor) {
+// BullMQ treats un-prioritised jobs as highest priority and larger numbers as lower;
+// p-queue runs larger numbers first, so the in-memory path negates this value.
+export const BACKFILL_PRIORITY = 10;
+
+function dispatch(name, data) {
+  const handler = handlersRef?.[name];
+  if (!handler) {
+    throw new Error(`No queue handler registered for job "${name}".`);
+  }
+  return handler(data);
+}
+
+export function initializeQueue(handlers) {
   if (queue) {
     return;
   }
 
-  processorRef = processor;
+  handlersRef = typeof handlers === 'function' ? { activity: handlers } : handlers;
 
   if (process.env.REDIS_URL) {
     redisConnection = new IORedis(process.env.REDIS_URL, { lazyConnect: true });
@@ -24,7 +36,7 @@ export function initializeQueue(processor) {
     new Worker(
       'durability-activities',
       async (job) => {
-        await processor(job.data);
+        await dispatch(job.name, job.data);
       },
       { connection: redisConnection },
     );
@@ -44,7 +56,34 @@ export async function enqueueActivity(data) {
   if (usingRedis) {
     await queue.add('activity', data, { removeOnComplete: true, attempts: 3 });
   } else {
-    await inMemoryQueue.add(() => processorRef(data));
+    await inMemoryQueue.add(() => dispatch('activity', data));
+  }
+}
+
+export async function enqueueBackgroundJob(name, data, { priority = BACKFILL_PRIORITY, delayMs = 0 } = {}) {
+  if (!queue && !inMemoryQueue) {
+    throw new Error('Queue not initialized.');
+  }
+
+  if (usingRedis) {
+    await queue.add(name, data, {
+      removeOnComplete: true,
+      attempts: 3,
+      priority,
+      delay: delayMs > 0 ? delayMs : undefined,
+    });
+    return;
+  }
+
+  // unlike enqueueActivity this resolves once queued, so callers can fan out many jobs
+  const run = () =>
+    inMemoryQueue
+      .add(() => dispatch(name, data), { priority: -priority })
+      .catch((error) => console.error(`Background job ${name} failed`, error));
+  if (delayMs > 0) {
+    setTimeout(run, delayMs).unref?.();
+  } else {
+    run();
   }
 }
 
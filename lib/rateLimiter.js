@@ -24,10 +24,12 @@ function refill(bucket) {
 const shortBucket = createBucket({ capacity: 200, refillInterval: FIFTEEN_MINUTES, refillAmount: 200 });
 const dailyBucket = createBucket({ capacity: 2000, refillInterval: ONE_DAY, refillAmount: 2000 });
 
-function consumeToken() {
+// `reserve` keeps that many tokens in both buckets untouched, so low-priority work
+// (e.g. historical backfills) can never starve live webhook processing.
+function consumeToken(reserve = 0) {
   refill(shortBucket);
   refill(dailyBucket);
-  if (shortBucket.tokens <= 0 || dailyBucket.tokens <= 0) {
+  if (shortBucket.tokens <= reserve || dailyBucket.tokens <= reserve) {
     return false;
   }
   shortBucket.tokens -= 1;
@@ -46,8 +48,8 @@ export function createTokenBucketMiddleware() {
   };
 }
 
-export function reserveTokenOrThrow() {
-  if (!consumeToken()) {
+export function reserveTokenOrThrow({ reserve = 0 } = {}) {
+  if (!consumeToken(reserve)) {
     const error = new Error('Strava token bucket exhausted');
     error.status = 429;
     throw error;
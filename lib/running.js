@@ -0,0 +1,232 @@
+import { evaluateDataGuards } from './confidence.js';
+import { completeSamples, repairStreams } from './dataQuality.js';
+import { computeDurabilityScore } from './durabilityScore.js';
+import { computeSegments, detectPauses, resolveSegmentationMode, toMovingStreams } from './metrics.js';
+import { mean, percentageChange } from './stats.js';
+import { computeGradient } from './terrain.js';
+
+export const RUNNING_SPORT_TYPES = ['Run', 'TrailRun', 'VirtualRun', 'Walk', 'Hike'];
+
+const RUNNING_DEFAULTS = {
+  minSpeed: 0.5, // m/s — slower samples are standing around and would swamp the pace averages
+  maxGrade: 45, // % — the Minetti cost curve is only fitted up to ±45%
+  // Strava and FIT record running cadence per leg; anything this low is strides, not steps
+  perLegCadenceBelow: 120,
+  // repair limits for cadence once it is in steps per minute; the cycling rpm ceiling would clip every run
+  cadenceQuality: { max: 230, flatlineSeconds: 300 },
+};
+
+export function isRunningSport(sportType) {
+  return RUNNING_SPORT_TYPES.includes(sportType);
+}
+
+function median(values) {
+  const sorted = values.filter((value) => value != null && value > 0).sort((a, b) => a - b);
+  return sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : null;
+}
+
+function sliceSegment(values, segment) {
+  return segment && values.length > 0 ? values.slice(segment[0], segment[1] + 1) : [];
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// Metabolic cost of running on a gradient, J/kg/m (Minetti et al., 2002), with grade as a fraction.
+function runningCost(grade) {
+  return 155.4 * grade ** 5 - 30.4 * grade ** 4 - 43.3 * grade ** 3 + 46.3 * grade ** 2 + 19.5 * grade + 3.6;
+}
+
+// Grade-adjusted speed: the flat-ground speed that would cost the same energy as the actual one.
+function computeGradeAdjustedSpeed(streams, speed, config) {
+  const gradient = computeGradient(streams);
+  if (!gradient) {
+    return null;
+  }
+  const flatCost = runningCost(0);
+  return speed.map((value, index) => {
+    if (value == null) {
+      return null;
+    }
+    const grade = clamp(gradient[index], -config.maxGrade, config.maxGrade) / 100;
+    return (value * runningCost(grade)) / flatCost;
+  });
+}
+
+function toStepsPerMinute(cadence, config) {
+  const typical = median(cadence);
+  if (typical == null) {
+    return cadence;
+  }
+  const factor = typical < config.perLegCadenceBelow ? 2 : 1;
+  // zeros stay zeros so pause detection still sees a runner standing still
+  return cadence.map((value) => (value != null ? value * factor : null));
+}
+
+function resolveSpeed({ velocity, distance, time }) {
+  if (velocity.length === time.length) {
+    return velocity;
+  }
+  if (distance.length !== time.length) {
+    return null;
+  }
+  // derive speed from distance for files (mostly GPX) that carry no speed stream
+  return time.map((t, index) => {
+    if (index === 0) {
+      return null;
+    }
+    const dt = t - time[index - 1];
+    return dt > 0 ? (distance[index] - distance[index - 1]) / dt : null;
+  });
+}
+
+function ratio(speeds, heartrate) {
+  const speed = mean(speeds);
+  const hr = mean(heartrate);
+  return speed != null && hr ? speed / hr : null;
+}
+
+function paceSecondsPerKm(speed) {
+  return speed ? 1000 / speed : null;
+}
+
+const RUNNING_SCORE_MODEL = {
+  version: 'running-v1',
+  components: {
+    paceFade: {
+      label: 'Pace fade',
+      weight: 1,
+      curve: { direction: 'up', reference: 0, full: 100, exponent: 1 },
+    },
+    // same sign as Pw:HR drift — negative means HR rose against pace
+    decoupling: {
+      label: 'Pace:HR decoupling',
+      weight: 1,
+      curve: { direction: 'down', reference: 0, full: 100, exponent: 1 },
+    },
+    cadenceDrift: {
+      label: 'Cadence drift',
+      weight: 1,
+      curve: { direction: 'down', reference: 0, full: 50, exponent: 1 },
+    },
+  },
+};
+
+// Runs and hikes have no power, so pace (and grade-adjusted pace where altitude allows) takes its
+// place: pace:HR decoupling replaces Pw:HR drift, pace fade replaces power fade.
+export function calculateRunningMetrics(rawStreams, options = {}) {
+  const config = { ...RUNNING_DEFAULTS, ...options.running };
+  if (!rawStreams.time || rawStreams.time.length < 10 || rawStreams.heartrate.length < 10) {
+    return { error: 'Insufficient data' };
+  }
+  if (!resolveSpeed(rawStreams)) {
+    return { error: 'Insufficient data' };
+  }
+
+  const dataQualityOptions = {
+    ...options.dataQuality,
+    cadence: { ...config.cadenceQuality, ...options.dataQuality?.cadence },
+  };
+  const repair = repairStreams(
+    { ...rawStreams, cadence: toStepsPerMinute(rawStreams.cadence, config) },
+    dataQualityOptions,
+  );
+  const { quality: dataQuality } = repair;
+  const repairedStreams = completeSamples(repair.streams, ['heartrate']);
+  if (repairedStreams.time.length < 10) {
+    return { error: 'Insufficient usable data', dataQuality };
+  }
+
+  const segmentationMode = resolveSegmentationMode(options.segmentation);
+  const pauses = detectPauses(repairedStreams, options.pauseDetection);
+  const streams = segmentationMode === 'moving' ? toMovingStreams(repairedStreams, pauses) : repairedStreams;
+  if (streams.time.length < 10) {
+    return { error: 'Insufficient moving data' };
+  }
+  const segments = computeSegments(streams);
+  if (!segments) {
+    return { error: 'Unable to split segments' };
+  }
+
+  const speed = resolveSpeed(streams).map((value) => (value != null && value >= config.minSpeed ? value : null));
+  const gapSpeed = computeGradeAdjustedSpeed(streams, speed, config);
+  const { heartrate } = streams;
+  const stepsPerMinute = streams.cadence.map((value) => (value > 0 ? value : null));
+
+  const paceHrDrift = percentageChange(
+    ratio(sliceSegment(speed, segments.firstHalf), sliceSegment(heartrate, segments.firstHalf)),
+    ratio(sliceSegment(speed, segments.secondHalf), sliceSegment(heartrate, segments.secondHalf)),
+  );
+  const gapHrDrift = gapSpeed
+    ? percentageChange(
+        ratio(sliceSegment(gapSpeed, segments.firstHalf), sliceSegment(heartrate, segments.firstHalf)),
+        ratio(sliceSegment(gapSpeed, segments.secondHalf), sliceSegment(heartrate, segments.secondHalf)),
+      )
+    : null;
+
+  const quartiles = segments.quartiles.map((segment) => {
+    const avgSpeed = mean(sliceSegment(speed, segment));
+    const avgGapSpeed = gapSpeed ? mean(sliceSegment(gapSpeed, segment)) : null;
+    const avgHr = mean(sliceSegment(heartrate, segment));
+    return {
+      avgSpeed,
+      avgGapSpeed,
+      paceSecondsPerKm: paceSecondsPerKm(avgSpeed),
+      gapSecondsPerKm: paceSecondsPerKm(avgGapSpeed),
+      avgHr,
+      cadence: mean(sliceSegment(stepsPerMinute, segment)),
+      // metres per heartbeat, the running analogue of the efficiency factor
+      efficiencyFactor: avgHr && (avgGapSpeed ?? avgSpeed) != null ? ((avgGapSpeed ?? avgSpeed) * 60) / avgHr : null,
+    };
+  });
+
+  const first = quartiles[0];
+  const last = quartiles[3];
+  const paceFade = first.avgSpeed ? ((first.avgSpeed - last.avgSpeed) / first.avgSpeed) * 100 : null;
+  const gapFade =
+    first.avgGapSpeed && last.avgGapSpeed != null
+      ? ((first.avgGapSpeed - last.avgGapSpeed) / first.avgGapSpeed) * 100
+      : null;
+  const cadenceDrift = first.cadence != null && last.cadence != null ? last.cadence - first.cadence : null;
+  const cadenceDriftPercent = percentageChange(first.cadence, last.cadence);
+  const earlyHr = mean(sliceSegment(heartrate, segments.firstHalf));
+  const lateHr = mean(sliceSegment(heartrate, segments.secondHalf));
+  const durabilityBreakdown = computeDurabilityScore(
+    { paceFade: gapFade ?? paceFade, decoupling: gapHrDrift ?? paceHrDrift, cadenceDrift: cadenceDriftPercent },
+    RUNNING_SCORE_MODEL,
+  );
+
+  return {
+    mode: 'running',
+    segmentation: {
+      mode: segmentationMode,
+      elapsedSeconds: pauses.elapsedSeconds,
+      movingSeconds: pauses.movingSeconds,
+      pausedSeconds: pauses.pausedSeconds,
+      pauseCount: pauses.pauseCount,
+    },
+    dataQuality,
+    dataGuards: evaluateDataGuards(
+      {
+        durationSeconds: streams.time[streams.time.length - 1] - streams.time[0],
+        coveragePercent: dataQuality.coveragePercent,
+      },
+      options.dataGuards,
+    ),
+    segments,
+    paceHrDrift,
+    gapHrDrift,
+    paceFade,
+    gapFade,
+    cadenceDrift,
+    cadenceDriftPercent,
+    // share the ride columns so runs get baselines too; history is split by mode before comparing
+    pwHrDrift: gapHrDrift ?? paceHrDrift,
+    cadenceDrop: cadenceDrift,
+    hrCreep: earlyHr != null && lateHr != null ? lateHr - earlyHr : null,
+    quartiles,
+    durabilityScore: durabilityBreakdown.score,
+    durabilityBreakdown: { version: durabilityBreakdown.version, components: durabilityBreakdown.components },
+  };
+}
@@ -0,0 +1,83 @@
+// Shared by the ride, rep and run metrics so each figure has one definition.
+
+export function rebaseTime(values) {
+  if (!values || values.length === 0) {
+    return [];
+  }
+  const offset = values[0];
+  return values.map((value) => value - offset);
+}
+
+// Masked samples arrive as null and are left out rather than counted as zero.
+export function mean(values) {
+  const usable = values ? values.filter((value) => value != null) : [];
+  if (usable.length === 0) {
+    return null;
+  }
+  return usable.reduce((acc, value) => acc + value, 0) / usable.length;
+}
+
+export function rollingAverage(values, times, windowSeconds) {
+  if (!values || values.length === 0) {
+    return [];
+  }
+  const results = [];
+  let start = 0;
+  let sum = 0;
+  for (let end = 0; end < values.length; end += 1) {
+    sum += values[end];
+    while (times[end] - times[start] > windowSeconds && start < end) {
+      sum -= values[start];
+      start += 1;
+    }
+    const count = end - start + 1;
+    if (times[end] - times[start] >= windowSeconds - 1) {
+      results.push({ start, end, average: sum / count });
+    }
+  }
+  return results;
+}
+
+export function percentageChange(oldValue, newValue) {
+  if (oldValue == null || newValue == null || oldValue === 0) {
+    return null;
+  }
+  return ((newValue - oldValue) / oldValue) * 100;
+}
+
+export function normalizedPower(values, times) {
+  if (!values || values.length < 30) {
+    return null;
+  }
+  const rebased = rebaseTime(times);
+  const rolling = rollingAverage(values, rebased, 30);
+  if (rolling.length === 0) {
+    return null;
+  }
+  const fourthPowerMean =
+    rolling.reduce((acc, item) => acc + item.average ** 4, 0) / rolling.length;
+  return fourthPowerMean ** 0.25;
+}
+
+export function linearRegressionSlope(xs, ys) {
+  if (!xs || !ys || xs.length !== ys.length || xs.length < 2) {
+    return null;
+  }
+
+  const meanX = xs.reduce((acc, value) => acc + value, 0) / xs.length;
+  const meanY = ys.reduce((acc, value) => acc + value, 0) / ys.length;
+
+  let numerator = 0;
+  let denominator = 0;
+  for (let i = 0; i < xs.length; i += 1) {
+    const dx = xs[i] - meanX;
+    numerator += dx * (ys[i] - meanY);
+    denominator += dx * dx;
+  }
+
+  if (denominator === 0) {
+    return null;
+  }
+
+  return numerator / denominator;
+}
@@ -18,10 +18,10 @@ function computeBackoff(attempt) {
   return Math.min(delay, 10 * 60 * 1000);
 }
 
-export async function axiosWithRetry(config, { attempts = 3 } = {}) {
+export async function axiosWithRetry(config, { attempts = 3, reserve = 0 } = {}) {
   for (let attempt = 1; attempt <= attempts; attempt += 1) {
     try {
-      reserveTokenOrThrow();
+      reserveTokenOrThrow({ reserve });
       console.log('Strava API request', {
         method: config.method ?? 'get',
         url: config.url,
@@ -189,7 +189,12 @@ export async function getValidToken(athleteId) {
   const expiresAt = new Date(token.expiresAt).getTime();
   const now = Date.now();
   if (Number.isFinite(expiresAt) && expiresAt > now + 60 * 1000) {
-    return { accessToken: token.accessToken, analysisProfile: profileKey };
+    return {
+      accessToken: token.accessToken,
+      analysisProfile: profileKey,
+      segmentationMode: token.segmentationMode,
+      baselineConfig: token.baselineConfig,
+    };
   }
 
   try {
@@ -213,7 +218,12 @@ export async function getValidToken(athleteId) {
       scope: normalized.scope,
       analysisProfile: token.analysisProfile ?? profileKey,
     });
-    return { accessToken: normalized.accessToken, analysisProfile: token.analysisProfile ?? profileKey };
+    return {
+      accessToken: normalized.accessToken,
+      analysisProfile: token.analysisProfile ?? profileKey,
+      segmentationMode: token.segmentationMode,
+      baselineConfig: token.baselineConfig,
+    };
   } catch (error) {
     console.error('Failed to refresh Strava token', error);
     if (axios.isAxiosError(error) && error.response?.status === 400) {
@@ -224,18 +234,44 @@ export async function getValidToken(athleteId) {
   }
 }
 
-export async function fetchActivity(accessToken, activityId) {
+export async function fetchActivity(accessToken, activityId, { reserve = 0, attempts } = {}) {
   const url = `${STRAVA_BASE}/activities/${activityId}`;
-  const response = await axiosWithRetry({
-    method: 'get',
-    url,
-    headers: { Authorization: `Bearer ${accessToken}` },
-    params: { include_all_efforts: false },
-  });
+  const response = await axiosWithRetry(
+    {
+      method: 'get',
+      url,
+      headers: { Authorization: `Bearer ${accessToken}` },
+      params: { include_all_efforts: false },
+    },
+    { reserve, attempts },
+  );
+  return response.data;
+}
+
+export async function fetchAthleteActivities(
+  accessToken,
+  { after, before, page = 1, perPage = 100, reserve = 0, attempts } = {},
+) {
+  const params = { page, per_page: perPage };
+  if (after != null) {
+    params.after = after;
+  }
+  if (before != null) {
+    params.before = before;
+  }
+  const response = await axiosWithRetry(
+    {
+      method: 'get',
+      url: `${STRAVA_BASE}/athlete/activities`,
+      headers: { Authorization: `Bearer ${accessToken}` },
+      params,
+    },
+    { reserve, attempts },
+  );
   return response.data;
 }
 
-export async function fetchStreams(accessToken, activityId) {
+export async function fetchStreams(accessToken, activityId, { reserve = 0, attempts } = {}) {
   const keys = [
     'watts',
     'heartrate',
@@ -247,18 +283,22 @@ export async function fetchStreams(accessToken, activityId) {
     'left_right_balance',
     'torque_effectiveness',
     'pedal_smoothness',
+    'temp',
   ];
-  const response = await axiosWithRetry({
-    method: 'get',
-    url: `${STRAVA_BASE}/activities/${activityId}/streams`,
-    headers: { Authorization: `Bearer ${accessToken}` },
-    params: { keys: keys.join(','), key_by_type: true },
-    paramsSerializer: (params) =>
-      qs.stringify(params, {
-        encode: true,
-        arrayFormat: 'repeat',
-      }),
-  });
+  const response = await axiosWithRetry(
+    {
+      method: 'get',
+      url: `${STRAVA_BASE}/activities/${activityId}/streams`,
+      headers: { Authorization: `Bearer ${accessToken}` },
+      params: { keys: keys.join(','), key_by_type: true },
+      paramsSerializer: (params) =>
+        qs.stringify(params, {
+          encode: true,
+          arrayFormat: 'repeat',
+        }),
+    },
+    { reserve, attempts },
+  );
   return response.data;
 }
 
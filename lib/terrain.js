@@ -0,0 +1,80 @@
+export const TERRAIN_CLASSES = ['climbing', 'flat', 'descending'];
+
+const TERRAIN_DEFAULTS = {
+  windowMeters: 100, // gradient is measured over this much road to smooth barometric noise
+  climbGrade: 2, // % — at or above is climbing
+  descentGrade: -2, // % — at or below is descending
+  gradientBands: [2, 4, 6, 8], // lower bounds of the climb bands compared like-for-like
+};
+
+function resolveDistance({ distance, velocity, time }) {
+  if (distance.length === time.length) {
+    return distance;
+  }
+  if (velocity.length !== time.length) {
+    return null;
+  }
+  // integrate velocity when the distance stream is missing (some head units only record speed)
+  const derived = [0];
+  for (let i = 1; i < time.length; i += 1) {
+    derived.push(derived[i - 1] + velocity[i - 1] * Math.max(time[i] - time[i - 1], 0));
+  }
+  return derived;
+}
+
+export function computeGradient(streams, windowMeters = TERRAIN_DEFAULTS.windowMeters) {
+  const { altitude, time } = streams;
+  const distance = resolveDistance(streams);
+  if (!distance || altitude.length !== time.length) {
+    return null;
+  }
+
+  const half = windowMeters / 2;
+  const gradient = new Array(time.length).fill(0);
+  let back = 0;
+  let ahead = 0;
+  for (let i = 0; i < time.length; i += 1) {
+    while (back < i && distance[i] - distance[back + 1] >= half) {
+      back += 1;
+    }
+    ahead = Math.max(ahead, i);
+    while (ahead < time.length - 1 && distance[ahead] - distance[i] < half) {
+      ahead += 1;
+    }
+    const run = distance[ahead] - distance[back];
+    // a too-short window turns altitude jitter into a wall; rounding to 0.1% keeps float noise
+    // from pushing a steady 6% climb into the 4–6% band
+    gradient[i] = run >= half ? Math.round(((altitude[ahead] - altitude[back]) / run) * 1000) / 10 : 0;
+  }
+  return gradient;
+}
+
+function gradientBand(grade, bands) {
+  let band = null;
+  bands.forEach((lower) => {
+    if (grade >= lower) {
+      band = lower;
+    }
+  });
+  return band;
+}
+
+export function classifyTerrain(streams, overrides = {}) {
+  const config = { ...TERRAIN_DEFAULTS, ...overrides };
+  const gradient = computeGradient(streams, config.windowMeters);
+  if (!gradient) {
+    return null;
+  }
+
+  const classes = gradient.map((grade) => {
+    if (grade >= config.climbGrade) {
+      return 'climbing';
+    }
+    return grade <= config.descentGrade ? 'descending' : 'flat';
+  });
+  const bands = gradient.map((grade, index) =>
+    classes[index] === 'climbing' ? gradientBand(grade, config.gradientBands) : null,
+  );
+
+  return { gradient, classes, bands, gradientBands: config.gradientBands };
+}
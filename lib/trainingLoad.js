@@ -0,0 +1,113 @@
+export const LOAD_DEFAULTS = {
+  chronicDays: 42, // CTL time constant
+  acuteDays: 7, // ATL time constant
+  historyDays: 180, // after this long a ride's weight in CTL is under 2%
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Without a measured LTHR, threshold heart rate is taken at 85% of heart-rate reserve.
+const HR_THRESHOLD_RESERVE = 0.85;
+
+// TSB bands as commonly read off a performance management chart.
+const FORM_BANDS = [
+  { min: 25, label: 'very fresh' },
+  { min: 5, label: 'fresh' },
+  { min: -10, label: 'neutral' },
+  { min: -30, label: 'fatigued' },
+  { min: -Infinity, label: 'very fatigued' },
+];
+
+// TSS = hours × IF² × 100, with IF = NP / threshold. FTP is the threshold when set; the fitted CP is
+// close enough to stand in when it is not.
+export function computeTrainingStress({ normalizedPower, durationSeconds, ftp = null, criticalPower = null }) {
+  const threshold = ftp ?? criticalPower;
+  if (!normalizedPower || !threshold || !(durationSeconds > 0)) {
+    return null;
+  }
+  const intensityFactor = normalizedPower / threshold;
+  return {
+    normalizedPower,
+    intensityFactor,
+    tss: (durationSeconds / 3600) * intensityFactor ** 2 * 100,
+    threshold,
+    thresholdSource: ftp != null ? 'ftp' : 'cp',
+  };
+}
+
+// Banister's TRIMP weighting: time at a fraction of heart-rate reserve counts exponentially more as it rises.
+function trimpWeight(reserve) {
+  return reserve * 0.64 * Math.exp(1.92 * reserve);
+}
+
+// hrTSS for rides without power: TRIMP scaled so an hour at threshold heart rate scores 100, the same
+// anchor power TSS uses. `time` should be moving time so stops and recording gaps add nothing.
+export function computeHeartRateStress({ heartrate, time, heartRateMax, heartRateRest }) {
+  if (!heartRateMax || !heartRateRest || heartRateMax <= heartRateRest || heartrate.length !== time.length) {
+    return null;
+  }
+  const reserve = heartRateMax - heartRateRest;
+  let trimp = 0;
+  for (let i = 1; i < time.length; i += 1) {
+    const dt = time[i] - time[i - 1];
+    if (heartrate[i] != null && dt > 0) {
+      trimp += dt * trimpWeight(Math.min(Math.max((heartrate[i] - heartRateRest) / reserve, 0), 1));
+    }
+  }
+  const durationSeconds = time[time.length - 1] - time[0];
+  if (!(trimp > 0) || !(durationSeconds > 0)) {
+    return null;
+  }
+  const tss = (trimp / (3600 * trimpWeight(HR_THRESHOLD_RESERVE))) * 100;
+  return {
+    // the steady intensity that would give the same score over the same time
+    intensityFactor: Math.sqrt(tss / ((durationSeconds / 3600) * 100)),
+    tss,
+    threshold: Math.round(heartRateRest + HR_THRESHOLD_RESERVE * reserve),
+    thresholdSource: 'hr',
+  };
+}
+
+function dayIndex(date) {
+  return Math.floor(new Date(date).getTime() / DAY_MS);
+}
+
+export function describeForm(tsb) {
+  return FORM_BANDS.find((band) => tsb >= band.min).label;
+}
+
+// CTL/ATL/TSB as they stood at the start of the ride's day (UTC), from the daily TSS totals of earlier
+// days; the ride itself and anything later that day are not part of "going in". Returns null without
+// any earlier TSS, and flags the state as provisional while history is shorter than the CTL constant.
+export function computeLoadState(entries, rideDate, overrides = {}) {
+  const config = { ...LOAD_DEFAULTS, ...overrides };
+  const rideDay = dayIndex(rideDate);
+  const dailyTss = new Map();
+  entries.forEach((entry) => {
+    const day = dayIndex(entry.date);
+    if (entry.tss != null && day < rideDay && day >= rideDay - config.historyDays) {
+      dailyTss.set(day, (dailyTss.get(day) ?? 0) + Number(entry.tss));
+    }
+  });
+  if (dailyTss.size === 0) {
+    return null;
+  }
+
+  const firstDay = Math.min(...dailyTss.keys());
+  let ctl = 0;
+  let atl = 0;
+  for (let day = firstDay; day < rideDay; day += 1) {
+    const tss = dailyTss.get(day) ?? 0;
+    ctl += (tss - ctl) / config.chronicDays;
+    atl += (tss - atl) / config.acuteDays;
+  }
+  const tsb = ctl - atl;
+  return {
+    ctl,
+    atl,
+    tsb,
+    form: describeForm(tsb),
+    historyDays: rideDay - firstDay,
+    provisional: rideDay - firstDay < config.chronicDays,
+  };
+}
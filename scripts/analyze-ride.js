@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { analyzeStreams } from '../lib/activityProcessor.js';
+import { isValidProfileKey, listProfiles, DEFAULT_PROFILE } from '../lib/analysisProfiles/index.js';
+import { isSupportedRideFileFormat, parseRideFile } from '../lib/importers/index.js';
+import { SEGMENTATION_MODES } from '../lib/metrics.js';
+
+const USAGE = `Usage: node scripts/analyze-ride.js <streams.json | ride.fit | ride.tcx | ride.gpx> [options]
+
+Options:
+  -p, --profile <key>     Analysis profile to render (default: ${DEFAULT_PROFILE})
+  -o, --output <mode>     block | metrics | both (default: block)
+  -a, --activity <file>   Strava activity JSON used for ride context (sport, trainer, temperature)
+  -s, --segmentation <m>  elapsed | moving — split quartiles by elapsed or moving time (default: elapsed)
+      --ftp <watts>       Functional threshold power for Coggan power zones
+      --max-hr <bpm>      Max heart rate for HRR-based zones
+      --rest-hr <bpm>     Resting heart rate for HRR-based zones
+      --weight <kg>       Rider weight, used for per-kilogram metrics
+  -l, --list-profiles     List available analysis profiles
+  -h, --help              Show this message`;
+
+function toKeyByType(raw) {
+  // fetchStreams asks for key_by_type, but accept the plain array form Strava returns otherwise
+  if (Array.isArray(raw)) {
+    return Object.fromEntries(raw.filter((stream) => stream?.type).map((stream) => [stream.type, stream]));
+  }
+  if (raw?.streams) {
+    return toKeyByType(raw.streams);
+  }
+  return raw;
+}
+
+async function loadRide(filePath) {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  const buffer = await fs.readFile(filePath);
+
+  if (extension === 'json') {
+    const raw = JSON.parse(buffer.toString('utf8'));
+    const streams = toKeyByType(raw);
+    if (!streams?.time?.data) {
+      throw new Error('Streams JSON must contain a time stream (key_by_type format from fetchStreams).');
+    }
+    return { streams, activity: raw?.activity ?? {} };
+  }
+
+  if (!isSupportedRideFileFormat(extension)) {
+    throw new Error(`Unsupported file extension ".${extension}". Use .json, .fit, .tcx or .gpx.`);
+  }
+
+  const parsed = parseRideFile(buffer, { format: extension });
+  return { streams: parsed.streams, activity: parsed.activity };
+}
+
+function parseInteger(value, label) {
+  if (value == null) {
+    return undefined;
+  }
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed)) {
+    throw new Error(`${label} must be a number.`);
+  }
+  return parsed;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      profile: { type: 'string', short: 'p', default: DEFAULT_PROFILE },
+      output: { type: 'string', short: 'o', default: 'block' },
+      activity: { type: 'string', short: 'a' },
+      segmentation: { type: 'string', short: 's', default: 'elapsed' },
+      ftp: { type: 'string' },
+      'max-hr': { type: 'string' },
+      'rest-hr': { type: 'string' },
+      weight: { type: 'string' },
+      'list-profiles': { type: 'boolean', short: 'l' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (values['list-profiles']) {
+    listProfiles().forEach((profile) => console.log(`${profile.key}\t${profile.label} — ${profile.description}`));
+    return;
+  }
+
+  const [filePath] = positionals;
+  if (!filePath) {
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!isValidProfileKey(values.profile)) {
+    console.error(`Unknown analysis profile "${values.profile}". Run with --list-profiles to see options.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!['block', 'metrics', 'both'].includes(values.output)) {
+    console.error(`Unknown output mode "${values.output}". Use block, metrics or both.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (!SEGMENTATION_MODES.includes(values.segmentation)) {
+    console.error(`Unknown segmentation mode "${values.segmentation}". Use ${SEGMENTATION_MODES.join(' or ')}.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const ride = await loadRide(filePath);
+  const activity = values.activity ? JSON.parse(await fs.readFile(values.activity, 'utf8')) : ride.activity;
+  const heartRateMax = parseInteger(values['max-hr'], '--max-hr');
+  const heartRateRest = parseInteger(values['rest-hr'], '--rest-hr');
+  const ftp = parseInteger(values.ftp, '--ftp');
+  const weightKg = values.weight != null ? Number.parseFloat(values.weight) : null;
+  if (weightKg != null && !Number.isFinite(weightKg)) {
+    throw new Error('--weight must be a number.');
+  }
+
+  const analysis = await analyzeStreams({
+    streamsRaw: ride.streams,
+    activity,
+    analysisProfile: values.profile,
+    segmentation: values.segmentation,
+    settings: { maxHeartRate: heartRateMax, restingHeartRate: heartRateRest, ftp, weightKg },
+    context: { source: 'cli' },
+  });
+
+  if (analysis.error) {
+    console.error(`Unable to compute metrics: ${analysis.error}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (values.output === 'metrics' || values.output === 'both') {
+    console.log(JSON.stringify({ metrics: analysis.metrics, hrr: analysis.hrr, context: analysis.context }, null, 2));
+  }
+  if (values.output === 'block' || values.output === 'both') {
+    console.log(analysis.block);
+  }
+}
+
+main().catch((error) => {
+  console.error('Analysis failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { parseArgs } from 'node:util';
+
+import { closePool } from '../lib/db.js';
+import { getMigrationStatus, rollbackMigrations, runMigrations } from '../lib/migrate.js';
+
+const USAGE = `Usage: node scripts/migrate.js <up | down | status> [options]
+
+Commands:
+  up                 Apply pending migrations (default)
+  down               Roll back the most recently applied migrations
+  status             List migrations and whether each is applied
+
+Options:
+      --to <version>   up: stop after this version
+      --steps <n>      down: how many migrations to roll back (default: 1)
+  -h, --help           Show this message
+
+Each migration runs in its own transaction. A rollback that fails partway stops at the failing
+migration and leaves the ones before it rolled back; the initial schema cannot be rolled back.`;
+
+function parsePositiveInteger(value, label) {
+  if (value == null) {
+    return null;
+  }
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new Error(`${label} must be a positive whole number.`);
+  }
+  return parsed;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      to: { type: 'string' },
+      steps: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!process.env.DATABASE_URL) {
+    console.error('DATABASE_URL is not set.');
+    process.exitCode = 1;
+    return;
+  }
+
+  const [command = 'up'] = positionals;
+  if (command === 'up') {
+    const applied = await runMigrations({ target: parsePositiveInteger(values.to, '--to') });
+    console.log(applied.length > 0 ? `Applied ${applied.length} migration(s).` : 'Schema is up to date.');
+  } else if (command === 'down') {
+    const rolledBack = await rollbackMigrations({ steps: parsePositiveInteger(values.steps, '--steps') ?? 1 });
+    console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s).` : 'Nothing to roll back.');
+  } else if (command === 'status') {
+    const status = await getMigrationStatus();
+    status.forEach(({ version, name, status: state, appliedAt }) => {
+      const when = appliedAt ? `\t${new Date(appliedAt).toISOString()}` : '';
+      console.log(`${String(version).padStart(3, '0')}\t${state}\t${name}${when}`);
+    });
+  } else {
+    console.error(USAGE);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('Migration failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => closePool());
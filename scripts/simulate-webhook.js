@@ -5,7 +5,7 @@ import axios from 'axios';
 const port = Number.parseInt(process.env.PORT ?? '3000', 10);
 
 const payload = {
-  aspect_type: 'create',
+  aspect_type: process.argv[4] ?? 'create',
   object_type: 'activity',
   object_id: Number(process.argv[2] ?? 0) || 1234567890,
   owner_id: Number(process.argv[3] ?? 0) || 987654321,
@@ -4,13 +4,52 @@ import http from 'http';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import {
-  ensureSchema as ensureDbSchema,
-  deleteAthleteToken,
   updateAthleteAnalysisProfile,
   getAthleteAnalysisProfile,
+  getLatestAthleteBackfill,
+  getAthleteSegmentationMode,
+  updateAthleteSegmentationMode,
+  listAthleteSettings,
+  upsertAthleteSettings,
+  deleteAthleteSettings,
+  getAthletePowerModel,
+  getAthleteBaselineConfig,
+  updateAthleteBaselineConfig,
 } from './lib/db.js';
+import {
+  loadSettingsForActivity,
+  resolveSettingsAt,
+  toSettingsDate,
+  validateSettingsInput,
+} from './lib/athleteSettings.js';
+import { SEGMENTATION_MODES, resolveSegmentationMode } from './lib/metrics.js';
+import { resolveBaselineConfig, validateBaselineConfig } from './lib/baseline.js';
+import {
+  ROLLING_WINDOWS_DAYS,
+  loadActivityMetrics,
+  loadAthleteMetricsHistory,
+  validateHistoryQuery,
+} from './lib/metricsHistory.js';
 import { initializeQueue, enqueueActivity, startQueueMonitor } from './lib/queue.js';
-import { processActivity } from './lib/activityProcessor.js';
+import { runMigrations } from './lib/migrate.js';
+import {
+  analyzeStreams,
+  loadBaselineHistory,
+  loadTrainingLoadHistory,
+  processActivity,
+  purgeActivity,
+  purgeAthlete,
+  storeActivityMetrics,
+} from './lib/activityProcessor.js';
+import { isSupportedRideFileFormat, parseRideFile } from './lib/importers/index.js';
+import {
+  BACKFILL_ACTIVITY_JOB,
+  BACKFILL_JOB,
+  backfillActivity,
+  resolveBackfillDays,
+  runBackfill,
+  startBackfill,
+} from './lib/backfill.js';
 import {
   buildAuthorizationUrl,
   exchangeOAuthToken,
@@ -67,9 +106,6 @@ if (!dbConfigured) {
   console.warn('⚠️ DATABASE_URL not set. Database-backed durability features disabled.');
 }
 
-initializeQueue(processActivity);
-startQueueMonitor();
-
 // ===============================
 // Routes
 // ===============================
@@ -132,7 +168,24 @@ app.get('/oauth/callback', async (req, res) => {
     try {
       const stored = await upsertAthleteTokenFromOAuth(oauthData, { analysisProfile: selectedProfile });
       console.log(`💾 Stored tokens for athlete ${oauthData.athleteId} with profile ${stored.analysisProfile}`);
-      res.json({ message: 'OAuth success', athlete: stored.athlete, analysisProfile: stored.analysisProfile });
+
+      let backfill = null;
+      const backfillRaw = Array.isArray(req.query.backfill) ? req.query.backfill[0] : req.query.backfill;
+      const backfillDays = resolveBackfillDays(backfillRaw ?? process.env.BACKFILL_ON_CONNECT);
+      if (backfillDays) {
+        try {
+          ({ backfill } = await startBackfill({ athleteId: oauthData.athleteId, days: backfillDays }));
+        } catch (backfillError) {
+          console.error('❌ Failed to queue historical backfill:', backfillError);
+        }
+      }
+
+      res.json({
+        message: 'OAuth success',
+        athlete: stored.athlete,
+        analysisProfile: stored.analysisProfile,
+        backfill,
+      });
     } catch (dbError) {
       console.error('❌ Failed to persist OAuth tokens:', dbError);
       res.status(500).json({ error: 'Failed to persist tokens. Please try again later.' });
@@ -204,6 +257,475 @@ app.post('/api/athletes/:athleteId/analysis-profile', async (req, res) => {
   }
 });
 
+app.get('/api/athletes/:athleteId/settings', async (req, res) => {
+  if (!dbConfigured) {
+    res.status(503).json({ error: 'Database not configured' });
+    return;
+  }
+
+  const athleteId = Number.parseInt(req.params.athleteId, 10);
+  if (!Number.isFinite(athleteId)) {
+    res.status(400).json({ error: 'Invalid athlete ID' });
+    return;
+  }
+
+  const date = toSettingsDate(req.query.date);
+  if (!date) {
+    res.status(400).json({ error: 'date must be a YYYY-MM-DD date' });
+    return;
+  }
+
+  try {
+    const history = await listAthleteSettings(athleteId);
+    res.json({ athleteId, effective: resolveSettingsAt(history, date), history });
+  } catch (err) {
+    console.error('❌ Failed to fetch athlete settings', err);
+    res.status(500).json({ error: 'Unable to load athlete settings' });
+  }
+});
+
+app.post('/api/athletes/:athleteId/settings', async (req, res) => {
+  if (!dbConfigured) {
+    res.status(503).json({ error: 'Database not configured' });
+    return;
+  }
+
+  const athleteId = Number.parseInt(req.params.athleteId, 10);
+  if (!Number.isFinite(athleteId)) {
+    res.status(400).json({ error: 'Invalid athlete ID' });
+    return;
+  }
+
+  const { settings, errors } = validateSettingsInput(req.body);
+  if (errors.length > 0) {
+    res.status(400).json({ error: errors.join('; ') });
+    return;
+  }
+
+  try {
+    const saved = await upsertAthleteSettings({ athleteId, ...settings });
+    res.json({ athleteId, settings: saved });
+  } catch (err) {
+    console.error('❌ Failed to update athlete settings', err);
+    res.status(500).json({ error: 'Unable to update athlete settings' });
+  }
+});
+
+app.delete('/api/athletes/:athleteId/settings/:effectiveFrom', async (req, res) => {
+  if (!dbConfigured) {
+    res.status(503).json({ error: 'Database not configured' });
+    return;
+  }
+
+  const athleteId = Number.parseInt(req.params.athleteId, 10);
+  if (!Number.isFinite(athleteId)) {
+    res.status(400).json({ error: 'Invalid athlete ID' });
+    return;
+  }
+
+  const effectiveFrom = toSettingsDate(req.params.effectiveFrom);
+  if (!effectiveFrom || effectiveFrom !== req.params.effectiveFrom) {
+    res.status(400).json({ error: 'effectiveFrom must be a YYYY-MM-DD date' });
+    return;
+  }
+
+  try {
+    const deleted = await deleteAthleteSettings({ athleteId, effectiveFrom });
+    if (!deleted) {
+      res.status(404).json({ error: 'No settings entry for that date' });
+      return;
+    }
+    res.status(204).end();
+  } catch (err) {
+    console.error('❌ Failed to delete athlete settings', err);
+    res.status(500).json({ error: 'Unable to delete athlete settings' });
+  }
+});
+
+app.get('/api/athletes/:athleteId/power-model', async (req, res) => {
+  if (!dbConfigured) {
+    res.status(503).json({ error: 'Database not configured' });
+    return;
+  }
+
+  const athleteId = Number.parseInt(req.params.athleteId, 10);
+  if (!Number.isFinite(athleteId)) {
+    res.status(400).json({ error: 'Invalid athlete ID' });
+    return;
+  }
+
+  try {
+    const model = await getAthletePowerModel(athleteId);
+    if (!model) {
+      res.status(404).json({ error: 'No critical power model fitted yet' });
+      return;
+    }
+    res.json({ athleteId, model });
+  } catch (err) {
+    console.error('❌ Failed to fetch athlete power model', err);
+    res.status(500).json({ error: 'Unable to load power model' });
+  }
+});
+
+app.get('/api/athletes/:athleteId/metrics', async (req, res) => {
+  if (!dbConfigured) {
+    res.status(503).json({ error: 'Database not configured' });
+    return;
+  }
+
+  const athleteId = Number.parseInt(req.params.athleteId, 10);
+  if (!Number.isFinite(athleteId)) {
+    res.status(400).json({ error: 'Invalid athlete ID' });
+    return;
+  }
+
+  const { filters, limit, cursor, errors } = validateHistoryQuery(req.query);
+  if (errors.length > 0) {
+    res.status(400).json({ error: errors.join('; ') });
+    return;
+  }
+
+  try {
+    const { items, nextCursor } = await loadAthleteMetricsHistory(athleteId, { filters, limit, cursor });
+    res.json({ athleteId, filters, rollingWindowsDays: ROLLING_WINDOWS_DAYS, items, nextCursor });
+  } catch (err) {
+    console.error('❌ Failed to fetch athlete metrics history', err);
+    res.status(500).json({ error: 'Unable to load metrics history' });
+  }
+});
+
+app.get('/api/athletes/:athleteId/metrics/:activityId', async (req, res) => {
+  if (!dbConfigured) {
+    res.status(503).json({ error: 'Database not configured' });
+    return;
+  }
+
+  const athleteId = Number.parseInt(req.params.athleteId, 10);
+  if (!Number.isFinite(athleteId)) {
+    res.status(400).json({ error: 'Invalid athlete ID' });
+    return;
+  }
+
+  const activityId = Number.parseInt(req.params.activityId, 10);
+  if (!Number.isFinite(activityId)) {
+    res.status(400).json({ error: 'Invalid activity ID' });
+    return;
+  }
+
+  try {
+    const activity = await loadActivityMetrics(athleteId, activityId);
+    if (!activity) {
+      res.status(404).json({ error: 'No metrics stored for that activity' });
+      return;
+    }
+    res.json({ athleteId, activity });
+  } catch (err) {
+    console.error('❌ Failed to fetch activity metrics', err);
+    res.status(500).json({ error: 'Unable to load activity metrics' });
+  }
+});
+
+app.get('/api/athletes/:athleteId/segmentation-mode', async (req, res) => {
+  if (!dbConfigured) {
+    res.status(503).json({ error: 'Database not configured' });
+    return;
+  }
+
+  const athleteId = Number.parseInt(req.params.athleteId, 10);
+  if (!Number.isFinite(athleteId)) {
+    res.status(400).json({ error: 'Invalid athlete ID' });
+    return;
+  }
+
+  try {
+    const mode = await getAthleteSegmentationMode(athleteId);
+    res.json({ athleteId, segmentationMode: resolveSegmentationMode(mode), modes: SEGMENTATION_MODES });
+  } catch (err) {
+    console.error('❌ Failed to fetch athlete segmentation mode', err);
+    res.status(500).json({ error: 'Unable to load segmentation mode' });
+  }
+});
+
+app.post('/api/athletes/:athleteId/segmentation-mode', async (req, res) => {
+  if (!dbConfigured) {
+    res.status(503).json({ error: 'Database not configured' });
+    return;
+  }
+
+  const athleteId = Number.parseInt(req.params.athleteId, 10);
+  if (!Number.isFinite(athleteId)) {
+    res.status(400).json({ error: 'Invalid athlete ID' });
+    return;
+  }
+
+  const requestedMode = String(req.body?.segmentationMode ?? '').trim().toLowerCase();
+  if (!SEGMENTATION_MODES.includes(requestedMode)) {
+    res.status(400).json({ error: `segmentationMode must be one of: ${SEGMENTATION_MODES.join(', ')}` });
+    return;
+  }
+
+  try {
+    await updateAthleteSegmentationMode({ athleteId, segmentationMode: requestedMode });
+    res.json({ athleteId, segmentationMode: requestedMode });
+  } catch (err) {
+    console.error('❌ Failed to update athlete segmentation mode', err);
+    res.status(500).json({ error: 'Unable to update segmentation mode' });
+  }
+});
+
+app.get('/api/athletes/:athleteId/baseline-config', async (req, res) => {
+  if (!dbConfigured) {
+    res.status(503).json({ error: 'Database not configured' });
+    return;
+  }
+
+  const athleteId = Number.parseInt(req.params.athleteId, 10);
+  if (!Number.isFinite(athleteId)) {
+    res.status(400).json({ error: 'Invalid athlete ID' });
+    return;
+  }
+
+  try {
+    const overrides = await getAthleteBaselineConfig(athleteId);
+    res.json({ athleteId, baselineConfig: resolveBaselineConfig(overrides), overrides: overrides ?? {} });
+  } catch (err) {
+    console.error('❌ Failed to fetch athlete baseline config', err);
+    res.status(500).json({ error: 'Unable to load baseline config' });
+  }
+});
+
+// Replaces the stored overrides; an empty body restores the defaults.
+app.post('/api/athletes/:athleteId/baseline-config', async (req, res) => {
+  if (!dbConfigured) {
+    res.status(503).json({ error: 'Database not configured' });
+    return;
+  }
+
+  const athleteId = Number.parseInt(req.params.athleteId, 10);
+  if (!Number.isFinite(athleteId)) {
+    res.status(400).json({ error: 'Invalid athlete ID' });
+    return;
+  }
+
+  const { overrides, errors } = validateBaselineConfig(req.body);
+  if (errors.length > 0) {
+    res.status(400).json({ error: errors.join('; ') });
+    return;
+  }
+
+  try {
+    const stored = Object.keys(overrides).length > 0 ? overrides : null;
+    await updateAthleteBaselineConfig({ athleteId, baselineConfig: stored });
+    res.json({ athleteId, baselineConfig: resolveBaselineConfig(stored), overrides });
+  } catch (err) {
+    console.error('❌ Failed to update athlete baseline config', err);
+    res.status(500).json({ error: 'Unable to update baseline config' });
+  }
+});
+
+app.get('/api/athletes/:athleteId/backfill', async (req, res) => {
+  if (!dbConfigured) {
+    res.status(503).json({ error: 'Database not configured' });
+    return;
+  }
+
+  const athleteId = Number.parseInt(req.params.athleteId, 10);
+  if (!Number.isFinite(athleteId)) {
+    res.status(400).json({ error: 'Invalid athlete ID' });
+    return;
+  }
+
+  try {
+    const backfill = await getLatestAthleteBackfill(athleteId);
+    if (!backfill) {
+      res.status(404).json({ error: 'No backfill found for athlete' });
+      return;
+    }
+    res.json({ athleteId, backfill });
+  } catch (err) {
+    console.error('❌ Failed to fetch backfill status', err);
+    res.status(500).json({ error: 'Unable to load backfill status' });
+  }
+});
+
+app.post('/api/athletes/:athleteId/backfill', async (req, res) => {
+  if (!dbConfigured) {
+    res.status(503).json({ error: 'Database not configured' });
+    return;
+  }
+
+  const athleteId = Number.parseInt(req.params.athleteId, 10);
+  if (!Number.isFinite(athleteId)) {
+    res.status(400).json({ error: 'Invalid athlete ID' });
+    return;
+  }
+
+  const days = resolveBackfillDays(req.body?.days ?? true);
+  if (!days) {
+    res.status(400).json({ error: 'days must be a positive number' });
+    return;
+  }
+
+  try {
+    const { backfill, started } = await startBackfill({ athleteId, days });
+    res.status(started ? 202 : 409).json({
+      athleteId,
+      backfill,
+      ...(started ? {} : { error: 'A backfill is already running for this athlete' }),
+    });
+  } catch (err) {
+    console.error('❌ Failed to start backfill', err);
+    res.status(500).json({ error: 'Unable to start backfill' });
+  }
+});
+
+const rideFileUpload = express.raw({
+  type: [
+    'application/octet-stream',
+    'application/vnd.ant.fit',
+    'application/xml',
+    'text/xml',
+    'application/gpx+xml',
+    'application/vnd.garmin.tcx+xml',
+  ],
+  limit: process.env.UPLOAD_LIMIT ?? '25mb',
+});
+
+app.post('/api/uploads/:format', rideFileUpload, async (req, res) => {
+  const format = String(req.params.format).toLowerCase();
+  if (!isSupportedRideFileFormat(format)) {
+    res.status(400).json({ error: 'Unsupported ride file format. Use fit, tcx or gpx.' });
+    return;
+  }
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    res.status(400).json({ error: `Request body must be the raw .${format} file` });
+    return;
+  }
+
+  const athleteIdRaw = req.query.athleteId;
+  const athleteId = athleteIdRaw != null ? Number.parseInt(athleteIdRaw, 10) : null;
+  if (athleteIdRaw != null && !Number.isFinite(athleteId)) {
+    res.status(400).json({ error: 'Invalid athlete ID' });
+    return;
+  }
+  if (athleteId != null && !dbConfigured) {
+    res.status(503).json({ error: 'Database not configured' });
+    return;
+  }
+
+  const activityIdRaw = req.query.activityId;
+  const explicitActivityId = activityIdRaw != null ? Number.parseInt(activityIdRaw, 10) : null;
+  if (activityIdRaw != null && !Number.isFinite(explicitActivityId)) {
+    res.status(400).json({ error: 'Invalid activity ID' });
+    return;
+  }
+
+  // repeated query keys arrive as arrays; only a single string is accepted
+  const { profile, segmentation, ftp } = req.query;
+  const normalizedProfile = typeof profile === 'string' ? profile.trim().toLowerCase() : null;
+  const knownProfile =
+    normalizedProfile != null &&
+    (isValidProfileKey(normalizedProfile) ||
+      listProfiles().some((entry) => entry.label.toLowerCase() === normalizedProfile));
+  if (profile != null && !knownProfile) {
+    res.status(400).json({ error: 'Unknown analysis profile' });
+    return;
+  }
+  const segmentationMode = typeof segmentation === 'string' ? segmentation.trim().toLowerCase() : null;
+  if (segmentation != null && !SEGMENTATION_MODES.includes(segmentationMode)) {
+    res.status(400).json({ error: `segmentation must be one of: ${SEGMENTATION_MODES.join(', ')}` });
+    return;
+  }
+  const ftpOverride = typeof ftp === 'string' && /^\d+$/.test(ftp.trim()) ? Number(ftp) : null;
+  if (ftp != null && !(ftpOverride > 0)) {
+    res.status(400).json({ error: 'ftp must be a positive whole number of watts' });
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = parseRideFile(req.body, { format });
+  } catch (err) {
+    console.warn(`⚠️ Unable to decode uploaded ${format.toUpperCase()} file:`, err.message);
+    res.status(400).json({ error: `Unable to decode ${format.toUpperCase()} file: ${err.message}` });
+    return;
+  }
+
+  // stored rides are keyed and ordered by start time, so a file without one can only be analyzed
+  const startSeconds = Math.floor(Date.parse(parsed.activity.start_date) / 1000);
+  if (athleteId != null && !Number.isFinite(startSeconds)) {
+    res.status(422).json({
+      error: `The ${format.toUpperCase()} file has no start time, so it cannot be saved for an athlete`,
+    });
+    return;
+  }
+
+  try {
+    const storedProfile = athleteId != null ? await getAthleteAnalysisProfile(athleteId) : null;
+    const analysisProfile = resolveProfileKey(normalizedProfile ?? storedProfile ?? DEFAULT_PROFILE);
+    const baselineConfig = athleteId != null ? await getAthleteBaselineConfig(athleteId) : null;
+    const history = athleteId != null ? await loadBaselineHistory(athleteId, baselineConfig) : [];
+    const storedSegmentation = athleteId != null ? await getAthleteSegmentationMode(athleteId) : null;
+    const storedSettings = await loadSettingsForActivity(athleteId, parsed.activity);
+    const settings = ftpOverride != null ? { ...storedSettings, ftp: ftpOverride } : storedSettings;
+    const storedPowerModel = athleteId != null ? await getAthletePowerModel(athleteId) : null;
+    const loadHistory = athleteId != null ? await loadTrainingLoadHistory(athleteId, parsed.activity.start_date) : [];
+
+    const analysis = await analyzeStreams({
+      streamsRaw: parsed.streams,
+      activity: parsed.activity,
+      analysisProfile,
+      history,
+      athleteId,
+      segmentation: segmentationMode ?? storedSegmentation,
+      settings,
+      storedPowerModel,
+      baselineConfig,
+      loadHistory,
+      context: { source: `${format}_upload` },
+    });
+    if (analysis.error) {
+      res.status(422).json({ error: analysis.error });
+      return;
+    }
+
+    // Uploaded rides have no Strava ID; key them by negative start time so re-uploads overwrite
+    // the same row and never collide with a real Strava activity.
+    const activityId = explicitActivityId ?? (Number.isFinite(startSeconds) ? -startSeconds : null);
+
+    let saved = false;
+    if (athleteId != null) {
+      await storeActivityMetrics({
+        athleteId,
+        activityId,
+        activityDate: parsed.activity.start_date,
+        metrics: analysis.metrics,
+        context: analysis.context,
+        trainingLoad: analysis.trainingLoad,
+      });
+      saved = true;
+    }
+
+    res.json({
+      athleteId,
+      activityId,
+      saved,
+      analysisProfile: analysis.profileKey,
+      activity: parsed.activity,
+      metrics: analysis.metrics,
+      baseline: analysis.baseline,
+      hrr: analysis.hrr,
+      context: analysis.context,
+      trainingLoad: analysis.trainingLoad,
+      block: analysis.block,
+    });
+  } catch (err) {
+    console.error(`❌ ${format.toUpperCase()} upload analysis failed`, err);
+    res.status(500).json({ error: 'Unable to analyze uploaded ride' });
+  }
+});
+
 app.get('/webhook', (req, res) => {
   console.log('🌐 /webhook GET verification hit', req.query);
   const { 'hub.mode': mode, 'hub.verify_token': token, 'hub.challenge': challenge } = req.query;
@@ -230,16 +752,36 @@ app.post('/webhook', async (req, res) => {
         return;
       }
 
-      await enqueueActivity({ athleteId: event.owner_id, activityId: event.object_id });
+      await enqueueActivity({
+        athleteId: event.owner_id,
+        activityId: event.object_id,
+        aspectType: event.aspect_type,
+        updates: event.updates ?? null,
+      });
       console.log(`📬 Activity ${event.object_id} for athlete ${event.owner_id} enqueued for durability analysis.`);
     }
 
+    if (event.object_type === 'activity' && event.aspect_type === 'delete') {
+      if (!dbConfigured) {
+        return;
+      }
+      const { metricsDeleted, chartsDeleted } = await purgeActivity({
+        athleteId: event.owner_id,
+        activityId: event.object_id,
+      });
+      console.log(
+        `🗑️ Purged activity ${event.object_id} for athlete ${event.owner_id} (${metricsDeleted} metric rows, ${chartsDeleted} charts).`,
+      );
+    }
+
     if (event.object_type === 'athlete' && event.aspect_type === 'update' && event.updates?.authorized === 'false') {
       if (!dbConfigured) {
         return;
       }
-      await deleteAthleteToken(event.owner_id);
-      console.log(`🧹 Revoked tokens for athlete ${event.owner_id} after deauthorization.`);
+      const { metricsDeleted, chartsDeleted } = await purgeAthlete(event.owner_id);
+      console.log(
+        `🧹 Revoked tokens and purged ${metricsDeleted} metric rows and ${chartsDeleted} charts for athlete ${event.owner_id} after deauthorization.`,
+      );
     }
   } catch (err) {
     console.error('❌ Error processing webhook event:', err);
@@ -253,6 +795,19 @@ app.post('/webhook', async (req, res) => {
 async function start() {
   console.log('🚦 Starting DurableRider...');
 
+  // schema first: queue workers and routes may touch anything a pending migration creates
+  if (dbConfigured) {
+    const applied = await runMigrations();
+    console.log(`🗄️ Database schema ready (${applied.length} migration(s) applied)`);
+  }
+
+  initializeQueue({
+    activity: processActivity,
+    [BACKFILL_JOB]: runBackfill,
+    [BACKFILL_ACTIVITY_JOB]: backfillActivity,
+  });
+  startQueueMonitor();
+
   const server = http.createServer(app);
   server.on('error', (err) => console.error('💥 HTTP server error:', err));
   server.on('connection', (socket) => {
@@ -263,12 +818,10 @@ async function start() {
   server.listen(port, '0.0.0.0', () => {
     console.log(`🚀 Server live at http://127.0.0.1:${port}`);
   });
-
-  // Run DB schema creation async (non-blocking)
-  if (dbConfigured) {
-    ensureDbSchema().catch((err) => console.error('❌ Schema init failed:', err));
-  }
 }
 
-start();
+start().catch((err) => {
+  console.error('💥 Startup failed:', err);
+  process.exit(1);
+});
 export { app };
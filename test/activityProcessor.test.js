@@ -0,0 +1,104 @@
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+import axios from 'axios';
+import pg from 'pg';
+import { encrypt } from '../lib/encryption.js';
+
+process.env.TOKEN_ENCRYPTION_KEY = 'test-key-for-activity-processor';
+process.env.STRAVA_CLIENT_ID = 'client';
+process.env.STRAVA_CLIENT_SECRET = 'secret';
+
+const ACTIVITY = {
+  id: 42,
+  sport_type: 'Ride',
+  type: 'Ride',
+  start_date: '2024-05-01T07:00:00Z',
+  elapsed_time: 7200,
+  moving_time: 7000,
+  distance: 60000,
+  device_watts: true,
+  average_watts: 210,
+  has_heartrate: true,
+  average_heartrate: 140,
+  name: 'Morning ride',
+  description: 'Legs felt good',
+};
+
+// Strava and Postgres stand-ins: the cached row and the activity Strava returns are set per test,
+// and every request and statement is recorded.
+const state = { cached: null, activity: ACTIVITY, requests: [], statements: [] };
+
+pg.Pool.prototype.query = async (sql, params = []) => {
+  state.statements.push(sql);
+  if (sql.includes('FROM activity_cache')) {
+    return { rows: state.cached ? [state.cached] : [], rowCount: state.cached ? 1 : 0 };
+  }
+  if (sql.includes('FROM athlete_tokens')) {
+    const row = {
+      athlete_id: params[0],
+      access_token: encrypt('access'),
+      refresh_token: encrypt('refresh'),
+      expires_at: new Date(Date.now() + 3600 * 1000),
+    };
+    return { rows: [row], rowCount: 1 };
+  }
+  return { rows: [], rowCount: 0 };
+};
+axios.defaults.adapter = async (config) => {
+  state.requests.push(`${config.method.toUpperCase()} ${config.url.replace('https://www.strava.com/api/v3', '')}`);
+  const data = config.url.endsWith('/streams') ? [] : state.activity;
+  return { data, status: 200, statusText: 'OK', headers: {}, config };
+};
+process.env.DATABASE_URL = 'postgres://processor@127.0.0.1:1/test';
+const { computeSourceHash, processActivity } = await import('../lib/activityProcessor.js');
+
+beforeEach(() => {
+  state.cached = null;
+  state.activity = ACTIVITY;
+  state.requests = [];
+  state.statements = [];
+});
+
+function marked() {
+  return state.statements.some((sql) => sql.includes('INSERT INTO activity_cache'));
+}
+
+test('the source hash ignores the description and other edits that do not change the analysis', () => {
+  const hash = computeSourceHash(ACTIVITY);
+
+  assert.equal(computeSourceHash({ ...ACTIVITY, description: 'Legs felt good\n\nDurability 81/100' }), hash);
+  assert.equal(computeSourceHash({ ...ACTIVITY, name: 'Renamed', private: true }), hash);
+
+  assert.notEqual(computeSourceHash({ ...ACTIVITY, elapsed_time: 5400 }), hash);
+  assert.notEqual(computeSourceHash({ ...ACTIVITY, sport_type: 'GravelRide' }), hash);
+  assert.notEqual(computeSourceHash({ ...ACTIVITY, device_watts: false }), hash);
+  assert.notEqual(computeSourceHash({ ...ACTIVITY, average_heartrate: 141 }), hash);
+});
+
+test('an update echoing our own description write stops after the activity fetch', async () => {
+  state.cached = { processed_at: new Date(), source_hash: computeSourceHash(ACTIVITY) };
+  state.activity = { ...ACTIVITY, description: `${ACTIVITY.description}\n\nDurability 81/100` };
+
+  await processActivity({ athleteId: 7, activityId: 42, aspectType: 'update', updates: {} });
+
+  assert.deepEqual(state.requests, ['GET /activities/42']);
+  assert.equal(marked(), false);
+});
+
+test('title-only updates and repeated creates are skipped before calling Strava', async () => {
+  state.cached = { processed_at: new Date(), source_hash: computeSourceHash(ACTIVITY) };
+
+  await processActivity({ athleteId: 7, activityId: 42, aspectType: 'update', updates: { title: 'Renamed' } });
+  await processActivity({ athleteId: 7, activityId: 42, aspectType: 'create' });
+
+  assert.deepEqual(state.requests, []);
+});
+
+test('an update that changes the source is analysed again', async () => {
+  state.cached = { processed_at: new Date(), source_hash: computeSourceHash(ACTIVITY) };
+  state.activity = { ...ACTIVITY, elapsed_time: 5400 };
+
+  await processActivity({ athleteId: 7, activityId: 42, aspectType: 'update', updates: {} });
+
+  assert.deepEqual(state.requests.slice(0, 2), ['GET /activities/42', 'GET /activities/42/streams']);
+});
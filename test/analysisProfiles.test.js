@@ -0,0 +1,84 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { formatBaselineComparison, formatNumber } from '../lib/analysisProfiles/format.js';
+import { getRenderer } from '../lib/analysisProfiles/index.js';
+
+test('HR-only rides get the durable summary whatever profile the athlete picked', () => {
+  ['durable', 'running', 'cola_calories'].forEach((profile) => {
+    assert.equal(getRenderer(profile, 'cycling_hr').key, 'durable');
+  });
+});
+
+test('each mode falls back to its own default when the profile cannot render it', () => {
+  assert.equal(getRenderer('running', 'cycling').key, 'durable');
+  assert.equal(getRenderer('durable', 'running').key, 'running');
+  assert.equal(getRenderer('cola_calories', 'running').key, 'cola_calories');
+});
+
+test('an HR-only ride rendered for a running-profile athlete is a ride summary', async () => {
+  const renderer = getRenderer('running', 'cycling_hr');
+  const block = await renderer.render({
+    metrics: { mode: 'cycling_hr', speedHrDrift: -3.4, speedHr: { flatOnly: true }, hrCreep: 6, z2Early: 40, z2Late: 30 },
+    cadenceSummary: 'n/a',
+    context: {},
+  });
+
+  assert.match(block, /Durability snapshot \(HR only/);
+  assert.doesNotMatch(block, /Running durability/);
+});
+
+test('ride and run summaries print a below-baseline value with its sign', async () => {
+  const baseline = { pwHrDrift: 2, hrCreep: 5, ranks: {} };
+  const ride = await getRenderer('durable', 'cycling_hr').render({
+    metrics: { mode: 'cycling_hr', speedHrDrift: 0.5, speedHr: { flatOnly: true }, hrCreep: 3 },
+    baseline,
+    cadenceSummary: 'n/a',
+    context: {},
+  });
+  const run = await getRenderer('running', 'running').render({
+    metrics: { mode: 'running', paceHrDrift: 0.5, paceFade: 1, hrCreep: 3 },
+    baseline,
+    context: {},
+  });
+
+  [ride, run].forEach((block) => {
+    assert.match(block, /0\.5% \(-1\.5% vs baseline\)/);
+    assert.match(block, /3\.0 bpm \(-2\.0 bpm vs baseline\)/);
+  });
+});
+
+test('values that round to zero print without a minus sign', () => {
+  assert.equal(formatNumber(-0.3, { suffix: ' W', digits: 0 }), '0 W');
+  assert.equal(formatNumber(-0.04), '0.0');
+  assert.equal(formatNumber(-0.6, { digits: 0 }), '-1');
+  assert.equal(formatBaselineComparison(-0.2, 0.1, { suffix: ' W', digits: 0 }), '0 W (+0 W vs baseline)');
+  assert.equal(formatBaselineComparison(-2, 1, { suffix: ' W', digits: 0 }), '-2 W (-3 W vs baseline)');
+});
+
+test('terrain-matched lines are only printed under a header when there is something to compare', async () => {
+  const render = (terrain) =>
+    getRenderer('durable', 'cycling').render({
+      metrics: { mode: 'cycling', terrain, power150Delta: -0.3, powerAtHr: { anchorHr: 138 } },
+      cadenceSummary: 'n/a',
+      context: {},
+    });
+  const shares = { climbing: 30, flat: 50, descending: 20 };
+
+  const nothingComparable = await render({
+    shares,
+    byClass: { flat: null },
+    climbsByGradient: [],
+    durabilityScore: null,
+  });
+  assert.doesNotMatch(nothingComparable, /Terrain-matched/);
+  assert.match(nothingComparable, /Power @138 bpm delta: 0 W/);
+
+  const climbsOnly = await render({
+    shares,
+    byClass: { flat: null },
+    climbsByGradient: [{ minGrade: 4, maxGrade: 7, powerFade: 3.2, pwHrDrift: 2.1 }],
+    durabilityScore: 74.6,
+  });
+  assert.match(climbsOnly, /Terrain-matched \(climb 30% \| flat 50% \| descent 20%\):\n• Climbs 4–7%: fade 3\.2%/);
+  assert.match(climbsOnly, /Terrain-normalized durability: 75\/100/);
+});
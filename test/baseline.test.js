@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { computeDurabilityBaseline } from '../lib/baseline.js';
+
+// A long, steady outdoor road ride.
+const CONTEXT = {
+  indoor: false,
+  sportType: 'Ride',
+  durationSeconds: 4 * 3600,
+  hrrIntensity: 60,
+  analysisMode: 'cycling',
+};
+
+function ride(overrides = {}, drift = 3) {
+  return { pw_hr_drift: drift, context: { ...CONTEXT, ...overrides } };
+}
+
+function repeat(count, overrides) {
+  return Array.from({ length: count }, () => ride(overrides));
+}
+
+test('a full match keeps every rule', () => {
+  const baseline = computeDurabilityBaseline([...repeat(5), ...repeat(5, { indoor: true })], { context: CONTEXT });
+
+  assert.deepEqual(baseline.match.matchedOn, ['indoor', 'sportType', 'duration', 'intensity']);
+  assert.equal(baseline.match.label, 'long outdoor rides');
+  assert.equal(baseline.sampleSize, 5);
+});
+
+test('rules are relaxed one at a time, intensity first and indoor last', () => {
+  const exact = repeat(2);
+  const otherIntensity = repeat(2, { hrrIntensity: 80 });
+  const shorter = repeat(2, { durationSeconds: 2 * 3600 });
+  const gravel = repeat(2, { sportType: 'GravelRide' });
+  const indoor = repeat(5, { indoor: true });
+
+  // three rides at this intensity; dropping intensity brings in the two harder ones
+  const widened = computeDurabilityBaseline([...exact, ...otherIntensity, ...repeat(1)], { context: CONTEXT });
+  assert.deepEqual(widened.match.matchedOn, ['indoor', 'sportType', 'duration']);
+  assert.equal(widened.sampleSize, 5);
+
+  const noDuration = computeDurabilityBaseline([...exact, ...otherIntensity, ...shorter, ...indoor], {
+    context: CONTEXT,
+  });
+  assert.deepEqual(noDuration.match.matchedOn, ['indoor', 'sportType']);
+  assert.equal(noDuration.match.label, 'outdoor rides');
+  assert.equal(noDuration.sampleSize, 6);
+
+  const outdoorOnly = computeDurabilityBaseline([...exact, ...shorter, ...gravel, ...indoor], { context: CONTEXT });
+  assert.deepEqual(outdoorOnly.match.matchedOn, ['indoor']);
+  assert.equal(outdoorOnly.sampleSize, 6);
+
+  // nothing narrower reaches five rides, so every ride in the window counts
+  const all = computeDurabilityBaseline([...exact, ...gravel, ...repeat(1, { indoor: true })], { context: CONTEXT });
+  assert.deepEqual(all.match.matchedOn, []);
+  assert.equal(all.match.label, 'rides');
+  assert.equal(all.sampleSize, 5);
+});
+
+test('rules the ride has no context for are never applied', () => {
+  const baseline = computeDurabilityBaseline(repeat(5, { hrrIntensity: 20 }), {
+    context: { ...CONTEXT, hrrIntensity: null },
+    config: { matchDuration: false },
+  });
+  assert.deepEqual(baseline.match.matchedOn, ['indoor', 'sportType']);
+});
+
+test('baselines report the median, percentile bands and the ride’s own rank', () => {
+  const history = Array.from({ length: 10 }, (_, index) => ride({}, index + 1));
+  const baseline = computeDurabilityBaseline(history, { context: CONTEXT, current: { pwHrDrift: 8 } });
+
+  assert.equal(baseline.pwHrDrift, 5.5);
+  assert.deepEqual(baseline.bands.pwHrDrift, { p10: 1.9, p25: 3.25, p50: 5.5, p75: 7.75, p90: 9.1 });
+  // 7 rides below and one tie, counted half
+  assert.equal(baseline.ranks.pwHrDrift, 75);
+
+  const middle = computeDurabilityBaseline(history, { context: CONTEXT, current: { pwHrDrift: 5.5 } });
+  assert.equal(middle.ranks.pwHrDrift, 50);
+});
+
+test('too few values give a median but no bands or rank', () => {
+  const history = [...repeat(3), ...Array.from({ length: 3 }, () => ({ context: CONTEXT }))];
+  const baseline = computeDurabilityBaseline(history, { context: CONTEXT, current: { pwHrDrift: 4 } });
+
+  assert.equal(baseline.pwHrDrift, 3);
+  assert.equal(baseline.bands.pwHrDrift, undefined);
+  assert.equal(baseline.ranks.pwHrDrift, undefined);
+  assert.equal(computeDurabilityBaseline([], { context: CONTEXT }), null);
+});
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { computeConfidenceIntervals, evaluateDataGuards } from '../lib/confidence.js';
+
+function noisyRide(seconds) {
+  const time = [];
+  const watts = [];
+  const heartrate = [];
+  for (let i = 0; i < seconds; i += 1) {
+    time.push(i);
+    watts.push(200 + 15 * Math.sin(i / 37) + 10 * Math.cos(i / 5));
+    heartrate.push(130 + (i / seconds) * 25 + 3 * Math.sin(i / 90));
+  }
+  const quarter = Math.floor(seconds / 4);
+  const half = Math.floor(seconds / 2);
+  const segments = {
+    firstHalf: [0, half - 1],
+    secondHalf: [half, seconds - 1],
+    early: [0, quarter - 1],
+    late: [seconds - quarter, seconds - 1],
+  };
+  return { streams: { time, watts, heartrate }, segments };
+}
+
+test('the same ride always gets the same interval', () => {
+  const { streams, segments } = noisyRide(3600);
+  const first = computeConfidenceIntervals(streams, segments);
+  const second = computeConfidenceIntervals(streams, segments);
+
+  assert.deepEqual(first, second);
+  assert.equal(first.level, 90);
+  ['pwHrDrift', 'powerFade', 'efficiencyDecline', 'wattsPerBeatSlope'].forEach((key) => {
+    assert.ok(first[key].low <= first[key].high, key);
+  });
+  // HR rises through the ride at constant power, so W/HR falls in every resample
+  assert.ok(first.pwHrDrift.high < 0);
+});
+
+test('segments with too few blocks get no interval', () => {
+  // 10 minutes: each quarter holds two 2-minute blocks, each half three
+  const { streams, segments } = noisyRide(600);
+  const result = computeConfidenceIntervals(streams, segments);
+
+  assert.equal(result.powerFade, null);
+  assert.equal(result.efficiencyDecline, null);
+  assert.notEqual(result.pwHrDrift, null);
+  assert.equal(computeConfidenceIntervals(streams, segments, { minBlocks: 4 }).pwHrDrift, null);
+});
+
+test('rides without both HR and power get no intervals', () => {
+  const { streams, segments } = noisyRide(3600);
+  assert.equal(computeConfidenceIntervals({ ...streams, heartrate: [] }, segments), null);
+});
+
+test('data guards fail on short rides and low coverage', () => {
+  assert.deepEqual(evaluateDataGuards({ durationSeconds: 3600, coveragePercent: 90 }).reasons, []);
+  assert.equal(evaluateDataGuards({ durationSeconds: 3600, coveragePercent: 90 }).passed, true);
+
+  const short = evaluateDataGuards({ durationSeconds: 29 * 60, coveragePercent: 90 });
+  assert.equal(short.passed, false);
+  assert.deepEqual(short.reasons, ['duration']);
+
+  assert.deepEqual(evaluateDataGuards({ durationSeconds: 3600, coveragePercent: 74 }).reasons, ['coverage']);
+  assert.deepEqual(evaluateDataGuards({ durationSeconds: 600, coveragePercent: 50 }).reasons, ['duration', 'coverage']);
+  // rides without a coverage figure are judged on duration alone
+  assert.equal(evaluateDataGuards({ durationSeconds: 3600, coveragePercent: null }).passed, true);
+});
+
+test('data guard thresholds can be overridden', () => {
+  const result = evaluateDataGuards(
+    { durationSeconds: 20 * 60, coveragePercent: 60 },
+    { minDurationSeconds: 15 * 60, minCoveragePercent: 50 },
+  );
+  assert.equal(result.passed, true);
+  assert.equal(result.minDurationSeconds, 900);
+  assert.equal(result.minCoveragePercent, 50);
+});
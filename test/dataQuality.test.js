@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { repairStreams } from '../lib/dataQuality.js';
+import { calculateMetrics, sanitizeStreams } from '../lib/metrics.js';
+
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1_103_515_245 + 12_345) % 2 ** 31;
+    return state / 2 ** 31;
+  };
+}
+
+// A steady endurance ride with integer HR, as a chest strap records it.
+function steadyRide({ hours = 4, hrAt = null } = {}) {
+  const random = createRandom(42);
+  const time = [];
+  const watts = [];
+  const heartrate = [];
+  const cadence = [];
+  let hr = 132;
+  for (let i = 0; i < hours * 3600; i += 1) {
+    time.push(i);
+    watts.push(Math.round(190 + 25 * Math.sin(i / 400) + random() * 30 - (i / 3600) * 5));
+    cadence.push(Math.round(86 + random() * 6));
+    // HR wanders a beat at a time and often holds a value for a minute or two
+    if (random() < 0.012) {
+      hr += random() < 0.55 ? 1 : -1;
+    }
+    heartrate.push(hrAt ? hrAt(i, hr) : hr);
+  }
+  const wrap = (data) => ({ data });
+  return sanitizeStreams({ time: wrap(time), watts: wrap(watts), heartrate: wrap(heartrate), cadence: wrap(cadence) });
+}
+
+test('an HR strap dropout masks heart rate only, not power', () => {
+  const good = calculateMetrics(steadyRide(), { ftp: 250 });
+  const dropout = calculateMetrics(steadyRide({ hrAt: (i, hr) => (i < 7200 ? 0 : hr) }), { ftp: 250 });
+
+  assert.equal(dropout.error, undefined);
+  assert.ok(dropout.dataQuality.coveragePercent < 55);
+  assert.deepEqual(dropout.meanMaxPower, good.meanMaxPower);
+  assert.deepEqual(dropout.fatigueResistance, good.fatigueResistance);
+  assert.deepEqual(dropout.powerZones, good.powerZones);
+  assert.deepEqual(dropout.workDurability, good.workDurability);
+  assert.deepEqual(dropout.trainingStress, good.trainingStress);
+  assert.equal(dropout.criticalPower?.cp, good.criticalPower?.cp);
+});
+
+test('repairStreams nulls masked HR samples and keeps every power sample', () => {
+  const streams = steadyRide({ hours: 1, hrAt: (i, hr) => (i >= 600 && i < 1200 ? 0 : hr) });
+  const { streams: repaired, quality } = repairStreams(streams);
+
+  assert.equal(repaired.time.length, streams.time.length);
+  assert.deepEqual(repaired.watts, streams.watts);
+  assert.equal(repaired.heartrate.slice(600, 1200).every((value) => value == null), true);
+  assert.equal(repaired.heartrate[599], streams.heartrate[599]);
+  assert.equal(quality.streams.heartrate.dropoutSeconds, 600);
+});
+
+test('steady integer HR is not mistaken for a frozen strap', () => {
+  const { quality } = repairStreams(steadyRide({ hours: 2 }));
+
+  assert.equal(quality.streams.heartrate.flatlineSeconds, 0);
+  assert.equal(quality.coveragePercent, 100);
+});
+
+test('HR frozen on one value for a long stretch is still masked', () => {
+  const { quality } = repairStreams(steadyRide({ hours: 2, hrAt: (i, hr) => (i >= 1800 && i < 2700 ? 141 : hr) }));
+
+  assert.ok(quality.streams.heartrate.flatlineSeconds >= 900);
+  assert.ok(quality.coveragePercent < 90);
+});
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { computeDurabilityScore, resolveScoreModel, SCORE_MODEL_VERSION } from '../lib/durabilityScore.js';
+
+function component(result, key) {
+  return result.components.find((entry) => entry.key === key);
+}
+
+test('Pw:HR decoupling costs points and a rising W/HR does not', () => {
+  const decoupled = computeDurabilityScore({ powerFade: 0, pwHrDrift: -10 });
+  const improved = computeDurabilityScore({ powerFade: 0, pwHrDrift: 10 });
+
+  assert.ok(decoupled.score < 100);
+  assert.equal(component(decoupled, 'pwHrDrift').penalty, 10);
+  assert.equal(improved.score, 100);
+});
+
+test('weights are renormalized over the inputs a ride has', () => {
+  // power fade 0.25 and EF decline 0.2 share the whole score between them
+  const result = computeDurabilityScore({ powerFade: 20, efficiencyDecline: 0, pedalSmoothness: null });
+
+  assert.deepEqual(
+    result.components.map((entry) => entry.key),
+    ['powerFade', 'efficiencyDecline'],
+  );
+  assert.ok(Math.abs(component(result, 'powerFade').weight - 0.25 / 0.45) < 1e-9);
+  assert.ok(Math.abs(result.score - (100 - (20 * 0.25) / 0.45)) < 1e-9);
+  assert.equal(result.version, SCORE_MODEL_VERSION);
+});
+
+test('a ride with no scored inputs has no score', () => {
+  assert.deepEqual(computeDurabilityScore({ powerFade: null, pwHrDrift: Number.NaN }), {
+    version: SCORE_MODEL_VERSION,
+    score: null,
+    components: [],
+  });
+});
+
+test('penalty curves follow their direction, reference, full scale and exponent', () => {
+  const penalty = (inputs, key) => component(computeDurabilityScore(inputs), key).penalty;
+
+  // up: power fade above 0%
+  assert.equal(penalty({ powerFade: 30 }, 'powerFade'), 30);
+  assert.equal(penalty({ powerFade: -30 }, 'powerFade'), 0);
+  assert.equal(penalty({ powerFade: 150 }, 'powerFade'), 100);
+  // down, with a non-zero reference: cadence stability under 60%
+  assert.equal(penalty({ cadenceStability: 30 }, 'cadenceStability'), 50);
+  assert.equal(penalty({ cadenceStability: 90 }, 'cadenceStability'), 0);
+  // both, quadratic: balance shift of 2.5 points either way is a quarter of the full penalty
+  assert.equal(penalty({ balanceShift: 2.5 }, 'balanceShift'), 25);
+  assert.equal(penalty({ balanceShift: -2.5 }, 'balanceShift'), 25);
+});
+
+test('overrides merge onto the defaults and get their own version', () => {
+  const model = resolveScoreModel({ powerFade: { weight: 0.5, curve: { full: 50 } } });
+
+  assert.equal(model.components.powerFade.weight, 0.5);
+  assert.deepEqual(model.components.powerFade.curve, { direction: 'up', reference: 0, full: 50, exponent: 1 });
+  assert.match(model.version, new RegExp(`^${SCORE_MODEL_VERSION}-custom-[0-9a-f]{8}$`));
+  assert.equal(component(computeDurabilityScore({ powerFade: 25 }, model), 'powerFade').penalty, 50);
+  assert.equal(resolveScoreModel().version, SCORE_MODEL_VERSION);
+});
+
+test('invalid score model overrides are rejected', () => {
+  assert.throws(() => resolveScoreModel({ powerFadee: { weight: 1 } }), /unknown component "powerFadee"/);
+  assert.throws(
+    () => resolveScoreModel({ powerFade: { weight: -1 } }),
+    /powerFade\.weight must be a non-negative number/,
+  );
+  assert.throws(
+    () => resolveScoreModel({ pwHrDrift: { curve: { direction: 'sideways' } } }),
+    /pwHrDrift\.curve\.direction must be one of up, down, both/,
+  );
+  assert.throws(() => resolveScoreModel({ balanceShift: { curve: { full: 0 } } }), /balanceShift\.curve\.full/);
+});
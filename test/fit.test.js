@@ -0,0 +1,169 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { decodeFitActivity } from '../lib/importers/fit.js';
+import { parseRideFile } from '../lib/importers/index.js';
+
+const ENUM = 0x00;
+const UINT8 = 0x02;
+const UINT16 = 0x84;
+const SINT32 = 0x85;
+const UINT32 = 0x86;
+const SIZES = { [ENUM]: 1, [UINT8]: 1, [UINT16]: 2, [SINT32]: 4, [UINT32]: 4 };
+
+const FIT_START = 1_000_000_000; // 2021-09-08T01:46:40Z in FIT epoch seconds
+const SEMICIRCLES_PER_DEGREE = 2 ** 31 / 180;
+
+function definitionMessage(localType, globalMessage, fields, developerFields = []) {
+  const header = 0x40 | (developerFields.length > 0 ? 0x20 : 0) | localType;
+  const bytes = [header, 0, 0, globalMessage & 0xff, globalMessage >> 8, fields.length];
+  fields.forEach(([number, type]) => bytes.push(number, SIZES[type], type));
+  if (developerFields.length > 0) {
+    bytes.push(developerFields.length);
+    developerFields.forEach(([number, size]) => bytes.push(number, size, 0));
+  }
+  return bytes;
+}
+
+function dataMessage(localType, fields, values, developerBytes = []) {
+  const size = fields.reduce((acc, [, type]) => acc + SIZES[type], 0);
+  const view = new DataView(new ArrayBuffer(size));
+  let offset = 0;
+  fields.forEach(([number, type]) => {
+    const value = values[number];
+    if (type === UINT16) {
+      view.setUint16(offset, value, true);
+    } else if (type === SINT32) {
+      view.setInt32(offset, value, true);
+    } else if (type === UINT32) {
+      view.setUint32(offset, value, true);
+    } else {
+      view.setUint8(offset, value);
+    }
+    offset += SIZES[type];
+  });
+  return [localType, ...new Uint8Array(view.buffer), ...developerBytes];
+}
+
+function fitFile(messages) {
+  const data = messages.flat();
+  const header = new DataView(new ArrayBuffer(12));
+  header.setUint8(0, 12);
+  header.setUint8(1, 0x10);
+  header.setUint16(2, 2100, true);
+  header.setUint32(4, data.length, true);
+  [...'.FIT'].forEach((char, index) => header.setUint8(8 + index, char.charCodeAt(0)));
+  // CRC is not checked by the decoder
+  return new Uint8Array([...new Uint8Array(header.buffer), ...data, 0, 0]);
+}
+
+const RECORD_FIELDS = [
+  [253, UINT32], // timestamp
+  [0, SINT32], // position_lat
+  [1, SINT32], // position_long
+  [3, UINT8], // heart_rate
+  [7, UINT16], // power
+  [5, UINT32], // distance, cm
+  [78, UINT32], // enhanced_altitude, (m + 500) * 5
+  [73, UINT32], // enhanced_speed, mm/s
+  [30, UINT8], // left_right_balance
+  [41, UINT8], // left_torque_effectiveness, half-percent
+  [42, UINT8], // right_torque_effectiveness
+];
+
+const SESSION_FIELDS = [
+  [2, UINT32], // start_time
+  [5, ENUM], // sport
+  [6, ENUM], // sub_sport
+  [7, UINT32], // total_elapsed_time, ms
+  [9, UINT32], // total_distance, cm
+];
+
+// Ten seconds heading north at 8 m/s, with one invalid (0xff) HR sample and a two-byte developer
+// field on every record that the decoder has to step over.
+function rideFile({ sport = 2, subSport = 46, fields = RECORD_FIELDS, developerField = true } = {}) {
+  const developerFields = developerField ? [[0, 2]] : [];
+  const messages = [definitionMessage(0, 20, fields, developerFields)];
+  for (let second = 0; second < 10; second += 1) {
+    const values = {
+      253: FIT_START + second,
+      0: Math.round((45 + (second * 8) / 111_195) * SEMICIRCLES_PER_DEGREE),
+      1: Math.round(7 * SEMICIRCLES_PER_DEGREE),
+      3: second === 2 ? 0xff : 140 + second,
+      7: 250,
+      5: second * 800,
+      78: (100 + 500) * 5,
+      73: 8000,
+      30: 0x80 | 48,
+      41: 160,
+      42: 150,
+    };
+    messages.push(dataMessage(0, fields, values, developerField ? [0xab, 0xcd] : []));
+  }
+  messages.push(definitionMessage(1, 18, SESSION_FIELDS));
+  messages.push(dataMessage(1, SESSION_FIELDS, { 2: FIT_START, 5: sport, 6: subSport, 7: 9000, 9: 7200 }));
+  return fitFile(messages);
+}
+
+test('FIT record fields are scaled to stream units', () => {
+  const { samples, activity } = decodeFitActivity(rideFile());
+
+  assert.equal(samples.length, 10);
+  const [first, second] = samples;
+  assert.equal(first.timestamp, Date.parse('2021-09-08T01:46:40Z'));
+  assert.equal(second.timestamp - first.timestamp, 1000);
+  assert.equal(first.heartrate, 140);
+  assert.equal(samples[2].heartrate, null);
+  assert.equal(first.watts, 250);
+  assert.equal(second.distance, 8);
+  assert.equal(first.altitude, 100);
+  assert.equal(first.velocity_smooth, 8);
+  // bit 7 marks the right pedal's share; the stream carries the left side
+  assert.equal(first.left_right_balance, 52);
+  assert.equal(first.torque_effectiveness, 77.5);
+
+  assert.equal(activity.start_date, '2021-09-08T01:46:40.000Z');
+  assert.equal(activity.elapsed_time, 9);
+  assert.equal(activity.distance, 72);
+});
+
+test('FIT positions are converted from semicircles to degrees', () => {
+  const { samples } = decodeFitActivity(rideFile());
+  assert.ok(Math.abs(samples[0].lat - 45) < 1e-6);
+  assert.ok(Math.abs(samples[0].lng - 7) < 1e-6);
+
+  // without a distance or speed field, distance comes from the positions
+  const positionsOnly = RECORD_FIELDS.filter(([number]) => ![5, 73].includes(number));
+  const { streams } = parseRideFile(rideFile({ fields: positionsOnly }), { format: 'fit' });
+  const distance = streams.distance.data;
+  assert.ok(Math.abs(distance[distance.length - 1] - 72) < 0.5);
+});
+
+test('FIT developer fields are skipped without shifting the next message', () => {
+  const withDeveloper = decodeFitActivity(rideFile());
+  const without = decodeFitActivity(rideFile({ developerField: false }));
+  assert.deepEqual(withDeveloper, without);
+});
+
+test('FIT sport and sub-sport map onto Strava sport types', () => {
+  const sportOf = (sport, subSport) => decodeFitActivity(rideFile({ sport, subSport })).activity;
+
+  assert.equal(sportOf(2, 46).sport_type, 'GravelRide');
+  assert.equal(sportOf(2, 8).sport_type, 'MountainBikeRide');
+  assert.equal(sportOf(2, 6).sport_type, 'VirtualRide');
+  assert.equal(sportOf(2, 6).trainer, true);
+  assert.equal(sportOf(2, 0).sport_type, 'Ride');
+  assert.equal(sportOf(2, 0).trainer, false);
+  assert.equal(sportOf(1, 0).sport_type, 'Run');
+  assert.equal(sportOf(99, 0).sport_type, 'Ride');
+});
+
+test('truncated FIT files are rejected', () => {
+  const file = rideFile();
+  assert.throws(() => decodeFitActivity(file.subarray(0, file.length - 40)), /FIT file is truncated/);
+
+  // header and data size agree, but the last message is cut short
+  const cut = [definitionMessage(0, 20, RECORD_FIELDS), dataMessage(0, RECORD_FIELDS, { 253: FIT_START }).slice(0, 10)];
+  assert.throws(() => decodeFitActivity(fitFile(cut)), /FIT file is truncated/);
+
+  assert.throws(() => decodeFitActivity(file.subarray(0, 8)), /too small/);
+});
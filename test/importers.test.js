@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { parseRideFile } from '../lib/importers/index.js';
+import { repairStreams } from '../lib/dataQuality.js';
+import { sanitizeStreams } from '../lib/metrics.js';
+
+const START = Date.parse('2024-05-01T07:00:00Z');
+const GAP = [1200, 1800]; // 10 minutes with no HR or power, while the head unit keeps recording
+
+function trackpoints(render) {
+  const points = [];
+  for (let second = 0; second < 3600; second += 1) {
+    const inGap = second >= GAP[0] && second < GAP[1];
+    points.push(
+      render({
+        iso: new Date(START + second * 1000).toISOString(),
+        lat: 45 + (second * 8) / 111_000,
+        distance: second * 8,
+        hr: inGap ? null : 130 + Math.round(second / 240),
+        watts: inGap ? null : 200 + (second % 9),
+      }),
+    );
+  }
+  return points.join('');
+}
+
+function tcxDocument() {
+  const points = trackpoints(
+    ({ iso, lat, distance, hr, watts }) =>
+      `<Trackpoint><Time>${iso}</Time><Position><LatitudeDegrees>${lat}</LatitudeDegrees>` +
+      `<LongitudeDegrees>7</LongitudeDegrees></Position><DistanceMeters>${distance}</DistanceMeters>` +
+      (hr != null ? `<HeartRateBpm><Value>${hr}</Value></HeartRateBpm>` : '') +
+      '<Cadence>88</Cadence>' +
+      (watts != null ? `<Extensions><ns3:TPX><ns3:Watts>${watts}</ns3:Watts></ns3:TPX></Extensions>` : '') +
+      '</Trackpoint>',
+  );
+  return (
+    '<?xml version="1.0"?><TrainingCenterDatabase xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">' +
+    '<Activities><Activity Sport="Biking"><Id>x</Id><Lap StartTime="2024-05-01T07:00:00Z"><Track>' +
+    `${points}</Track></Lap></Activity></Activities></TrainingCenterDatabase>`
+  );
+}
+
+function gpxDocument() {
+  const points = trackpoints(
+    ({ iso, lat, hr, watts }) =>
+      `<trkpt lat="${lat}" lon="7"><time>${iso}</time><extensions>` +
+      (watts != null ? `<power>${watts}</power>` : '') +
+      '<gpxtpx:TrackPointExtension>' +
+      (hr != null ? `<gpxtpx:hr>${hr}</gpxtpx:hr>` : '') +
+      '<gpxtpx:cad>88</gpxtpx:cad></gpxtpx:TrackPointExtension></extensions></trkpt>',
+  );
+  return (
+    '<?xml version="1.0"?><gpx creator="test" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">' +
+    `<trk><name>Ride</name><type>cycling</type><trkseg>${points}</trkseg></trk></gpx>`
+  );
+}
+
+[
+  ['tcx', tcxDocument],
+  ['gpx', gpxDocument],
+].forEach(([format, build]) => {
+  test(`a ${format.toUpperCase()} gap in HR and power shows up as a dropout`, () => {
+    const { streams } = parseRideFile(build(), { format });
+
+    assert.equal(streams.heartrate.data[GAP[0]], null);
+    assert.equal(streams.watts.data[GAP[1] - 1], null);
+    assert.equal(streams.distance.data.every((value) => value != null), true);
+
+    const { quality } = repairStreams(sanitizeStreams(streams));
+    assert.equal(quality.streams.heartrate.dropoutSeconds, GAP[1] - GAP[0]);
+    assert.equal(quality.streams.watts.dropoutSeconds, GAP[1] - GAP[0]);
+    assert.ok(quality.issues.some((issue) => issue.stream === 'heartrate' && issue.action === 'masked'));
+  });
+});
@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { analyzeIntervals } from '../lib/intervals.js';
+import { normalizedPower } from '../lib/stats.js';
+
+// 20 min easy, then 4 × 8 min at 300 W with 4 min recoveries, then 10 min easy
+function workout() {
+  const time = [];
+  const watts = [];
+  const heartrate = [];
+  const push = (seconds, power, hr) => {
+    for (let i = 0; i < seconds; i += 1) {
+      time.push(time.length);
+      watts.push(power + ((time.length * 7) % 11) - 5);
+      heartrate.push(hr);
+    }
+  };
+  push(1200, 150, 120);
+  for (let rep = 0; rep < 4; rep += 1) {
+    push(480, 300, 160 + rep);
+    push(240, 130, 130);
+  }
+  push(600, 150, 120);
+  return { time, watts, heartrate, cadence: [] };
+}
+
+test('rep NP uses the same definition as whole-ride NP', () => {
+  const streams = workout();
+  const result = analyzeIntervals(streams, { referencePower: 280 });
+
+  assert.equal(result.reps.length, 4);
+  result.reps.forEach((rep) => {
+    const start = streams.time.indexOf(rep.startTime);
+    const end = start + rep.durationSeconds;
+    assert.equal(rep.normalizedPower, normalizedPower(streams.watts.slice(start, end), streams.time.slice(start, end)));
+  });
+});
@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { computeRollingAverages, decodeCursor, encodeCursor, validateHistoryQuery } from '../lib/metricsHistory.js';
+
+function rawCursor(payload) {
+  return Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload)).toString('base64url');
+}
+
+test('cursors round-trip, including uploaded rides with negative IDs', () => {
+  const date = new Date('2024-05-01T07:00:00Z');
+  assert.deepEqual(decodeCursor(encodeCursor({ activity_date: date, activity_id: '11223344556' })), {
+    date: '2024-05-01T07:00:00.000Z',
+    id: '11223344556',
+  });
+  assert.deepEqual(decodeCursor(encodeCursor({ activity_date: date, activity_id: -1714546800 })), {
+    date: '2024-05-01T07:00:00.000Z',
+    id: '-1714546800',
+  });
+});
+
+test('tampered or malformed cursors are rejected as a query error', () => {
+  const date = '2024-05-01T07:00:00.000Z';
+  [
+    '!!!not-base64!!!',
+    rawCursor('not json'),
+    rawCursor('null'),
+    rawCursor('[]'),
+    rawCursor({ date }),
+    rawCursor({ date: 'yesterday', id: '1' }),
+    rawCursor({ date: '2024-05-01', id: '1' }),
+    rawCursor({ date, id: 1 }),
+    rawCursor({ date, id: '1 OR 1=1' }),
+    rawCursor({ date, id: '9223372036854775808' }),
+    rawCursor({ date, id: '-9223372036854775809' }),
+  ].forEach((cursor) => {
+    assert.equal(decodeCursor(cursor), null, cursor);
+    const { cursor: decoded, errors } = validateHistoryQuery({ cursor });
+    assert.equal(decoded, null);
+    assert.deepEqual(errors, ['cursor is invalid']);
+  });
+
+  assert.deepEqual(decodeCursor(rawCursor({ date, id: '9223372036854775807' })), { date, id: '9223372036854775807' });
+  // a repeated query key arrives as an array; the first value is used
+  assert.deepEqual(validateHistoryQuery({ cursor: [rawCursor({ date, id: '5' }), 'x'] }).cursor, { date, id: '5' });
+});
+
+function entry(activityDate, durabilityScore, extra = {}) {
+  return { activityDate, metrics: { durabilityScore, tss: null, ...extra } };
+}
+
+test('rolling windows cover (date − N days, date]', () => {
+  const item = entry('2024-05-29T08:00:00.000Z', 80);
+  const series = [
+    entry('2024-03-01T08:00:00.000Z', 10), // 89 days back, only in 90d
+    entry('2024-05-01T08:00:00.000Z', 40), // exactly 28 days back: outside 28d
+    entry('2024-05-01T08:00:01.000Z', 50), // one second inside 28d
+    entry('2024-05-22T08:00:00.000Z', 60), // exactly 7 days back: outside 7d
+    entry('2024-05-25T08:00:00.000Z', null, { tss: 90 }),
+    item,
+    entry('2024-05-29T08:00:01.000Z', 0), // after the ride, never counted
+  ];
+
+  const [{ rolling }] = computeRollingAverages([item], series);
+
+  assert.equal(rolling['7d'].activityCount, 2);
+  assert.equal(rolling['7d'].durabilityScore, 80);
+  assert.equal(rolling['7d'].tss, 90);
+  assert.equal(rolling['28d'].activityCount, 4);
+  assert.equal(rolling['28d'].durabilityScore, (50 + 60 + 80) / 3);
+  assert.equal(rolling['90d'].activityCount, 6);
+  assert.equal(rolling['90d'].durabilityScore, (10 + 40 + 50 + 60 + 80) / 5);
+});
+
+test('windows with no values for a metric report null', () => {
+  const item = entry('2024-05-29T08:00:00.000Z', null);
+  const [{ rolling }] = computeRollingAverages([item], [item], [7]);
+
+  assert.deepEqual(Object.keys(rolling), ['7d']);
+  assert.equal(rolling['7d'].activityCount, 1);
+  assert.equal(rolling['7d'].durabilityScore, null);
+  assert.equal(rolling['7d'].powerFade, null);
+});
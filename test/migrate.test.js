@@ -0,0 +1,171 @@
+import assert from 'node:assert/strict';
+import { beforeEach, test } from 'node:test';
+import pg from 'pg';
+import { MIGRATIONS } from '../lib/migrations/index.js';
+
+// An in-memory stand-in for the one client the runner holds: it keeps schema_migrations rows and
+// records every statement, so ordering, locking and transactions can be checked without Postgres.
+const database = { rows: null, log: [], released: 0 };
+
+function normalize(sql) {
+  return sql.replace(/\s+/g, ' ').trim();
+}
+
+async function query(sql, params = []) {
+  const statement = normalize(sql);
+  database.log.push(statement);
+  if (statement.startsWith('CREATE TABLE IF NOT EXISTS schema_migrations')) {
+    database.rows ??= [];
+  } else if (statement.startsWith('SELECT to_regclass')) {
+    return { rows: [{ table: database.rows ? 'schema_migrations' : null }] };
+  } else if (statement.startsWith('SELECT version')) {
+    return { rows: [...database.rows].sort((a, b) => a.version - b.version) };
+  } else if (statement.startsWith('INSERT INTO schema_migrations')) {
+    database.rows.push({ version: params[0], name: params[1], applied_at: new Date() });
+  } else if (statement.startsWith('DELETE FROM schema_migrations')) {
+    database.rows = database.rows.filter((row) => row.version !== params[0]);
+  } else if (statement.startsWith('UPDATE schema_migrations')) {
+    const [to, from, name] = params;
+    database.rows.filter((row) => row.version === from && row.name === name).forEach((row) => {
+      row.version = to;
+    });
+  }
+  return { rows: [] };
+}
+
+pg.Pool.prototype.connect = async () => ({
+  query,
+  release() {
+    database.released += 1;
+  },
+});
+pg.Pool.prototype.query = query;
+process.env.DATABASE_URL = 'postgres://migrations@127.0.0.1:1/test';
+const { getMigrationStatus, rollbackMigrations, runMigrations } = await import('../lib/migrate.js');
+
+function seed(versions) {
+  const byVersion = new Map(MIGRATIONS.map((migration) => [migration.version, migration.name]));
+  database.rows = versions.map((version) => ({ version, name: byVersion.get(version), applied_at: new Date() }));
+}
+
+function appliedVersions() {
+  return database.rows.map((row) => row.version).sort((a, b) => a - b);
+}
+
+function transactionLog() {
+  return database.log.filter((statement) => /^(BEGIN|COMMIT|ROLLBACK|SELECT pg_advisory)/.test(statement));
+}
+
+const ALL_VERSIONS = MIGRATIONS.map((migration) => migration.version);
+
+beforeEach(() => {
+  database.rows = null;
+  database.log = [];
+  database.released = 0;
+});
+
+test('migrations are numbered 1..n with no gaps', () => {
+  assert.deepEqual(
+    ALL_VERSIONS,
+    MIGRATIONS.map((_, index) => index + 1),
+  );
+  assert.equal(MIGRATIONS.at(-1).name, 'training_load');
+});
+
+test('a fresh database applies every migration in order under the advisory lock', async () => {
+  const applied = await runMigrations();
+
+  assert.deepEqual(
+    applied.map((migration) => migration.version),
+    ALL_VERSIONS,
+  );
+  assert.deepEqual(appliedVersions(), ALL_VERSIONS);
+  const log = transactionLog();
+  assert.match(log[0], /pg_advisory_lock/);
+  assert.match(log.at(-1), /pg_advisory_unlock/);
+  assert.equal(log.filter((statement) => statement === 'COMMIT').length, ALL_VERSIONS.length);
+  assert.equal(database.released, 1);
+});
+
+test('already-applied versions are skipped and --to stops early', async () => {
+  seed([1, 2, 3]);
+  const applied = await runMigrations({ target: 5 });
+
+  assert.deepEqual(
+    applied.map((migration) => migration.version),
+    [4, 5],
+  );
+  assert.deepEqual(await runMigrations(), MIGRATIONS.slice(5).map(({ version, name }) => ({ version, name })));
+  assert.deepEqual(await runMigrations(), []);
+});
+
+test('a database adopted at version 1 runs every later migration', async () => {
+  seed([1]);
+  const applied = await runMigrations();
+
+  assert.deepEqual(
+    applied.map((migration) => migration.version),
+    ALL_VERSIONS.slice(1),
+  );
+  // each later migration only adds what is missing, so it is safe on a database ensureSchema built
+  const ddl = database.log.filter((statement) => /^(ALTER TABLE|CREATE (TABLE|INDEX))/.test(statement));
+  ddl.forEach((statement) => assert.match(statement, /IF NOT EXISTS/));
+});
+
+test('training_load applied as version 2 by an earlier build is moved to 13', async () => {
+  database.rows = [
+    { version: 1, name: 'initial_schema', applied_at: new Date() },
+    { version: 2, name: 'training_load', applied_at: new Date() },
+  ];
+  const before = await getMigrationStatus();
+  assert.equal(before.find((entry) => entry.version === 2).status, 'pending');
+  assert.equal(before.find((entry) => entry.version === 13).status, 'applied');
+
+  const applied = await runMigrations();
+  assert.deepEqual(
+    applied.map((migration) => migration.version),
+    ALL_VERSIONS.slice(1, -1),
+  );
+  assert.deepEqual(appliedVersions(), ALL_VERSIONS);
+});
+
+test('a renamed migration is refused', async () => {
+  database.rows = [{ version: 1, name: 'baseline', applied_at: new Date() }];
+  await assert.rejects(runMigrations(), /Migration 1 was applied as "baseline" but is now "initial_schema"/);
+  assert.match(transactionLog().at(-1), /pg_advisory_unlock/);
+});
+
+test('rollback reverts the newest migrations first', async () => {
+  seed(ALL_VERSIONS);
+  const rolledBack = await rollbackMigrations({ steps: 2 });
+
+  assert.deepEqual(
+    rolledBack.map((migration) => migration.version),
+    [13, 12],
+  );
+  assert.deepEqual(appliedVersions(), ALL_VERSIONS.slice(0, -2));
+  assert.ok(database.log.some((statement) => statement.includes('DROP COLUMN IF EXISTS tss')));
+});
+
+test('the initial schema cannot be rolled back and the rollback stops there', async () => {
+  seed([1, 2, 3]);
+  await assert.rejects(
+    rollbackMigrations({ steps: 5 }),
+    /Rollback stopped at migration 1 initial_schema after reverting 2; the schema is at version 1: Cannot roll back/,
+  );
+
+  assert.deepEqual(appliedVersions(), [1]);
+  assert.ok(!database.log.some((statement) => /DROP TABLE IF EXISTS athlete_(tokens|metrics)/.test(statement)));
+  const log = transactionLog();
+  assert.equal(log.at(-2), 'ROLLBACK');
+  assert.match(log.at(-1), /pg_advisory_unlock/);
+  assert.equal(database.released, 1);
+});
+
+test('rollback refuses versions this build does not know', async () => {
+  seed([1, 2]);
+  database.rows.push({ version: 99, name: 'future', applied_at: new Date() });
+
+  await assert.rejects(rollbackMigrations(), /Migration 99 \(future\) is not in this build/);
+  assert.equal((await getMigrationStatus()).at(-1).status, 'unknown');
+});
@@ -0,0 +1,130 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { CP_DURATIONS, fitCriticalPower, resolvePowerModel, summarizeWPrimeBalance } from '../lib/powerModel.js';
+
+function close(actual, expected, tolerance = 1e-6) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+// Mean-maximal power of a rider who follows P(t) = CP + W′/t exactly.
+function idealCurve(cp, wPrime, durations = CP_DURATIONS) {
+  return Object.fromEntries(durations.map((duration) => [duration, cp + wPrime / duration]));
+}
+
+test('CP and W′ are recovered from a curve on the model', () => {
+  const fitted = fitCriticalPower({ ...idealCurve(265, 18000), 5: 1100, 3600: 240 });
+
+  close(fitted.cp, 265);
+  close(fitted.wPrime, 18000);
+  close(fitted.r2, 1);
+  // only the 3–20 minute efforts take part in the fit
+  assert.deepEqual(fitted.durations, CP_DURATIONS);
+
+  const sparse = fitCriticalPower(idealCurve(265, 18000, [180, 600, 1200]));
+  close(sparse.cp, 265);
+  assert.deepEqual(sparse.durations, [180, 600, 1200]);
+});
+
+test('fits with too few points, a poor R² or implausible values are rejected', () => {
+  assert.equal(fitCriticalPower(idealCurve(265, 18000, [300, 600])), null);
+  assert.equal(fitCriticalPower(undefined), null);
+
+  // CP and W′ are in range, but the points are too scattered to trust (R² ≈ 0.89)
+  assert.equal(fitCriticalPower({ 180: 600, 300: 300, 420: 420, 600: 260, 900: 320, 1200: 250 }), null);
+
+  assert.equal(fitCriticalPower(idealCurve(40, 18000)), null);
+  assert.equal(fitCriticalPower(idealCurve(750, 18000)), null);
+  assert.equal(fitCriticalPower(idealCurve(265, 1500)), null);
+  assert.equal(fitCriticalPower(idealCurve(265, 65000)), null);
+});
+
+test('the model falls back to the stored fit, then to FTP', () => {
+  const fitted = resolvePowerModel({ meanMaxPower: idealCurve(265, 18000), storedModel: { cp: 250, wPrime: 20000 } });
+  assert.equal(fitted.source, 'fitted');
+
+  const stored = resolvePowerModel({ meanMaxPower: {}, storedModel: { cp: '250', wPrime: '21000' }, ftp: 280 });
+  assert.deepEqual([stored.source, stored.cp, stored.wPrime], ['stored', 250, 21000]);
+
+  const fromFtp = resolvePowerModel({ meanMaxPower: {}, ftp: 300 });
+  assert.deepEqual([fromFtp.source, fromFtp.cp, fromFtp.wPrime], ['ftp', 291, 20000]);
+
+  assert.equal(resolvePowerModel({ meanMaxPower: {} }), null);
+});
+
+const MODEL = { cp: 250, wPrime: 20000 };
+
+// 1 Hz watts built from [seconds, watts] blocks, with quarter and half segments over the whole ride.
+function ride(blocks) {
+  const watts = blocks.flatMap(([seconds, power]) => new Array(seconds).fill(power));
+  watts.push(100);
+  const time = watts.map((_, index) => index);
+  const last = watts.length - 1;
+  const quarter = Math.floor(last / 4);
+  const segments = {
+    firstHalf: [0, Math.floor(last / 2)],
+    secondHalf: [Math.floor(last / 2) + 1, last],
+    quartiles: [0, 1, 2, 3].map((index) => [index * quarter, index === 3 ? last : (index + 1) * quarter - 1]),
+  };
+  return { watts, time, segments };
+}
+
+test('W′bal depletes linearly above CP', () => {
+  // a minute at 400 W costs 150 W × 60 s
+  const summary = summarizeWPrimeBalance({ ...ride([[60, 400], [600, 100]]), model: MODEL });
+
+  close(summary.minBalance, 11000);
+  close(summary.minBalancePercent, 55);
+  assert.equal(summary.drains.total, 1);
+  assert.equal(summary.series[0].percent, 100);
+  assert.equal(summary.series[1].t - summary.series[0].t, 15);
+});
+
+test('a drain only re-arms after W′bal recovers from its trough', () => {
+  // the second effort comes after a one-minute rest, too soon to count; the third after ten minutes does
+  const { drains } = summarizeWPrimeBalance({
+    ...ride([
+      [60, 400],
+      [60, 100],
+      [60, 400],
+      [600, 100],
+      [60, 400],
+      [600, 100],
+    ]),
+    model: MODEL,
+  });
+
+  assert.equal(drains.depthPercent, 30);
+  assert.equal(drains.total, 2);
+  assert.equal(drains.early, 1);
+  assert.equal(drains.late, 1);
+  assert.deepEqual(drains.byQuartile, [1, 0, 1, 0]);
+
+  // with a long rest between them, every effort counts
+  const spaced = summarizeWPrimeBalance({
+    ...ride([
+      [60, 400],
+      [600, 100],
+      [60, 400],
+      [600, 100],
+      [60, 400],
+      [600, 100],
+    ]),
+    model: MODEL,
+  });
+  assert.equal(spaced.drains.total, 3);
+});
+
+test('efforts that never dip 30% below the last peak are not drains', () => {
+  const { drains } = summarizeWPrimeBalance({
+    ...ride([
+      [30, 400],
+      [300, 100],
+      [30, 400],
+      [300, 100],
+    ]),
+    model: MODEL,
+  });
+  assert.equal(drains.total, 0);
+
+  assert.equal(summarizeWPrimeBalance({ ...ride([[60, 400]]), model: null }), null);
+});
@@ -0,0 +1,62 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { sanitizeStreams } from '../lib/metrics.js';
+import { calculateRunningMetrics } from '../lib/running.js';
+
+// A 90-minute steady run at 171–174 spm, creeping up a step every half hour.
+function steadyRun({ perLeg = false } = {}) {
+  const time = [];
+  const heartrate = [];
+  const velocity = [];
+  const distance = [];
+  const cadence = [];
+  let covered = 0;
+  for (let i = 0; i < 5400; i += 1) {
+    const speed = 3.2 - (i / 5400) * 0.2;
+    covered += speed;
+    time.push(i);
+    heartrate.push(140 + Math.floor(i / 400));
+    velocity.push(speed);
+    distance.push(covered);
+    const steps = 171 + (i % 4) + Math.floor(i / 1800);
+    cadence.push(perLeg ? steps / 2 : steps);
+  }
+  const wrap = (data) => ({ data });
+  return sanitizeStreams({
+    time: wrap(time),
+    heartrate: wrap(heartrate),
+    velocity_smooth: wrap(velocity),
+    distance: wrap(distance),
+    cadence: wrap(cadence),
+  });
+}
+
+function segmentMean(values, [start, end]) {
+  const slice = values.slice(start, end + 1);
+  return slice.reduce((sum, value) => sum + value, 0) / slice.length;
+}
+
+test('steps-per-minute cadence passes through data repair unchanged', () => {
+  const streams = steadyRun();
+  const result = calculateRunningMetrics(streams);
+
+  assert.equal(result.error, undefined);
+  result.quartiles.forEach((quartile, index) => {
+    assert.ok(Math.abs(quartile.cadence - segmentMean(streams.cadence, result.segments.quartiles[index])) < 1e-9);
+  });
+  assert.ok(result.cadenceDrift > 1.9 && result.cadenceDrift < 2.1);
+  assert.equal(result.dataQuality.streams.cadence.repairedSeconds, 0);
+  assert.equal(result.dataQuality.streams.cadence.flatlineSeconds, 0);
+  assert.equal(result.dataQuality.level, 'good');
+});
+
+test('per-leg cadence is doubled to steps per minute before repair', () => {
+  const perLeg = calculateRunningMetrics(steadyRun({ perLeg: true }));
+  const steps = calculateRunningMetrics(steadyRun());
+
+  assert.deepEqual(
+    perLeg.quartiles.map((quartile) => quartile.cadence),
+    steps.quartiles.map((quartile) => quartile.cadence),
+  );
+  assert.equal(perLeg.dataQuality.streams.cadence.repairedSeconds, 0);
+});
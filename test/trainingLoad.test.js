@@ -0,0 +1,117 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { calculateMetrics, sanitizeStreams } from '../lib/metrics.js';
+import {
+  computeHeartRateStress,
+  computeLoadState,
+  computeTrainingStress,
+  describeForm,
+} from '../lib/trainingLoad.js';
+
+function close(actual, expected, tolerance = 1e-9) {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+function day(offset, hour = 8) {
+  return new Date(Date.UTC(2024, 4, 1 + offset, hour)).toISOString();
+}
+
+test('TSS uses FTP as the threshold and falls back to CP', () => {
+  const withFtp = computeTrainingStress({ normalizedPower: 225, durationSeconds: 7200, ftp: 250, criticalPower: 270 });
+  close(withFtp.intensityFactor, 0.9);
+  close(withFtp.tss, 2 * 0.81 * 100);
+  assert.equal(withFtp.thresholdSource, 'ftp');
+
+  const withCp = computeTrainingStress({ normalizedPower: 225, durationSeconds: 3600, criticalPower: 250 });
+  close(withCp.tss, 81);
+  assert.equal(withCp.thresholdSource, 'cp');
+
+  assert.equal(computeTrainingStress({ normalizedPower: 225, durationSeconds: 3600 }), null);
+});
+
+test('CTL and ATL decay exponentially across days without rides', () => {
+  const entries = [{ date: day(0), tss: 100 }];
+
+  const nextDay = computeLoadState(entries, day(1));
+  close(nextDay.ctl, 100 / 42);
+  close(nextDay.atl, 100 / 7);
+  close(nextDay.tsb, 100 / 42 - 100 / 7);
+  assert.equal(nextDay.historyDays, 1);
+  assert.equal(nextDay.provisional, true);
+
+  // ten empty days after the ride
+  const later = computeLoadState(entries, day(11));
+  close(later.ctl, (100 / 42) * (41 / 42) ** 10);
+  close(later.atl, (100 / 7) * (6 / 7) ** 10);
+  assert.equal(later.historyDays, 11);
+});
+
+test('rides on the same day add up, and the ride day itself is not going in', () => {
+  const split = computeLoadState(
+    [
+      { date: day(0, 7), tss: 60 },
+      { date: day(0, 18), tss: '40' },
+      { date: day(2, 6), tss: 500 },
+    ],
+    day(2, 12),
+  );
+  const single = computeLoadState([{ date: day(0), tss: 100 }], day(2));
+
+  close(split.ctl, single.ctl);
+  close(split.atl, single.atl);
+});
+
+test('load state needs earlier TSS inside the history window', () => {
+  assert.equal(computeLoadState([], day(5)), null);
+  assert.equal(computeLoadState([{ date: day(0), tss: null }], day(5)), null);
+  assert.equal(computeLoadState([{ date: day(0), tss: 100 }], day(200)), null);
+
+  const settled = computeLoadState([{ date: day(0), tss: 50 }], day(60));
+  assert.equal(settled.provisional, false);
+});
+
+test('TSB bands read as form', () => {
+  assert.equal(describeForm(30), 'very fresh');
+  assert.equal(describeForm(5), 'fresh');
+  assert.equal(describeForm(0), 'neutral');
+  assert.equal(describeForm(-18), 'fatigued');
+  assert.equal(describeForm(-31), 'very fatigued');
+});
+
+test('an hour at threshold heart rate scores 100 hrTSS', () => {
+  const time = Array.from({ length: 3601 }, (_, index) => index);
+  // threshold is 85% of the 50–190 bpm reserve
+  const stress = computeHeartRateStress({
+    heartrate: time.map(() => 169),
+    time,
+    heartRateMax: 190,
+    heartRateRest: 50,
+  });
+
+  close(stress.tss, 100, 0.5);
+  close(stress.intensityFactor, 1, 0.005);
+  assert.equal(stress.threshold, 169);
+  assert.equal(stress.thresholdSource, 'hr');
+
+  const easy = computeHeartRateStress({ heartrate: time.map(() => 120), time, heartRateMax: 190, heartRateRest: 50 });
+  assert.ok(easy.tss < 40);
+  assert.equal(computeHeartRateStress({ heartrate: time.map(() => 169), time, heartRateMax: 190 }), null);
+});
+
+test('HR-only rides fall back to hrTSS when max and resting HR are known', () => {
+  const time = Array.from({ length: 5400 }, (_, index) => index);
+  const wrap = (data) => ({ data });
+  const streams = sanitizeStreams({
+    time: wrap(time),
+    heartrate: wrap(time.map((second) => 140 + (second % 11) + Math.round(second / 600))),
+    velocity_smooth: wrap(time.map(() => 8)),
+    cadence: wrap(time.map(() => 88)),
+  });
+
+  const withSettings = calculateMetrics(streams, { heartRateMax: 190, heartRateRest: 50 });
+  assert.equal(withSettings.mode, 'cycling_hr');
+  assert.equal(withSettings.trainingStress.thresholdSource, 'hr');
+  assert.ok(withSettings.trainingStress.tss > 50 && withSettings.trainingStress.tss < 150);
+
+  assert.equal(calculateMetrics(streams, {}).trainingStress, null);
+});